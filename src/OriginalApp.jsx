@@ -1,12 +1,31 @@
-import React, { useState, useCallback, useEffect } from 'react';
+import React, { useState, useCallback, useEffect, useRef, useMemo } from 'react';
 import { Canvas } from '@react-three/fiber';
 import { OrbitControls, Stars } from '@react-three/drei';
 import Globe from './globe/components/Globe.jsx';
-import Markers from './globe/components/Markers.jsx';
+import { ClusteredMarkers } from './globe/components/Markers.jsx';
 import Arches from './globe/components/Arches.jsx';
+import ImpactRings from './globe/components/ImpactRings.jsx';
+import CountryHighlights from './globe/components/CountryHighlights.jsx';
+import ChoroplethLayer from './globe/components/ChoroplethLayer.jsx';
+import ChoroplethLegend from './globe/components/ChoroplethLegend.jsx';
+import ViewPersistence from './globe/components/ViewPersistence.jsx';
 import StatusIndicator from './StatusIndicator.jsx';
-import { openaiService, geocodingService } from './services/apiService.js';
-import { AGENT_CONFIG } from './agentConfig.js';
+import LocationChoice from './components/LocationChoice.jsx';
+import CountryPanel from './components/CountryPanel.jsx';
+import SessionSwitcher from './components/SessionSwitcher.jsx';
+import LlmProviderPicker from './components/LlmProviderPicker.jsx';
+import EventTypeSettings from './components/EventTypeSettings.jsx';
+import { useSession } from './hooks/useSession.js';
+import { eventPipeline, toChatMessages } from './services/eventPipeline.js';
+import { exportGeocodingCache, importGeocodingCache, getGeocodingCacheStats } from './globe/utils/geocoding.js';
+import { loadCountries, getLoadedCountries, getCountryActivity } from './globe/utils/countries.js';
+import {
+  getCountryKey,
+  countEventsByCountry,
+  resolveChoroplethValues,
+  createChoroplethScale,
+  parseChoroplethInput
+} from './globe/utils/choropleth.js';
 
 export default function OriginalApp() {
   const [viewState, setViewState] = useState({
@@ -19,6 +38,7 @@ export default function OriginalApp() {
   const [isLoaded, setIsLoaded] = useState(false);
   const [events, setEvents] = useState([]);
   const [arcEvents, setArcEvents] = useState([]);
+  const [areas, setAreas] = useState([]);
   const [chatInput, setChatInput] = useState('');
   const [isProcessingChat, setIsProcessingChat] = useState(false);
   const [chatHistory, setChatHistory] = useState([]);
@@ -30,6 +50,114 @@ export default function OriginalApp() {
   
   // Globe controls
   const [rotationSpeed, setRotationSpeed] = useState(0.002);
+  const [showEventTypes, setShowEventTypes] = useState(false);
+
+  // Geocoding cache metrics and import
+  const [cacheStats, setCacheStats] = useState(null);
+  const cacheFileInput = useRef(null);
+
+  const refreshCacheStats = useCallback(async () => {
+    setCacheStats(await getGeocodingCacheStats());
+  }, []);
+
+  useEffect(() => {
+    refreshCacheStats();
+  }, [refreshCacheStats]);
+
+  // Country polygons for picking and the choropleth
+  const [countries, setCountries] = useState(getLoadedCountries);
+
+  useEffect(() => {
+    if (countries) return;
+    loadCountries()
+      .then(setCountries)
+      .catch(error => console.error('Failed to load country polygons:', error));
+  }, [countries]);
+
+  // Choropleth: 'off', 'events' (event count per country) or 'custom' (pasted metric)
+  const [choroplethMode, setChoroplethMode] = useState('off');
+  const [metricInput, setMetricInput] = useState('');
+
+  const customMetric = useMemo(() => parseChoroplethInput(metricInput), [metricInput]);
+
+  const choropleth = useMemo(() => {
+    if (choroplethMode === 'off' || !countries) return null;
+    const values = choroplethMode === 'events'
+      ? countEventsByCountry(events, countries)
+      : customMetric.values;
+    const { entries, unknown } = resolveChoroplethValues(values, countries);
+    return {
+      values,
+      unknown,
+      title: choroplethMode === 'events' ? 'Events' : 'Metric',
+      scale: createChoroplethScale(entries.map(entry => entry.value))
+    };
+  }, [choroplethMode, countries, events, customMetric]);
+
+  // Globe picking: the hovered country and the clicked point ({ feature, latitude, longitude })
+  const [hoveredCountry, setHoveredCountry] = useState(null);
+  const [selection, setSelection] = useState(null);
+
+  const handleSurfaceHover = useCallback((position) => {
+    const feature = position && countries ? countries.locate(position.latitude, position.longitude) : null;
+    setHoveredCountry(prev => (prev === feature ? prev : feature));
+  }, [countries]);
+
+  const handleSurfaceClick = useCallback(({ latitude, longitude }) => {
+    const feature = countries ? countries.locate(latitude, longitude) : null;
+    setSelection({ feature, latitude, longitude });
+  }, [countries]);
+
+  const selectionActivity = useMemo(() => (
+    selection?.feature && countries
+      ? getCountryActivity(countries, selection.feature, events, arcEvents)
+      : { events: [], arcs: [] }
+  ), [selection, countries, events, arcEvents]);
+
+  // Plot an event at the picked point from the country panel
+  const handlePlotAtSelection = useCallback(({ type, magnitude }) => {
+    const { feature, latitude, longitude } = selection;
+    setEvents(prev => [...prev, {
+      id: `manual-${Date.now()}`,
+      latitude,
+      longitude,
+      type,
+      magnitude,
+      timestamp: new Date().toISOString(),
+      plottedAt: new Date().toISOString(),
+      title: feature ? `${type} in ${feature.properties.name}` : type,
+      countryCode: feature ? getCountryKey(feature) : null,
+      source: 'manual'
+    }]);
+  }, [selection]);
+
+  // Plotted data and chat are saved to the open session and restored on reload
+  const sessionState = useMemo(
+    () => ({ events, arcs: arcEvents, areas, chatHistory }),
+    [events, arcEvents, areas, chatHistory]
+  );
+
+  const restoreSession = useCallback((state) => {
+    setEvents(state.events);
+    setArcEvents(state.arcs);
+    setAreas(state.areas);
+    setChatHistory(state.chatHistory);
+    setSelection(null);
+  }, []);
+
+  const session = useSession('original', { state: sessionState, onRestore: restoreSession });
+
+  // Selected and hovered countries are outlined on top of any event highlights
+  const highlightedAreas = useMemo(() => {
+    const picked = [];
+    if (hoveredCountry && hoveredCountry !== selection?.feature) {
+      picked.push({ id: 'hovered-country', countryCode: getCountryKey(hoveredCountry), color: '#88ccff', mode: 'outline' });
+    }
+    if (selection?.feature) {
+      picked.push({ id: 'selected-country', countryCode: getCountryKey(selection.feature), color: '#00ffff', mode: 'outline' });
+    }
+    return [...areas, ...picked];
+  }, [areas, hoveredCountry, selection]);
 
   useEffect(() => {
     // Add default New York earthquake event
@@ -40,7 +168,8 @@ export default function OriginalApp() {
       magnitude: 5.6,
       type: 'earthquake',
       timestamp: new Date().toISOString(),
-      title: 'New York City, NY'
+      title: 'New York City, NY',
+      countryCode: 'US'
     }]);
     setIsLoaded(true);
   }, []);
@@ -56,116 +185,13 @@ export default function OriginalApp() {
       const userMessage = { type: 'user', text: input, timestamp: new Date() };
       setChatHistory(prev => [...prev, userMessage]);
 
-      // Use OpenAI API to parse the event
-      const response = await openaiService.chatCompletion([
-        { role: 'system', content: AGENT_CONFIG.systemPrompt },
-        { role: 'user', content: input }
-      ], {
-        temperature: AGENT_CONFIG.temperature
-      });
+      // Parse, geocode and style through the shared pipeline
+      const result = await eventPipeline.process(input);
 
-      const content = response.choices[0].message.content;
-      
-      // Parse response
-      let parsedEvents;
-      try {
-        parsedEvents = JSON.parse(content);
-        if (!Array.isArray(parsedEvents)) {
-          parsedEvents = [parsedEvents];
-        }
-      } catch {
-        const matches = content.match(/\{[\s\S]*?\}/g);
-        if (matches) {
-          parsedEvents = matches.map(jsonStr => JSON.parse(jsonStr));
-        } else {
-          throw new Error('Could not parse AI response');
-        }
-      }
-
-      // Process each parsed event
-      for (const parsed of parsedEvents) {
-        // Add AI agent's response message to chat history
-        if (parsed.message) {
-          const agentMessage = { 
-            type: 'agent', 
-            text: parsed.message,
-            timestamp: new Date()
-          };
-          setChatHistory(prev => [...prev, agentMessage]);
-        }
-
-        // Handle different action types
-        switch (parsed.action) {
-          case 'plot_event':
-            if (!parsed.location) {
-              throw new Error('Location is required for plotting events');
-            }
-            
-            const coords = await geocodingService.geocodeLocation(parsed.location);
-            const eventData = {
-              id: `event-${Date.now()}`,
-              longitude: coords.longitude,
-              latitude: coords.latitude,
-              magnitude: parsed.magnitude || 5.0,
-              type: parsed.eventType || 'earthquake',
-              timestamp: new Date().toISOString(),
-              title: coords.formatted,
-              description: input
-            };
-            
-            setEvents(prev => [...prev, eventData]);
-            
-            const successMessage = { 
-              type: 'success', 
-              text: `✅ Event plotted successfully at ${coords.formatted}`,
-              timestamp: new Date()
-            };
-            setChatHistory(prev => [...prev, successMessage]);
-            break;
-
-          case 'plot_arc':
-            if (!parsed.from || !parsed.to) {
-              throw new Error('Both origin and destination are required for arc events');
-            }
-            
-            const [fromCoords, toCoords] = await Promise.all([
-              geocodingService.geocodeLocation(parsed.from),
-              geocodingService.geocodeLocation(parsed.to)
-            ]);
-            
-            const arcEvent = {
-              id: `arc-${Date.now()}`,
-              startLatLng: { lat: fromCoords.latitude, lng: fromCoords.longitude },
-              endLatLng: { lat: toCoords.latitude, lng: toCoords.longitude },
-              color: parsed.eventType === 'missile' ? '#ff0000' : '#4488ff',
-              type: parsed.eventType || 'generic',
-              animated: true,
-              from: parsed.from,
-              to: parsed.to,
-              timestamp: new Date().toISOString()
-            };
-            
-            setArcEvents(prev => [...prev, arcEvent]);
-            
-            const arcMsg = { 
-              type: 'success', 
-              text: `🟠 Arc plotted: ${parsed.from} → ${parsed.to}`,
-              timestamp: new Date()
-            };
-            setChatHistory(prev => [...prev, arcMsg]);
-            break;
-
-          case 'get_info':
-            // Information request - the agent message is already added above
-            break;
-
-          case 'error':
-            throw new Error(parsed.message || 'Unknown error occurred');
-
-          default:
-            throw new Error(`Unknown action type: ${parsed.action}`);
-        }
-      }
+      setEvents(prev => [...prev, ...result.events]);
+      setArcEvents(prev => [...prev, ...result.arcs]);
+      setAreas(prev => [...prev, ...result.areas]);
+      setChatHistory(prev => [...prev, ...toChatMessages(result)]);
     } catch (error) {
       const errorMessage = { 
         type: 'error', 
@@ -176,9 +202,61 @@ export default function OriginalApp() {
       console.error('Chat input error:', error);
     } finally {
       setIsProcessingChat(false);
+      refreshCacheStats();
     }
+  }, [refreshCacheStats]);
+
+  // Handle a pick from an inline "did you mean" location choice (false = skipped)
+  const handleLocationChoice = useCallback(async (pending, candidate) => {
+    setChatHistory(prev => prev.map(message =>
+      message.pending?.id === pending.id ? { ...message, chosen: candidate } : message
+    ));
+    if (!candidate) return;
+
+    setIsProcessingChat(true);
+    try {
+      const result = await eventPipeline.confirm(pending, candidate);
+
+      setEvents(prev => [...prev, ...result.events]);
+      setArcEvents(prev => [...prev, ...result.arcs]);
+      setAreas(prev => [...prev, ...result.areas]);
+      setChatHistory(prev => [...prev, ...toChatMessages(result)]);
+    } catch (error) {
+      setChatHistory(prev => [...prev, { type: 'error', text: `❌ Error: ${error.message}`, timestamp: new Date() }]);
+      console.error('Location choice error:', error);
+    } finally {
+      setIsProcessingChat(false);
+      refreshCacheStats();
+    }
+  }, [refreshCacheStats]);
+
+  // Download the geocoding cache so it can be shared as a warm cache
+  const handleExportCache = useCallback(async () => {
+    const json = await exportGeocodingCache();
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `geocode-cache-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
   }, []);
 
+  // Merge a shared cache file into the local cache
+  const handleImportCache = useCallback(async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const count = await importGeocodingCache(await file.text());
+      setChatHistory(prev => [...prev, { type: 'system', text: `📥 Imported ${count} geocoding cache entries`, timestamp: new Date() }]);
+    } catch (error) {
+      setChatHistory(prev => [...prev, { type: 'error', text: `❌ Cache import failed: ${error.message}`, timestamp: new Date() }]);
+    } finally {
+      refreshCacheStats();
+    }
+  }, [refreshCacheStats]);
+
   // Handle news processing in dev panel
   const handleNewsProcessing = useCallback(async () => {
     if (!newsInput.trim()) return;
@@ -252,6 +330,31 @@ export default function OriginalApp() {
       <StatusIndicator statusText="Listening for events…" />
       <div className="app">
         <div className="controls">
+          <h3>Session</h3>
+          <SessionSwitcher session={session} style={{ marginBottom: '20px' }} />
+
+          <h3>Language Model</h3>
+          <LlmProviderPicker style={{ marginBottom: '20px' }} />
+
+          <h3>Event Types</h3>
+          <button
+            onClick={() => setShowEventTypes(true)}
+            title="Edit event types"
+            style={{
+              width: '100%',
+              padding: '8px',
+              backgroundColor: '#333',
+              color: 'white',
+              border: '1px solid #555',
+              borderRadius: '4px',
+              cursor: 'pointer',
+              marginBottom: '20px',
+              fontSize: '12px'
+            }}
+          >
+            ⚙ Event types
+          </button>
+
           <h3>Globe Controls</h3>
           <p>• Left-drag to rotate the globe</p>
           <p>• Right-drag to adjust view angle</p>
@@ -259,11 +362,7 @@ export default function OriginalApp() {
           <p>• Component loaded: {isLoaded ? 'Yes' : 'No'}</p>
           
           <button
-            onClick={() => {
-              setEvents([]);
-              setArcEvents([]);
-              setChatHistory([]);
-            }}
+            onClick={session.clearAll}
             style={{
               width: '100%',
               padding: '10px',
@@ -279,6 +378,24 @@ export default function OriginalApp() {
           >
             Clear All Events
           </button>
+          {session.canUndoClear && (
+            <button
+              onClick={session.undoClear}
+              style={{
+                width: '100%',
+                padding: '8px',
+                backgroundColor: '#6c757d',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                cursor: 'pointer',
+                marginBottom: '10px',
+                fontSize: '12px'
+              }}
+            >
+              ↶ Undo Clear All
+            </button>
+          )}
           
           <hr style={{ margin: '20px 0', border: '1px solid #ccc' }} />
           
@@ -307,7 +424,14 @@ export default function OriginalApp() {
                 {'>'} Try: "Iran sends missiles to Iraq"
               </div>
             )}
-            {chatHistory.map((message, index) => (
+            {chatHistory.map((message, index) => message.type === 'choice' ? (
+              <LocationChoice
+                key={message.pending.id}
+                pending={message.pending}
+                chosen={message.chosen}
+                onChoose={(candidate) => handleLocationChoice(message.pending, candidate)}
+              />
+            ) : (
               <div key={index} style={{ marginBottom: '5px' }}>
                 <span style={{ color: '#888' }}>
                   {message.timestamp.toLocaleTimeString()}
@@ -355,6 +479,71 @@ export default function OriginalApp() {
           <p style={{ fontSize: '12px', color: '#666', marginTop: '10px' }}>
             Events plotted: {events.length} | Arcs: {arcEvents.length}
           </p>
+
+          <hr style={{ margin: '20px 0', border: '1px solid #ccc' }} />
+
+          <h3>Choropleth</h3>
+          <select
+            value={choroplethMode}
+            onChange={(e) => setChoroplethMode(e.target.value)}
+            style={{ width: '100%', padding: '6px', fontSize: '12px', marginBottom: '10px' }}
+          >
+            <option value="off">Off</option>
+            <option value="events">Events per country</option>
+            <option value="custom">Custom metric</option>
+          </select>
+          {choroplethMode === 'custom' && (
+            <>
+              <textarea
+                value={metricInput}
+                onChange={(e) => setMetricInput(e.target.value)}
+                placeholder={'One country per line, e.g.\nFrance: 12\nJP, 4.5\nor a JSON object {"US": 30}'}
+                rows={5}
+                style={{
+                  width: '100%',
+                  padding: '6px',
+                  fontFamily: 'monospace',
+                  fontSize: '12px',
+                  boxSizing: 'border-box'
+                }}
+              />
+              {customMetric.errors.length > 0 && (
+                <p style={{ fontSize: '12px', color: '#dc3545', marginTop: '5px' }}>
+                  Could not read: {customMetric.errors.join(' | ')}
+                </p>
+              )}
+            </>
+          )}
+
+          <hr style={{ margin: '20px 0', border: '1px solid #ccc' }} />
+
+          <h3>Geocoding Cache</h3>
+          <p style={{ fontSize: '12px', color: '#666', marginBottom: '10px' }}>
+            {cacheStats
+              ? `${cacheStats.size} entries (${cacheStats.negativeEntries} not found) | Hit rate: ${Math.round(cacheStats.hitRate * 100)}% | ${cacheStats.persistent ? 'Saved in browser' : 'Memory only'}`
+              : 'Loading...'}
+          </p>
+          <div style={{ display: 'flex', gap: '10px' }}>
+            <button
+              onClick={handleExportCache}
+              style={{ flex: 1, padding: '8px', cursor: 'pointer', fontSize: '12px' }}
+            >
+              Export Cache
+            </button>
+            <button
+              onClick={() => cacheFileInput.current.click()}
+              style={{ flex: 1, padding: '8px', cursor: 'pointer', fontSize: '12px' }}
+            >
+              Import Cache
+            </button>
+            <input
+              ref={cacheFileInput}
+              type="file"
+              accept="application/json,.json"
+              onChange={handleImportCache}
+              style={{ display: 'none' }}
+            />
+          </div>
         </div>
         
         <div className="globe-container" style={{ position: 'relative' }}>
@@ -386,8 +575,19 @@ export default function OriginalApp() {
                 <Globe 
                   enableRotation={true}
                   rotationSpeed={rotationSpeed}
+                  onSurfaceClick={handleSurfaceClick}
+                  onSurfaceHover={handleSurfaceHover}
                 >
-                  <Markers 
+                  {choropleth && (
+                    <ChoroplethLayer
+                      values={choropleth.values}
+                      scale={choropleth.scale}
+                      title={choropleth.title}
+                    />
+                  )}
+                  <CountryHighlights areas={highlightedAreas} />
+                  <ImpactRings events={events} />
+                  <ClusteredMarkers
                     events={events}
                     onMarkerClick={(marker) => {
                       console.log('Marker clicked:', marker);
@@ -403,6 +603,7 @@ export default function OriginalApp() {
                 
                 {/* Controls */}
                 <OrbitControls
+                  makeDefault
                   enablePan={true}
                   enableZoom={true}
                   enableRotate={true}
@@ -412,8 +613,23 @@ export default function OriginalApp() {
                   minDistance={8}
                   maxDistance={50}
                 />
+                <ViewPersistence view={session.view} onChange={session.onViewChange} />
               </Canvas>
-              
+
+              <CountryPanel
+                selection={selection}
+                activity={selectionActivity}
+                onClose={() => setSelection(null)}
+                onPlotEvent={handlePlotAtSelection}
+              />
+
+              {choropleth && (
+                <ChoroplethLegend
+                  title={choropleth.title}
+                  scale={choropleth.scale}
+                  unknown={choropleth.unknown}
+                />
+              )}
             </>
           ) : (
             <div style={{ 
@@ -604,6 +820,8 @@ export default function OriginalApp() {
           </div>
         </div>
       </div>
+
+      {showEventTypes && <EventTypeSettings onClose={() => setShowEventTypes(false)} />}
     </>
   );
 }
\ No newline at end of file
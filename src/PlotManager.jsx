@@ -1,4 +1,4 @@
-import React, { useCallback, useMemo, useRef, useEffect } from 'react';
+import React, { useCallback, useMemo, useRef, useEffect, useState } from 'react';
 import { 
   ScatterplotLayer, 
   GeoJsonLayer, 
@@ -8,6 +8,9 @@ import {
   IconLayer
 } from '@deck.gl/layers';
 import { geoDistance } from 'd3-geo';
+import { loadCountries, getLoadedCountries } from './globe/utils/countries.js';
+import { getEventConfig } from './globe/utils/globeUtils.js';
+import { scaleMagnitude } from './globe/utils/magnitudeScale.js';
 
 // Animation utilities
 const createPulseAnimation = (baseRadius, pulseIntensity = 0.3, pulseSpeed = 2) => {
@@ -65,22 +68,136 @@ const fallbackPolygon = {
   ]
 };
 
-// Default icon atlas and mapping
-const iconAtlas = '/icons/icon-atlas.png'; // You should provide this PNG in your public/icons folder
+// Icon mapping for IconLayer, keyed by iconType (auto-packed from /public/icons)
 const iconMapping = {
-  earthquake: { x: 0, y: 0, width: 64, height: 64, mask: true },
-  missile:    { x: 64, y: 0, width: 64, height: 64, mask: true },
-  alert:      { x: 128, y: 0, width: 64, height: 64, mask: true },
-  volcano:    { x: 192, y: 0, width: 64, height: 64, mask: true },
+  earthquake: { url: '/icons/earthquake.png', width: 64, height: 64, mask: false },
+  missile:    { url: '/icons/rocket.png', width: 64, height: 64, mask: false },
+  alert:      { url: '/icons/alrt.png', width: 64, height: 64, mask: false },
+  volcano:    { url: '/icons/volcaner.png', width: 64, height: 64, mask: false },
   // Add more as needed
 };
 
+// Utility: Resolve an icon definition for IconLayer.getIcon
+const getIconDefinition = iconType => {
+  const icon = iconMapping[iconType] || iconMapping.alert;
+  return { ...icon, id: iconMapping[iconType] ? iconType : 'alert' };
+};
+
+// Utility: Coerce polygon input into a FeatureCollection, falling back to a known-good polygon
+const toFeatureCollection = data => {
+  if (isValidFeatureCollection(data)) {
+    return data;
+  }
+  // A single ring: [[lng, lat], ...]
+  if (isValidPolygon(data)) {
+    return {
+      type: 'FeatureCollection',
+      features: [{ type: 'Feature', geometry: { type: 'Polygon', coordinates: [data] } }]
+    };
+  }
+  // A polygon with holes: [[[lng, lat], ...], ...]
+  if (Array.isArray(data) && data.length > 0 && data.every(isValidPolygon)) {
+    return {
+      type: 'FeatureCollection',
+      features: [{ type: 'Feature', geometry: { type: 'Polygon', coordinates: data } }]
+    };
+  }
+  console.warn('Invalid polygon data, using fallback polygon');
+  return fallbackPolygon;
+};
+
+// Utility: Country name or ISO code given as area data ('Iran' or { country: 'IR' }), or null
+const getCountryReference = data => {
+  if (typeof data === 'string') return data;
+  if (data && typeof data === 'object' && typeof data.country === 'string') return data.country;
+  return null;
+};
+
+// Utility: Polygon data for an area highlight, resolving country names to their borders
+// Draws nothing until the country polygons have loaded (addLayer refreshes the layer then);
+// returns null for unknown countries.
+const toAreaFeatureCollection = data => {
+  const country = getCountryReference(data);
+  if (!country) {
+    return toFeatureCollection(data);
+  }
+  const countries = getLoadedCountries();
+  if (!countries) {
+    return { type: 'FeatureCollection', features: [] };
+  }
+  const feature = countries.resolve(country);
+  if (!feature) {
+    console.warn(`Unknown country for area highlight: ${country}`);
+    return null;
+  }
+  return { type: 'FeatureCollection', features: [feature] };
+};
+
+// Utility: Read a point position from the different shapes used by callers
+const getPointPosition = (d, height = 0) =>
+  [d.longitude ?? d.lng ?? 0, d.latitude ?? d.lat ?? 0, height];
+
+// Utility: Build an arrow polygon pointing along a compass bearing (0 = north, clockwise)
+const createArrowPolygon = (longitude, latitude, direction, arrowLength, arrowWidth, height) => {
+  const bearing = direction * Math.PI / 180;
+  // Degrees of longitude shrink towards the poles
+  const lngScale = 1 / Math.max(Math.cos(latitude * Math.PI / 180), 0.01);
+  const halfShaft = arrowWidth / 2;
+  const halfHead = arrowWidth * 1.5;
+  const headLength = arrowLength * 0.35;
+  const shaftLength = arrowLength - headLength;
+
+  // [along, across] pairs in degrees, across is positive to the right of the bearing
+  const outline = [
+    [0, -halfShaft],
+    [shaftLength, -halfShaft],
+    [shaftLength, -halfHead],
+    [arrowLength, 0],
+    [shaftLength, halfHead],
+    [shaftLength, halfShaft],
+    [0, halfShaft],
+    [0, -halfShaft]
+  ];
+
+  return outline.map(([along, across]) => {
+    const east = along * Math.sin(bearing) + across * Math.cos(bearing);
+    const north = along * Math.cos(bearing) - across * Math.sin(bearing);
+    return [longitude + east * lngScale, latitude + north, height];
+  });
+};
+
+// Utility: radius for a magnitude on the event type's scale; unchanged without a magnitude
+const getMagnitudeRadius = (baseRadius, eventType, magnitude) => {
+  if (!Number.isFinite(magnitude)) return baseRadius;
+  return baseRadius * scaleMagnitude(getEventConfig(eventType), magnitude).sizeFactor;
+};
+
+// Utility: Icon overlay shared by marker-style effects
+const createIconLayer = (id, data, { iconType, iconSize = 32, height = 0, pickable = true }) =>
+  new IconLayer({
+    id: `${id}-icon`,
+    data,
+    getIcon: d => getIconDefinition(d.iconType || iconType),
+    getPosition: d => getPointPosition(d, height),
+    getSize: iconSize,
+    sizeUnits: 'pixels',
+    billboard: true,
+    pickable
+  });
+
+// Layer types whose visuals depend on the animation timestamp
+const ANIMATED_LAYER_TYPES = ['explosion', 'glowing_border'];
+
 // Layer generators for different visual effects
 class LayerGenerators {
   // Pulsing dot effect
+  // A datum's `magnitude` (or options.magnitude) scales baseRadius the way globe markers are
+  // scaled, using its `type` (or options.eventType) from the event taxonomy
   static createPulsingDotLayer(id, data, options = {}) {
     const {
       baseRadius = 10000,
+      magnitude,
+      eventType,
       pulseIntensity = 0.3,
       pulseSpeed = 2,
       color = [255, 0, 0, 180],
@@ -93,7 +210,8 @@ class LayerGenerators {
       id: `pulsing-dot-${id}`,
       data,
       getPosition: d => [d.longitude || d.lng || 0, d.latitude || d.lat || 0, height],
-      getRadius: ({timestamp}) => baseRadius * (1 + pulseIntensity * Math.sin((timestamp || 0) * 0.002 * pulseSpeed)),
+      getRadius: d => getMagnitudeRadius(baseRadius, d.type || eventType, d.magnitude ?? magnitude) *
+        (1 + pulseIntensity * Math.sin((d.timestamp || 0) * 0.002 * pulseSpeed)),
       getFillColor: color,
       stroked: true,
       getLineColor: strokeColor,
@@ -102,7 +220,7 @@ class LayerGenerators {
       opacity: 1,
       filled: true,
       updateTriggers: {
-        getRadius: [pulseIntensity, pulseSpeed]
+        getRadius: [baseRadius, magnitude, eventType, pulseIntensity, pulseSpeed]
       }
     });
   }
@@ -129,6 +247,193 @@ class LayerGenerators {
       opacity
     });
   }
+
+  // Explosion effect: expanding, fading ring with an optional icon at the epicentre
+  static createExplosionLayer(id, data, options = {}) {
+    const {
+      baseRadius = 10000,
+      maxRadius = 50000,
+      duration = 2000,
+      color = [255, 165, 0, 150],
+      strokeColor = [255, 255, 255, 200],
+      strokeWidth = 2,
+      height = 100000,
+      iconType = null,
+      iconSize = 32,
+      pickable = true,
+      timestamp = 0
+    } = options;
+
+    const radius = createExplosionAnimation(baseRadius, maxRadius, duration)(timestamp);
+    const progress = maxRadius > baseRadius ? (radius - baseRadius) / (maxRadius - baseRadius) : 0;
+    const fade = 1 - progress;
+
+    const layers = [
+      new ScatterplotLayer({
+        id: `explosion-${id}`,
+        data,
+        getPosition: d => getPointPosition(d, height),
+        getRadius: radius,
+        getFillColor: [color[0], color[1], color[2], Math.round((color[3] ?? 255) * fade)],
+        getLineColor: [strokeColor[0], strokeColor[1], strokeColor[2], Math.round((strokeColor[3] ?? 255) * fade)],
+        stroked: true,
+        filled: true,
+        lineWidthMinPixels: strokeWidth,
+        pickable
+      })
+    ];
+
+    if (iconType || data.some(d => d.iconType)) {
+      layers.push(createIconLayer(`explosion-${id}`, data, { iconType, iconSize, height, pickable }));
+    }
+
+    return layers;
+  }
+
+  // Glowing border effect: pulsing outline with a soft halo underneath
+  static createGlowingBorderLayer(id, data, options = {}) {
+    const {
+      lineWidth = 3,
+      baseColor = [0, 255, 255, 200],
+      glowIntensity = 0.5,
+      glowSpeed = 1.5,
+      glowWidth = 4,
+      pickable = true,
+      timestamp = 0
+    } = options;
+
+    const featureCollection = toFeatureCollection(data);
+    const baseOpacity = (baseColor[3] ?? 255) / 255;
+    const opacity = createGlowAnimation(baseOpacity * (1 - glowIntensity), glowIntensity / 2, glowSpeed)(timestamp);
+    const [r, g, b] = baseColor;
+
+    return [
+      new GeoJsonLayer({
+        id: `glowing-border-${id}-halo`,
+        data: featureCollection,
+        stroked: true,
+        filled: false,
+        getLineColor: [r, g, b, Math.round(255 * opacity * 0.35)],
+        lineWidthUnits: 'pixels',
+        getLineWidth: lineWidth * glowWidth,
+        pickable: false
+      }),
+      new GeoJsonLayer({
+        id: `glowing-border-${id}`,
+        data: featureCollection,
+        stroked: true,
+        filled: false,
+        getLineColor: [r, g, b, Math.round(255 * opacity)],
+        lineWidthUnits: 'pixels',
+        getLineWidth: lineWidth,
+        pickable
+      })
+    ];
+  }
+
+  // Directional arrow effect: arrow polygon along each datum's bearing
+  static createDirectionalArrowLayer(id, data, options = {}) {
+    const {
+      arrowLength = 0.5,
+      arrowWidth = 0.1,
+      direction = 0,
+      color = [255, 255, 0, 200],
+      strokeColor = [255, 255, 255, 255],
+      strokeWidth = 2,
+      height = 75000,
+      iconType = null,
+      iconSize = 32,
+      pickable = true
+    } = options;
+
+    const layers = [
+      new PolygonLayer({
+        id: `directional-arrow-${id}`,
+        data,
+        getPolygon: d => {
+          const [longitude, latitude] = getPointPosition(d);
+          return createArrowPolygon(longitude, latitude, d.direction ?? direction, arrowLength, arrowWidth, height);
+        },
+        getFillColor: color,
+        getLineColor: strokeColor,
+        stroked: true,
+        filled: true,
+        lineWidthMinPixels: strokeWidth,
+        pickable,
+        updateTriggers: {
+          getPolygon: [arrowLength, arrowWidth, direction, height]
+        }
+      })
+    ];
+
+    if (iconType || data.some(d => d.iconType)) {
+      layers.push(createIconLayer(`directional-arrow-${id}`, data, { iconType, iconSize, height, pickable }));
+    }
+
+    return layers;
+  }
+
+  // Event marker effect: static dot with an optional icon
+  static createEventMarkerLayer(id, data, options = {}) {
+    const {
+      radius = 20000,
+      color = [0, 255, 0, 200],
+      strokeColor = [255, 255, 255, 255],
+      strokeWidth = 1,
+      height = 0,
+      iconType = null,
+      iconSize = 32,
+      pickable = true
+    } = options;
+
+    const layers = [
+      new ScatterplotLayer({
+        id: `event-marker-${id}`,
+        data,
+        getPosition: d => getPointPosition(d, height),
+        getRadius: radius,
+        getFillColor: color,
+        getLineColor: strokeColor,
+        stroked: true,
+        filled: true,
+        lineWidthMinPixels: strokeWidth,
+        pickable
+      })
+    ];
+
+    if (iconType || data.some(d => d.iconType)) {
+      layers.push(createIconLayer(`event-marker-${id}`, data, { iconType, iconSize, height, pickable }));
+    }
+
+    return layers;
+  }
+
+  // Area highlight effect: filled polygon with outline
+  static createAreaHighlightLayer(id, data, options = {}) {
+    const {
+      fillColor = [255, 255, 0, 80],
+      strokeColor = [255, 255, 0, 250],
+      strokeWidth = 2,
+      pickable = true
+    } = options;
+
+    const featureCollection = toAreaFeatureCollection(data);
+    if (!featureCollection) {
+      return null;
+    }
+
+    return new GeoJsonLayer({
+      id: `area-highlight-${id}`,
+      data: featureCollection,
+      stroked: true,
+      filled: true,
+      getFillColor: fillColor,
+      getLineColor: strokeColor,
+      lineWidthUnits: 'pixels',
+      getLineWidth: strokeWidth,
+      pickable
+    });
+  }
 }
 
 // Main PlotManager class
@@ -139,6 +444,18 @@ class PlotManager {
     this.animationFrameId = null;
     this.lastTimestamp = 0;
     this.timestamp = 0;
+    this.listeners = new Set();
+  }
+
+  // Call `listener` whenever the layers change, including every animation frame; returns the
+  // unsubscribe function
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => listener());
   }
 
   // Generate a unique layer ID
@@ -157,50 +474,69 @@ class PlotManager {
     } = eventInstruction;
 
     const layerId = id || this.generateLayerId(type);
-    let layer;
+    const layer = this.createLayer(type, layerId, data, { ...options, timestamp: this.timestamp });
+    if (!layer) {
+      return null;
+    }
+
+    this.layers.set(layerId, {
+      layer,
+      type,
+      data,
+      options,
+      createdAt: Date.now()
+    });
+
+    if (ANIMATED_LAYER_TYPES.includes(type)) {
+      this.startAnimation();
+    }
 
-    // Only support dot
+    // Country highlights are redrawn once the country polygons arrive
+    if (type === 'area_highlight' && getCountryReference(data) && !getLoadedCountries()) {
+      loadCountries()
+        .then(() => {
+          const layerInfo = this.layers.get(layerId);
+          if (layerInfo && layerInfo.data === data) {
+            this.updateLayerData(layerId, data);
+          }
+        })
+        .catch(error => console.error('Failed to load country polygons:', error));
+    }
+
+    this.notify();
+    return layerId;
+  }
+
+  // Build the deck.gl layer (or layers) for an effect type
+  createLayer(type, layerId, data, options) {
     switch (type) {
       case 'pulsing_dot':
-        layer = LayerGenerators.createPulsingDotLayer(layerId, data, options);
-        break;
+        return LayerGenerators.createPulsingDotLayer(layerId, data, options);
       case 'animated_arc':
-        layer = LayerGenerators.createArcLayer(layerId, data, options);
-        break;
+        return LayerGenerators.createArcLayer(layerId, data, options);
       case 'explosion':
-        layer = LayerGenerators.createExplosionLayer(layerId, data, options);
-        break;
+        return LayerGenerators.createExplosionLayer(layerId, data, options);
       case 'glowing_border':
-        layer = LayerGenerators.createGlowingBorderLayer(layerId, data, options);
-        break;
+        return LayerGenerators.createGlowingBorderLayer(layerId, data, options);
       case 'directional_arrow':
-        layer = LayerGenerators.createDirectionalArrowLayer(layerId, data, options);
-        break;
+        return LayerGenerators.createDirectionalArrowLayer(layerId, data, options);
       case 'event_marker':
-        layer = LayerGenerators.createEventMarkerLayer(layerId, data, options);
-        break;
+        return LayerGenerators.createEventMarkerLayer(layerId, data, options);
       case 'area_highlight':
-        layer = LayerGenerators.createAreaHighlightLayer(layerId, data, options);
-        break;
+        return LayerGenerators.createAreaHighlightLayer(layerId, data, options);
       default:
         console.warn(`Unknown layer type: ${type}`);
         return null;
     }
-
-    this.layers.set(layerId, {
-      layer,
-      type,
-      data,
-      options,
-      createdAt: Date.now()
-    });
-
-    return layerId;
   }
 
   // Remove a layer by ID
   removeLayer(layerId) {
-    return this.layers.delete(layerId);
+    const removed = this.layers.delete(layerId);
+    if (removed) {
+      this.notify();
+    }
+    return removed;
   }
 
   // Remove all layers of a specific type
@@ -212,15 +548,22 @@ class PlotManager {
       }
     }
     toRemove.forEach(id => this.layers.delete(id));
+    if (toRemove.length > 0) {
+      this.notify();
+    }
     return toRemove.length;
   }
 
-  // Update layer data
+  // Update layer data (also how country highlights are redrawn once the polygons load)
   updateLayerData(layerId, newData) {
     const layerInfo = this.layers.get(layerId);
     if (layerInfo) {
       layerInfo.data = newData;
-      layerInfo.layer.setProps({ data: newData });
+      layerInfo.layer = this.createLayer(layerInfo.type, layerId, newData, {
+        ...layerInfo.options,
+        timestamp: this.timestamp
+      });
+      this.notify();
       return true;
     }
     return false;
@@ -243,9 +586,9 @@ class PlotManager {
     return false;
   }
 
-  // Get all layers as an array
+  // Get all layers as a flat array (some effects are made of several deck.gl layers)
   getAllLayers() {
-    return Array.from(this.layers.values()).map(info => info.layer);
+    return Array.from(this.layers.values()).flatMap(info => info.layer);
   }
 
   // Get layer info by ID
@@ -257,12 +600,13 @@ class PlotManager {
   getLayersByType(type) {
     return Array.from(this.layers.values())
       .filter(info => info.type === type)
-      .map(info => info.layer);
+      .flatMap(info => info.layer);
   }
 
   // Clear all layers
   clearAllLayers() {
     this.layers.clear();
+    this.notify();
   }
 
   // Get layer statistics
@@ -294,19 +638,29 @@ class PlotManager {
     return results;
   }
 
-  // Start animation loop for layers that need it
+  // Start animation loop for layers that need it; it stops once no animated layers are left
   startAnimation() {
     if (this.animationFrameId) return;
     
     const animate = (timestamp) => {
       this.lastTimestamp = timestamp;
       this.timestamp = timestamp;
-      // Update all IconLayers with new timestamp
-      for (const { layer } of this.layers.values()) {
-        if (layer && typeof layer.setProps === 'function') {
-          layer.setProps({ timestamp });
+      // Rebuild time-dependent layers with the new timestamp
+      let animated = 0;
+      for (const [layerId, layerInfo] of this.layers) {
+        if (ANIMATED_LAYER_TYPES.includes(layerInfo.type)) {
+          layerInfo.layer = this.createLayer(layerInfo.type, layerId, layerInfo.data, {
+            ...layerInfo.options,
+            timestamp
+          });
+          animated++;
         }
       }
+      if (animated === 0) {
+        this.animationFrameId = null;
+        return;
+      }
+      this.notify();
       this.animationFrameId = requestAnimationFrame(animate);
     };
     
@@ -325,6 +679,7 @@ class PlotManager {
   destroy() {
     this.stopAnimation();
     this.clearAllLayers();
+    this.listeners.clear();
   }
 }
 
@@ -336,11 +691,19 @@ export const usePlotManager = () => {
   if (!plotManagerRef.current) {
     if (!globalPlotManager) {
       globalPlotManager = new PlotManager();
-      globalPlotManager.startAnimation();
     }
     plotManagerRef.current = globalPlotManager;
   }
 
+  // Current deck.gl layers, re-read whenever the manager changes them (animation frames included)
+  const [layers, setLayers] = useState(() => plotManagerRef.current.getAllLayers());
+
+  useEffect(() => {
+    const manager = plotManagerRef.current;
+    setLayers(manager.getAllLayers());
+    return manager.subscribe(() => setLayers(manager.getAllLayers()));
+  }, []);
+
   const addLayer = useCallback((eventInstruction) => {
     return plotManagerRef.current?.addLayer(eventInstruction);
   }, []);
@@ -386,6 +749,7 @@ export const usePlotManager = () => {
   }, []);
 
   return {
+    layers,
     addLayer,
     removeLayer,
     removeLayersByType,
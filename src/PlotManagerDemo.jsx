@@ -112,23 +112,22 @@ const PlotManagerDemo = ({ onZoomTo }) => {
   const [lastAction, setLastAction] = useState('');
   const [showOnlyPlotManager, setShowOnlyPlotManager] = useState(false);
   const [showRaw, setShowRaw] = useState(false);
-  const [activeLayers, setActiveLayers] = useState([]);
   const [layerStats, setLayerStats] = useState({});
 
   const {
+    layers: activeLayers,
     addLayer,
     removeLayer,
     removeLayersByType,
-    getAllLayers,
     getLayerStats,
     clearAllLayers,
     processEventBatch
   } = usePlotManager();
 
+  // The manager reports every change to its layers, animation frames included
   useEffect(() => {
-    setActiveLayers(getAllLayers());
     setLayerStats(getLayerStats());
-  }, [getAllLayers, getLayerStats]);
+  }, [activeLayers, getLayerStats]);
 
   const addEffect = (effectKey) => {
     const event = KNOWN_GOOD_EVENTS[effectKey];
@@ -139,8 +138,6 @@ const PlotManagerDemo = ({ onZoomTo }) => {
         loc = ` @ [${event.data[0].longitude.toFixed(2)}, ${event.data[0].latitude.toFixed(2)}]`;
       }
       setLastAction(`Added ${effectKey} (layerId: ${layerId})${loc}`);
-      setActiveLayers(getAllLayers());
-      setLayerStats(getLayerStats());
     }
   };
 
@@ -148,29 +145,21 @@ const PlotManagerDemo = ({ onZoomTo }) => {
     const batch = EFFECTS.map(e => KNOWN_GOOD_EVENTS[e.key]);
     const results = processEventBatch(batch);
     setLastAction('Tested all effects');
-    setActiveLayers(getAllLayers());
-    setLayerStats(getLayerStats());
   };
 
   const resetGlobe = () => {
     clearAllLayers();
     setLastAction('Reset globe (cleared all PlotManager layers)');
-    setActiveLayers(getAllLayers());
-    setLayerStats(getLayerStats());
   };
 
   const handleRemoveLayer = (layerId) => {
     removeLayer(layerId);
     setLastAction(`Removed layer ${layerId}`);
-    setActiveLayers(getAllLayers());
-    setLayerStats(getLayerStats());
   };
 
   const handleRemoveType = (type) => {
     removeLayersByType(type);
     setLastAction(`Removed all layers of type ${type}`);
-    setActiveLayers(getAllLayers());
-    setLayerStats(getLayerStats());
   };
 
   // Legend for effect types
@@ -1,20 +1,46 @@
-import React, { useState, useCallback, useEffect } from 'react';
-import NewsFeed, { sampleNewsData } from './components/NewsFeed.jsx';
+import React, { useState, useCallback, useEffect, useMemo } from 'react';
+import NewsFeed from './components/NewsFeed.jsx';
 import GlobeView from './globe/components/GlobeView.jsx';
 import { openaiService, geocodingService } from './services/apiService.js';
-import { AGENT_CONFIG } from './agentConfig.js';
+import LocationChoice from './components/LocationChoice.jsx';
+import { eventPipeline, toChatMessages } from './services/eventPipeline.js';
+import SessionSwitcher from './components/SessionSwitcher.jsx';
+import EventTypeSettings from './components/EventTypeSettings.jsx';
+import { useSession } from './hooks/useSession.js';
+import { useNewsFeed } from './hooks/useNewsFeed.js';
+import { useLlmSelection } from './hooks/useLlmSelection.js';
+import LlmProviderPicker from './components/LlmProviderPicker.jsx';
 
 // Secure version of the main App component
 export default function SecureApp() {
   const [mode, setMode] = useState('newsfeed'); // 'newsfeed', 'globe', 'legacy'
-  const [newsData, setNewsData] = useState(sampleNewsData);
+  const newsFeed = useNewsFeed();
   const [events, setEvents] = useState([]);
   const [arcs, setArcs] = useState([]);
+  const [areas, setAreas] = useState([]);
   const [globalGlobeView, setGlobalGlobeView] = useState(false);
   const [chatInput, setChatInput] = useState('');
   const [isProcessing, setIsProcessing] = useState(false);
   const [chatHistory, setChatHistory] = useState([]);
-  const [apiStatus, setApiStatus] = useState({ openai: 'unknown', geocoding: 'unknown' });
+  const [apiStatus, setApiStatus] = useState({ geocoding: 'unknown' });
+  const [showEventTypes, setShowEventTypes] = useState(false);
+  const llmSelection = useLlmSelection();
+  const activeLlmProvider = openaiService.listProviders().find(provider => provider.id === llmSelection.provider);
+
+  // Plotted data and chat are saved to the open session and restored on reload
+  const sessionState = useMemo(
+    () => ({ events, arcs, areas, chatHistory }),
+    [events, arcs, areas, chatHistory]
+  );
+
+  const restoreSession = useCallback((state) => {
+    setEvents(state.events);
+    setArcs(state.arcs);
+    setAreas(state.areas);
+    setChatHistory(state.chatHistory);
+  }, []);
+
+  const session = useSession('secure', { state: sessionState, onRestore: restoreSession });
 
   // Check API status on mount
   useEffect(() => {
@@ -22,24 +48,19 @@ export default function SecureApp() {
   }, []);
 
   const checkApiStatus = async () => {
-    const status = { openai: 'unknown', geocoding: 'unknown' };
-    
-    // Check OpenAI API
-    try {
-      await openaiService.chatCompletion([
-        { role: 'user', content: 'test' }
-      ]);
-      status.openai = 'connected';
-    } catch (error) {
-      status.openai = error.message.includes('not configured') ? 'not_configured' : 'error';
-    }
+    // The LLM provider is tested on demand from its picker, so checks don't pay for completions
+    const status = { geocoding: 'unknown' };
     
     // Check Geocoding API
-    try {
-      await geocodingService.geocodeLocation('London');
-      status.geocoding = 'connected';
-    } catch (error) {
-      status.geocoding = error.message.includes('not configured') ? 'not_configured' : 'error';
+    if (!geocodingService.isConfigured()) {
+      status.geocoding = 'not_configured';
+    } else {
+      try {
+        await geocodingService.checkConnection();
+        status.geocoding = 'connected';
+      } catch {
+        status.geocoding = 'error';
+      }
     }
     
     setApiStatus(status);
@@ -54,99 +75,13 @@ export default function SecureApp() {
     setChatHistory(prev => [...prev, userMessage]);
 
     try {
-      // Use OpenAI API to parse the event
-      const response = await openaiService.chatCompletion([
-        { role: 'system', content: AGENT_CONFIG.systemPrompt },
-        { role: 'user', content: input }
-      ], {
-        temperature: AGENT_CONFIG.temperature
-      });
-
-      const content = response.choices[0].message.content;
-      
-      // Parse response
-      let parsedEvents;
-      try {
-        parsedEvents = JSON.parse(content);
-        if (!Array.isArray(parsedEvents)) {
-          parsedEvents = [parsedEvents];
-        }
-      } catch {
-        const matches = content.match(/\{[\s\S]*?\}/g);
-        if (matches) {
-          parsedEvents = matches.map(jsonStr => JSON.parse(jsonStr));
-        } else {
-          throw new Error('Could not parse AI response');
-        }
-      }
-
-      // Process each parsed event
-      for (const parsed of parsedEvents) {
-        switch (parsed.action) {
-          case 'plot_event':
-            if (parsed.location) {
-              const coords = await geocodingService.geocodeLocation(parsed.location);
-              const event = {
-                id: `event-${Date.now()}`,
-                latitude: coords.latitude,
-                longitude: coords.longitude,
-                type: parsed.eventType || 'earthquake',
-                magnitude: parsed.magnitude || 5.0,
-                timestamp: new Date().toISOString(),
-                title: parsed.location,
-                description: input
-              };
-              setEvents(prev => [...prev, event]);
-              
-              const successMsg = { 
-                type: 'success', 
-                text: `✅ Event plotted at ${coords.formatted}`,
-                timestamp: new Date()
-              };
-              setChatHistory(prev => [...prev, successMsg]);
-            }
-            break;
+      // Parse, geocode and style through the shared pipeline
+      const result = await eventPipeline.process(input);
 
-          case 'plot_arc':
-            if (parsed.from && parsed.to) {
-              const [fromCoords, toCoords] = await Promise.all([
-                geocodingService.geocodeLocation(parsed.from),
-                geocodingService.geocodeLocation(parsed.to)
-              ]);
-              
-              const arc = {
-                id: `arc-${Date.now()}`,
-                startLatLng: { lat: fromCoords.latitude, lng: fromCoords.longitude },
-                endLatLng: { lat: toCoords.latitude, lng: toCoords.longitude },
-                color: parsed.eventType === 'missile' ? '#ff0000' : '#4488ff',
-                type: parsed.eventType || 'generic',
-                animated: true,
-                title: `${parsed.from} → ${parsed.to}`,
-                from: parsed.from,
-                to: parsed.to
-              };
-              setArcs(prev => [...prev, arc]);
-              
-              const arcMsg = { 
-                type: 'success', 
-                text: `🟠 Arc plotted: ${parsed.from} → ${parsed.to}`,
-                timestamp: new Date()
-              };
-              setChatHistory(prev => [...prev, arcMsg]);
-            }
-            break;
-
-          default:
-            if (parsed.message) {
-              const agentMsg = { 
-                type: 'agent', 
-                text: parsed.message,
-                timestamp: new Date()
-              };
-              setChatHistory(prev => [...prev, agentMsg]);
-            }
-        }
-      }
+      setEvents(prev => [...prev, ...result.events]);
+      setArcs(prev => [...prev, ...result.arcs]);
+      setAreas(prev => [...prev, ...result.areas]);
+      setChatHistory(prev => [...prev, ...toChatMessages(result)]);
 
     } catch (error) {
       const errorMsg = { 
@@ -160,6 +95,28 @@ export default function SecureApp() {
     }
   }, []);
 
+  // Handle a pick from an inline "did you mean" location choice (false = skipped)
+  const handleLocationChoice = useCallback(async (pending, candidate) => {
+    setChatHistory(prev => prev.map(message =>
+      message.pending?.id === pending.id ? { ...message, chosen: candidate } : message
+    ));
+    if (!candidate) return;
+
+    setIsProcessing(true);
+    try {
+      const result = await eventPipeline.confirm(pending, candidate);
+
+      setEvents(prev => [...prev, ...result.events]);
+      setArcs(prev => [...prev, ...result.arcs]);
+      setAreas(prev => [...prev, ...result.areas]);
+      setChatHistory(prev => [...prev, ...toChatMessages(result)]);
+    } catch (error) {
+      setChatHistory(prev => [...prev, { type: 'error', text: `❌ Error: ${error.message}`, timestamp: new Date() }]);
+    } finally {
+      setIsProcessing(false);
+    }
+  }, []);
+
   const handleChatKeyPress = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -178,6 +135,13 @@ export default function SecureApp() {
     setArcs(prev => [...prev, arc]);
   }, []);
 
+  // Handle files dropped onto the globe; snapshots replace the scene
+  const handleImport = useCallback((items, { replace = false } = {}) => {
+    setEvents(prev => (replace ? items.events : [...prev, ...items.events]));
+    setArcs(prev => (replace ? items.arcs : [...prev, ...items.arcs]));
+    setAreas(prev => (replace ? items.areas : [...prev, ...items.areas]));
+  }, []);
+
   return (
     <div style={{ height: '100vh', display: 'flex', flexDirection: 'column' }}>
       {/* Header */}
@@ -195,17 +159,11 @@ export default function SecureApp() {
         </h1>
         
         <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
+          {/* Saved sessions */}
+          <SessionSwitcher session={session} style={{ width: '260px' }} />
+
           {/* API Status */}
           <div style={{ fontSize: '12px', display: 'flex', gap: '10px' }}>
-            <span>
-              OpenAI: <span style={{ color: 
-                apiStatus.openai === 'connected' ? '#28a745' :
-                apiStatus.openai === 'not_configured' ? '#ffc107' : '#dc3545'
-              }}>
-                {apiStatus.openai === 'connected' ? '✓' : 
-                 apiStatus.openai === 'not_configured' ? '⚠' : '✗'}
-              </span>
-            </span>
             <span>
               Geocoding: <span style={{ color: 
                 apiStatus.geocoding === 'connected' ? '#28a745' :
@@ -216,6 +174,25 @@ export default function SecureApp() {
               </span>
             </span>
           </div>
+
+          {/* LLM provider and model */}
+          <LlmProviderPicker />
+          
+          <button
+            onClick={() => setShowEventTypes(true)}
+            title="Edit event types"
+            style={{
+              padding: '6px 8px',
+              backgroundColor: '#333',
+              color: 'white',
+              border: '1px solid #555',
+              borderRadius: '4px',
+              fontSize: '12px',
+              cursor: 'pointer'
+            }}
+          >
+            ⚙ Event types
+          </button>
           
           {/* Mode switcher */}
           <select 
@@ -237,7 +214,7 @@ export default function SecureApp() {
       </header>
 
       {/* API Configuration Warning */}
-      {(apiStatus.openai === 'not_configured' || apiStatus.geocoding === 'not_configured') && (
+      {(!activeLlmProvider.configured || apiStatus.geocoding === 'not_configured') && (
         <div style={{
           padding: '10px 20px',
           backgroundColor: '#fff3cd',
@@ -245,7 +222,7 @@ export default function SecureApp() {
           borderBottom: '1px solid #ffeaa7'
         }}>
           ⚠️ API keys not configured. Please set your API keys in the .env file:
-          {apiStatus.openai === 'not_configured' && ' VITE_OPENAI_API_KEY'}
+          {!activeLlmProvider.configured && ` ${activeLlmProvider.keyEnvVar}`}
           {apiStatus.geocoding === 'not_configured' && ' VITE_OPENCAGE_API_KEY'}
         </div>
       )}
@@ -254,7 +231,11 @@ export default function SecureApp() {
       <div style={{ flex: 1, overflow: 'hidden' }}>
         {mode === 'newsfeed' && (
           <NewsFeed
-            articles={newsData}
+            articles={newsFeed.articles}
+            newArticleCount={newsFeed.newCount}
+            onShowNewArticles={newsFeed.showNew}
+            feedStatus={newsFeed.status}
+            onRefreshFeeds={newsFeed.refresh}
             onEventCreate={handleEventCreate}
             onArcCreate={handleArcCreate}
             globalGlobeView={globalGlobeView}
@@ -267,14 +248,19 @@ export default function SecureApp() {
             {/* Globe view */}
             <div style={{ flex: 2, backgroundColor: '#000' }}>
               <GlobeView
-                newsData={newsData}
+                newsData={newsFeed.articles}
                 events={events}
                 arcs={arcs}
+                areas={areas}
                 height="100%"
                 enableControls={true}
                 enableRotation={true}
                 showStars={true}
                 cameraPosition={[0, 0, 15]}
+                view={session.view}
+                onViewChange={session.onViewChange}
+                onImport={handleImport}
+                showExport={true}
                 onEventClick={(event) => {
                   console.log('Event clicked:', event);
                 }}
@@ -320,7 +306,14 @@ export default function SecureApp() {
                     {'>'} Try: "Volcano eruption in Iceland"
                   </div>
                 )}
-                {chatHistory.map((message, index) => (
+                {chatHistory.map((message, index) => message.type === 'choice' ? (
+                  <LocationChoice
+                    key={message.pending.id}
+                    pending={message.pending}
+                    chosen={message.chosen}
+                    onChoose={(candidate) => handleLocationChoice(message.pending, candidate)}
+                  />
+                ) : (
                   <div key={index} style={{ marginBottom: '5px' }}>
                     <span style={{ color: '#888' }}>
                       {message.timestamp.toLocaleTimeString()}
@@ -328,6 +321,7 @@ export default function SecureApp() {
                     <span style={{ 
                       color: message.type === 'user' ? '#0f0' : 
                              message.type === 'agent' ? '#87ceeb' :
+                             message.type === 'system' ? '#ff0' :
                              message.type === 'success' ? '#0ff' : '#f00'
                     }}>
                       {' '}{message.text}
@@ -383,12 +377,26 @@ export default function SecureApp() {
                   justifyContent: 'space-between'
                 }}>
                   <span>Events: {events.length} | Arcs: {arcs.length}</span>
+                  {session.canUndoClear && (
+                    <button
+                      onClick={session.undoClear}
+                      style={{
+                        marginLeft: 'auto',
+                        marginRight: '6px',
+                        padding: '4px 8px',
+                        backgroundColor: '#6c757d',
+                        color: 'white',
+                        border: 'none',
+                        borderRadius: '2px',
+                        fontSize: '10px',
+                        cursor: 'pointer'
+                      }}
+                    >
+                      ↶ Undo
+                    </button>
+                  )}
                   <button
-                    onClick={() => {
-                      setEvents([]);
-                      setArcs([]);
-                      setChatHistory([]);
-                    }}
+                    onClick={session.clearAll}
                     style={{
                       padding: '4px 8px',
                       backgroundColor: '#dc3545',
@@ -427,6 +435,8 @@ export default function SecureApp() {
           </div>
         )}
       </div>
+
+      {showEventTypes && <EventTypeSettings onClose={() => setShowEventTypes(false)} />}
     </div>
   );
 }
\ No newline at end of file
@@ -5,41 +5,65 @@ export const AGENT_CONFIG = {
   // Your custom agent prompt goes here
   systemPrompt: `You are a global event interpreter for a real-time 3D data visualization platform. Your job is to convert any human description of a real-world event into structured JSON so it can be plotted on a globe. The system accepts global events such as natural disasters, wars, military movements, missile launches, explosions, cyberattacks, political uprisings, or financial developments.
 
-If the user describes multiple events, respond with a JSON array, where each object represents a single event. Do not combine multiple events into a single object. Each event must be a separate JSON object in the array.
+Always respond with a JSON object of the form {"events": [...]}. If the user describes multiple events, put one object per event in the "events" array. Do not combine multiple events into a single object.
 
-Always respond with valid JSON containing:
-- "action": The type of action to take ("plot_event", "plot_arc", "get_info", "error")
+Each object in "events" contains:
+- "action": The type of action to take ("plot_event", "plot_arc", "highlight_area", "get_info", "error")
 - "eventType": The type of event (if applicable)
-- "location": Single location (for point events)
+- "location": Single location (for point events), or the country to highlight (for "highlight_area")
 - "from" and "to": Origin and destination (for arc/connection events)
 - "magnitude": Numeric value for intensity
-- "metadata": Additional relevant information
+- "metadata": Additional relevant information. Put when the event happened in "metadata.time", in the user's words (e.g. "yesterday 3pm UTC", "last Tuesday", "2023-02-06 04:17"). When the report gives the size of the affected area, put its radius in kilometres in "metadata.radiusKm"
 - "message": Human-readable response to the user
 
 Examples:
 Input: "There was a 6.2 earthquake near Tokyo this morning"
-Output: {"action": "plot_event", "eventType": "earthquake", "location": "Tokyo", "magnitude": 6.2, "metadata": {"time": "this morning"}, "message": "I'll plot a 6.2 magnitude earthquake near Tokyo for you."}
+Output: {"events": [{"action": "plot_event", "eventType": "earthquake", "location": "Tokyo", "magnitude": 6.2, "metadata": {"time": "this morning"}, "message": "I'll plot a 6.2 magnitude earthquake near Tokyo for you."}]}
 
 Input: "Iran launches missile on Israel"
-Output: {"action": "plot_arc", "eventType": "missile launch", "from": "Iran", "to": "Israel", "magnitude": 5.0, "metadata": {"weapon_type": "missile"}, "message": "I'll plot a missile launch arc from Iran to Israel."}
+Output: {"events": [{"action": "plot_arc", "eventType": "missile", "from": "Iran", "to": "Israel", "magnitude": 5.0, "metadata": {"weapon_type": "missile"}, "message": "I'll plot a missile launch arc from Iran to Israel."}]}
+
+Use "highlight_area" when an event applies to a whole country rather than a point in it, such as sanctions, embargoes, nationwide elections or national emergencies.
+
+Input: "New sanctions imposed on Iran"
+Output: {"events": [{"action": "highlight_area", "eventType": "sanctions", "location": "Iran", "magnitude": null, "metadata": {}, "message": "I'll highlight Iran to show the new sanctions."}]}
 
 Input: "Two earthquakes reported in Japan, one in Tokyo and one in Fukuoka"
-Output: [
+Output: {"events": [
   {"action": "plot_event", "eventType": "earthquake", "location": "Tokyo", "magnitude": null, "metadata": {"time": "reported"}, "message": "I'll plot an earthquake reported in Tokyo for you."},
   {"action": "plot_event", "eventType": "earthquake", "location": "Fukuoka", "magnitude": null, "metadata": {"time": "reported"}, "message": "I'll plot an earthquake reported in Fukuoka for you."}
-]
+]}
 
 Input: "What's the weather like?"
-Output: {"action": "get_info", "message": "I'm specialized in plotting global events on the 3D globe. I can help you visualize earthquakes, conflicts, natural disasters, and other significant events. What would you like to plot?"}
+Output: {"events": [{"action": "get_info", "message": "I'm specialized in plotting global events on the 3D globe. I can help you visualize earthquakes, conflicts, natural disasters, and other significant events. What would you like to plot?"}]}
 
 Input: "Show me all earthquakes"
-Output: {"action": "get_info", "message": "I can help you plot individual earthquakes. Please provide specific details like location and magnitude, or describe a recent earthquake you'd like to visualize."}`,
+Output: {"events": [{"action": "get_info", "message": "I can help you plot individual earthquakes. Please provide specific details like location and magnitude, or describe a recent earthquake you'd like to visualize."}]}`,
 
   // Agent personality and behavior settings
   temperature: 0.1, // Controls randomness (0.0 = deterministic, 1.0 = very random)
+
+  // Ask the API for JSON mode so responses are always a parseable object
+  responseFormat: { type: 'json_object' },
+
+  // Prompt for tagging news articles (see src/services/entityTagger.js)
+  taggingPrompt: `You tag news articles for a 3D globe. Read the article title and summary and list the entities needed to plot it.
+
+Always respond with a JSON object of the form {"tags": [...]}. Each tag is {"entity": "...", "type": "...", "confidence": 0.0-1.0} where "type" is one of:
+- "country", "city" or "location" (regions, seas, other places): every place the event happens at or involves. List places in the order they appear; for movements, origin first and destination second.
+- "actor": countries' governments, armed forces, organisations or people taking part
+- "action": what an actor does, as a short verb phrase ("sends missiles", "signed trade agreement")
+- "event": the kind of event ("earthquake", "volcano eruption", "storm", "protest")
+- "magnitude": a magnitude or intensity, as written ("magnitude 6.1")
+
+Use "confidence" for how sure you are that the entity is right and relevant. Leave out places only mentioned in passing.
+
+Example:
+Input: "Iran sends missiles to Iraq\n\nIran launched several missiles at military bases near Baghdad."
+Output: {"tags": [{"entity": "Iran", "type": "country", "confidence": 0.95}, {"entity": "Iraq", "type": "country", "confidence": 0.95}, {"entity": "sends missiles", "type": "action", "confidence": 0.9}, {"entity": "Baghdad", "type": "city", "confidence": 0.7}]}`,
   
   // Supported action types
-  supportedActions: ['plot_event', 'plot_arc', 'get_info', 'error'],
+  supportedActions: ['plot_event', 'plot_arc', 'highlight_area', 'get_info', 'error'],
   
   // Default values for events
   defaults: {
@@ -52,37 +76,68 @@ Output: {"action": "get_info", "message": "I can help you plot individual earthq
   capabilities: {
     canPlotEvents: true,
     canPlotArcs: true,
+    canHighlightAreas: true,
     canProvideInfo: true,
     canHandleAmbiguousInput: true,
     canSuggestAlternatives: true
   }
 };
 
-// You can also add custom event types and their properties
-export const EVENT_TYPES = {
-  earthquake: {
-    defaultMagnitude: 5.0,
-    color: [255, 0, 0],
-    description: "Seismic activity"
-  },
-  hurricane: {
-    defaultMagnitude: 3.0,
-    color: [0, 255, 255],
-    description: "Tropical cyclone"
+// Event taxonomy: categories of event types, each with the names that map to it (id, label and
+// aliases), how it is drawn and its default magnitude. Subtypes without an icon or color use their
+// category's. `effect` is one of VISUAL_EFFECTS in src/services/eventTaxonomy.js. `scale` says how
+// magnitudes over `magnitudeRange` (default 0-10) grow the marker: 'linear', 'log', 'energy', or
+// 'breakpoints' with [magnitude, level 0-1] pairs (see src/globe/utils/magnitudeScale.js).
+// These are the defaults; edits made in the Event Types settings are saved in the browser on top
+// of them.
+export const EVENT_TAXONOMY = [
+  {
+    id: 'natural',
+    label: 'Natural hazards',
+    icon: '🌐',
+    color: '#ff8800',
+    subtypes: [
+      { id: 'earthquake', label: 'Earthquake', aliases: ['seismic', 'quake', 'tremor', 'aftershock'], icon: '🌍', color: '#ff4444', defaultMagnitude: 5.0, severity: 1, effect: 'pulse', impactArea: true, magnitudeRange: [2, 9.5] },
+      { id: 'tsunami', label: 'Tsunami', aliases: ['tidal wave'], icon: '🌊', color: '#0088ff', defaultMagnitude: 5.0, effect: 'flash', impactArea: true },
+      { id: 'volcano', label: 'Volcanic eruption', aliases: ['eruption', 'volcanic', 'erupts', 'ash cloud'], icon: '🌋', color: '#ff8800', defaultMagnitude: 4.0, severity: 2, effect: 'glow', impactArea: true, magnitudeRange: [0, 8] },
+      { id: 'storm', label: 'Storm', aliases: ['hurricane', 'typhoon', 'cyclone', 'tornado', 'tropical storm'], icon: '⛈️', color: '#4488ff', defaultMagnitude: 3.0, severity: 3, effect: 'flash', impactArea: true, scale: 'breakpoints', breakpoints: [[0, 0], [1, 0.3], [3, 0.6], [5, 1]] },
+      { id: 'flood', label: 'Flood', aliases: ['flooding', 'flash flood'], icon: '💧', color: '#2277cc', defaultMagnitude: 3.0, effect: 'glow', impactArea: true },
+      { id: 'wildfire', label: 'Wildfire', aliases: ['bushfire', 'forest fire'], icon: '🔥', color: '#ff5500', defaultMagnitude: 3.0, effect: 'flash', impactArea: true }
+    ]
   },
-  volcano: {
-    defaultMagnitude: 4.0,
-    color: [255, 165, 0],
-    description: "Volcanic eruption"
+  {
+    id: 'security',
+    label: 'Conflict and security',
+    icon: '⚔️',
+    color: '#ff0000',
+    subtypes: [
+      { id: 'conflict', label: 'Armed conflict', aliases: ['war', 'fighting', 'clashes', 'attack', 'invasion'], icon: '⚡', color: '#ff0000', defaultMagnitude: 4.0, severity: 4, effect: 'pulse', impactArea: true },
+      { id: 'missile', label: 'Missile launch', aliases: ['missile launch', 'missile strike', 'rocket', 'airstrike', 'drone strike'], icon: '🚀', color: '#ff00ff', defaultMagnitude: 5.0, effect: 'comet', impactArea: true },
+      { id: 'explosion', label: 'Explosion', aliases: ['blast', 'bombing'], icon: '💥', color: '#ff6600', defaultMagnitude: 4.0, effect: 'flash', impactArea: true, scale: 'log' },
+      { id: 'cyberattack', label: 'Cyberattack', aliases: ['cyber attack', 'hack', 'ransomware', 'data breach'], icon: '💻', color: '#00ccff', defaultMagnitude: 3.0, effect: 'comet' }
+    ]
   },
-  missile: {
-    defaultMagnitude: 5.0,
-    color: [255, 0, 255],
-    description: "Missile launch"
+  {
+    id: 'political',
+    label: 'Political',
+    icon: '🏛️',
+    color: '#8844ff',
+    subtypes: [
+      { id: 'political', label: 'Political event', aliases: ['politics', 'coup'], icon: '🏛️', defaultMagnitude: 3.0, effect: 'glow' },
+      { id: 'protest', label: 'Protest', aliases: ['demonstration', 'rally', 'uprising', 'riot', 'unrest'], icon: '✊', color: '#aa66ff', defaultMagnitude: 3.0, effect: 'pulse' },
+      { id: 'election', label: 'Election', aliases: ['vote', 'referendum'], icon: '🗳️', color: '#6655ff', defaultMagnitude: 2.0, effect: 'glow' },
+      { id: 'sanctions', label: 'Sanctions', aliases: ['sanction', 'embargo', 'tariff'], icon: '🚫', color: '#ffaa00', defaultMagnitude: 3.0, effect: 'steady' }
+    ]
   },
-  conflict: {
-    defaultMagnitude: 4.0,
-    color: [255, 0, 0],
-    description: "Armed conflict"
+  {
+    id: 'economic',
+    label: 'Economy and transport',
+    icon: '💹',
+    color: '#00ff88',
+    subtypes: [
+      { id: 'trade', label: 'Trade', aliases: ['export', 'import', 'shipping', 'cargo', 'economic', 'trade agreement'], icon: '💹', defaultMagnitude: 2.0, effect: 'flow' },
+      { id: 'financial', label: 'Financial', aliases: ['stock market', 'currency', 'interest rate'], icon: '💰', color: '#00cc66', defaultMagnitude: 2.0, effect: 'glow' },
+      { id: 'flight', label: 'Flight', aliases: ['air route', 'airline'], icon: '✈️', color: '#4488ff', defaultMagnitude: 1.0, effect: 'flow' }
+    ]
   }
-}; 
\ No newline at end of file
+];
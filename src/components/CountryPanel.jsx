@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import { useEventTaxonomy } from '../hooks/useEventTaxonomy.js';
+import { eventTaxonomy } from '../services/eventTaxonomy.js';
+
+const listItemStyle = {
+  padding: '4px 0',
+  borderBottom: '1px solid #333'
+};
+
+function formatCoordinates(latitude, longitude) {
+  return `${Math.abs(latitude).toFixed(2)}°${latitude >= 0 ? 'N' : 'S'}, ${Math.abs(longitude).toFixed(2)}°${longitude >= 0 ? 'E' : 'W'}`;
+}
+
+// Info panel for a point picked on the globe
+// `selection` is { feature, latitude, longitude } (feature is null at sea), `activity` is
+// { events, arcs } touching the country. "Plot event here" calls onPlotEvent({ type, magnitude }).
+export default function CountryPanel({ selection, activity, onClose, onPlotEvent }) {
+  const [eventType, setEventType] = useState('earthquake');
+  const [magnitude, setMagnitude] = useState('5.0');
+  const taxonomy = useEventTaxonomy();
+
+  if (!selection) return null;
+
+  const { feature, latitude, longitude } = selection;
+  const properties = feature?.properties;
+
+  const handlePlot = () => {
+    const value = parseFloat(magnitude);
+    onPlotEvent({ type: eventType, magnitude: Number.isFinite(value) ? value : 5.0 });
+  };
+
+  return (
+    <div style={{
+      position: 'absolute',
+      top: '20px',
+      right: '20px',
+      width: '280px',
+      maxHeight: 'calc(100% - 40px)',
+      overflowY: 'auto',
+      padding: '12px',
+      backgroundColor: 'rgba(0, 0, 0, 0.85)',
+      border: '1px solid #0ff',
+      borderRadius: '4px',
+      color: 'white',
+      fontFamily: 'monospace',
+      fontSize: '12px'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <strong style={{ fontSize: '14px', color: '#0ff' }}>
+          {properties ? properties.name : 'Open water'}
+        </strong>
+        <button
+          onClick={onClose}
+          style={{ background: 'none', border: 'none', color: '#888', cursor: 'pointer', fontSize: '14px' }}
+        >
+          ✕
+        </button>
+      </div>
+
+      <div style={{ color: '#888', marginTop: '4px' }}>
+        {formatCoordinates(latitude, longitude)}
+      </div>
+      {properties && (
+        <div style={{ color: '#888', marginTop: '2px' }}>
+          {[properties.iso2, properties.iso3, properties.subregion || properties.continent].filter(Boolean).join(' · ')}
+          {properties.population ? ` · pop. ${properties.population.toLocaleString()}` : ''}
+        </div>
+      )}
+
+      {properties && (
+        <>
+          <div style={{ marginTop: '12px', color: '#0ff' }}>Events ({activity.events.length})</div>
+          {activity.events.length === 0 && <div style={{ color: '#666' }}>None</div>}
+          {activity.events.map(event => (
+            <div key={event.id} style={listItemStyle}>
+              {event.type} · {event.title || event.location}
+              {event.magnitude != null && <span style={{ color: '#888' }}> · M{event.magnitude}</span>}
+            </div>
+          ))}
+
+          <div style={{ marginTop: '12px', color: '#0ff' }}>Arcs ({activity.arcs.length})</div>
+          {activity.arcs.length === 0 && <div style={{ color: '#666' }}>None</div>}
+          {activity.arcs.map(arc => (
+            <div key={arc.id} style={listItemStyle}>
+              {arc.type} · {arc.from} → {arc.to}
+            </div>
+          ))}
+        </>
+      )}
+
+      <div style={{ marginTop: '12px', color: '#0ff' }}>Plot event here</div>
+      <div style={{ display: 'flex', gap: '6px', marginTop: '6px' }}>
+        <select
+          value={eventType}
+          onChange={(e) => {
+            setEventType(e.target.value);
+            setMagnitude(String(eventTaxonomy.getStyle(e.target.value).defaultMagnitude));
+          }}
+          style={{ flex: 1, fontSize: '12px' }}
+        >
+          {taxonomy.map(category => (
+            <optgroup key={category.id} label={category.label}>
+              {category.subtypes.map(subtype => (
+                <option key={subtype.id} value={subtype.id}>
+                  {subtype.icon || category.icon} {subtype.label}
+                </option>
+              ))}
+            </optgroup>
+          ))}
+        </select>
+        <input
+          type="number"
+          step="0.1"
+          value={magnitude}
+          onChange={(e) => setMagnitude(e.target.value)}
+          title="Magnitude"
+          style={{ width: '60px', fontSize: '12px' }}
+        />
+      </div>
+      <button
+        onClick={handlePlot}
+        style={{
+          width: '100%',
+          marginTop: '6px',
+          padding: '6px',
+          backgroundColor: '#007bff',
+          color: 'white',
+          border: 'none',
+          borderRadius: '3px',
+          cursor: 'pointer',
+          fontSize: '12px'
+        }}
+      >
+        Plot {eventTaxonomy.getStyle(eventType).label.toLowerCase()} at this point
+      </button>
+    </div>
+  );
+}
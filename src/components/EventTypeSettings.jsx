@@ -0,0 +1,320 @@
+import React, { useState } from 'react';
+import { useEventTaxonomy } from '../hooks/useEventTaxonomy.js';
+import { eventTaxonomy, VISUAL_EFFECTS } from '../services/eventTaxonomy.js';
+import { MAGNITUDE_SCALES, DEFAULT_MAGNITUDE_RANGE, formatBreakpoints } from '../globe/utils/magnitudeScale.js';
+
+const inputStyle = {
+  padding: '4px 6px',
+  backgroundColor: '#222',
+  color: 'white',
+  border: '1px solid #555',
+  borderRadius: '4px',
+  fontSize: '12px',
+  minWidth: 0
+};
+
+const buttonStyle = {
+  padding: '6px 12px',
+  backgroundColor: '#333',
+  color: 'white',
+  border: '1px solid #555',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '12px'
+};
+
+const removeButtonStyle = {
+  background: 'none',
+  border: 'none',
+  color: '#888',
+  cursor: 'pointer',
+  fontSize: '14px',
+  padding: 0
+};
+
+// Icon, id, label, aliases, color, default magnitude, severity, effect, scale, range or
+// breakpoints, impact area, remove
+const SUBTYPE_COLUMNS = '36px 1fr 1.2fr 2fr 40px 56px 44px 1.1fr 1.1fr 1.3fr 32px 20px';
+
+// Editable copy of the taxonomy; aliases and breakpoints are edited as comma-separated text
+function toDraft(categories) {
+  return categories.map(category => ({
+    ...category,
+    subtypes: category.subtypes.map(subtype => ({
+      ...subtype,
+      aliases: subtype.aliases.join(', '),
+      breakpoints: formatBreakpoints(subtype.breakpoints)
+    }))
+  }));
+}
+
+// Editor for the event taxonomy: categories, their event types, and how each type is named,
+// drawn and sized. Saving validates the whole taxonomy and applies it everywhere at once.
+export default function EventTypeSettings({ onClose }) {
+  const categories = useEventTaxonomy();
+  const [draft, setDraft] = useState(() => toDraft(categories));
+  const [error, setError] = useState(null);
+
+  const updateCategory = (categoryIndex, changes) => {
+    setDraft(prev => prev.map((category, index) => (index === categoryIndex ? { ...category, ...changes } : category)));
+  };
+
+  const updateSubtype = (categoryIndex, subtypeIndex, changes) => {
+    setDraft(prev => prev.map((category, index) => (index !== categoryIndex ? category : {
+      ...category,
+      subtypes: category.subtypes.map((subtype, i) => (i === subtypeIndex ? { ...subtype, ...changes } : subtype))
+    })));
+  };
+
+  const addSubtype = (categoryIndex) => {
+    updateCategory(categoryIndex, {
+      subtypes: [
+        ...draft[categoryIndex].subtypes,
+        {
+          id: '',
+          label: '',
+          aliases: '',
+          icon: '',
+          color: '',
+          defaultMagnitude: 5,
+          severity: 0,
+          effect: 'pulse',
+          scale: 'linear',
+          magnitudeRange: DEFAULT_MAGNITUDE_RANGE,
+          breakpoints: '',
+          impactArea: false
+        }
+      ]
+    });
+  };
+
+  const removeSubtype = (categoryIndex, subtypeIndex) => {
+    updateCategory(categoryIndex, {
+      subtypes: draft[categoryIndex].subtypes.filter((subtype, index) => index !== subtypeIndex)
+    });
+  };
+
+  const addCategory = () => {
+    setDraft(prev => [...prev, { id: '', label: '', icon: '', color: '#cccccc', subtypes: [] }]);
+  };
+
+  const removeCategory = (categoryIndex) => {
+    const category = draft[categoryIndex];
+    if (category.subtypes.length > 0 &&
+      !window.confirm(`Remove "${category.label || category.id}" and its ${category.subtypes.length} event types?`)) {
+      return;
+    }
+    setDraft(prev => prev.filter((item, index) => index !== categoryIndex));
+  };
+
+  const handleSave = () => {
+    try {
+      eventTaxonomy.update(draft);
+      onClose();
+    } catch (saveError) {
+      setError(saveError.message);
+    }
+  };
+
+  const handleReset = () => {
+    if (window.confirm('Replace all event types with the built-in defaults?')) {
+      eventTaxonomy.reset();
+      setDraft(toDraft(eventTaxonomy.getCategories()));
+      setError(null);
+    }
+  };
+
+  return (
+    <div style={{
+      position: 'fixed',
+      inset: 0,
+      background: 'rgba(0, 0, 0, 0.6)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1000
+    }}>
+      <div style={{
+        width: 'min(1180px, 95%)',
+        maxHeight: '90%',
+        overflowY: 'auto',
+        background: 'rgba(20, 20, 20, 0.98)',
+        color: 'white',
+        border: '1px solid #444',
+        borderRadius: '8px',
+        padding: '16px',
+        fontSize: '12px',
+        boxShadow: '0 8px 32px rgba(0, 0, 0, 0.6)'
+      }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+          <h4 style={{ margin: 0, color: '#4A90E2' }}>Event types</h4>
+          <button onClick={onClose} style={{ ...removeButtonStyle, color: 'white', fontSize: '18px' }}>×</button>
+        </div>
+        <div style={{ color: '#888', marginBottom: '12px' }}>
+          Agent responses, article tags and imported files are matched to a type by its id, label or
+          aliases. Items already plotted keep the type id they were given.
+        </div>
+
+        {draft.map((category, categoryIndex) => (
+          <div key={categoryIndex} style={{ border: '1px solid #333', borderRadius: '6px', padding: '8px', marginBottom: '10px' }}>
+            <div style={{ display: 'grid', gridTemplateColumns: '36px 1fr 1.5fr 40px 20px', gap: '6px', alignItems: 'center', marginBottom: '8px' }}>
+              <input
+                value={category.icon}
+                onChange={(e) => updateCategory(categoryIndex, { icon: e.target.value })}
+                title="Icon"
+                style={{ ...inputStyle, textAlign: 'center' }}
+              />
+              <input
+                value={category.id}
+                onChange={(e) => updateCategory(categoryIndex, { id: e.target.value })}
+                placeholder="category id"
+                style={inputStyle}
+              />
+              <input
+                value={category.label}
+                onChange={(e) => updateCategory(categoryIndex, { label: e.target.value })}
+                placeholder="Category name"
+                style={{ ...inputStyle, fontWeight: 'bold' }}
+              />
+              <input
+                type="color"
+                value={category.color}
+                onChange={(e) => updateCategory(categoryIndex, { color: e.target.value })}
+                title="Color for types without their own"
+                style={{ ...inputStyle, padding: 0, height: '24px' }}
+              />
+              <button onClick={() => removeCategory(categoryIndex)} title="Remove category" style={removeButtonStyle}>✕</button>
+            </div>
+
+            {category.subtypes.length > 0 && (
+              <div style={{ display: 'grid', gridTemplateColumns: SUBTYPE_COLUMNS, gap: '4px 6px', color: '#888', marginBottom: '4px' }}>
+                <span>Icon</span><span>Id</span><span>Label</span><span>Aliases</span><span>Color</span><span>Mag.</span><span>Sev.</span><span>Effect</span><span>Scale</span><span>Range</span><span>Area</span><span />
+              </div>
+            )}
+            {category.subtypes.map((subtype, subtypeIndex) => (
+              <div key={subtypeIndex} style={{ display: 'grid', gridTemplateColumns: SUBTYPE_COLUMNS, gap: '4px 6px', alignItems: 'center', marginBottom: '4px' }}>
+                <input
+                  value={subtype.icon}
+                  onChange={(e) => updateSubtype(categoryIndex, subtypeIndex, { icon: e.target.value })}
+                  placeholder={category.icon}
+                  style={{ ...inputStyle, textAlign: 'center' }}
+                />
+                <input
+                  value={subtype.id}
+                  onChange={(e) => updateSubtype(categoryIndex, subtypeIndex, { id: e.target.value })}
+                  placeholder="id"
+                  style={inputStyle}
+                />
+                <input
+                  value={subtype.label}
+                  onChange={(e) => updateSubtype(categoryIndex, subtypeIndex, { label: e.target.value })}
+                  placeholder={subtype.id || 'Label'}
+                  style={inputStyle}
+                />
+                <input
+                  value={subtype.aliases}
+                  onChange={(e) => updateSubtype(categoryIndex, subtypeIndex, { aliases: e.target.value })}
+                  placeholder="other names, comma-separated"
+                  style={inputStyle}
+                />
+                <input
+                  type="color"
+                  value={subtype.color || category.color}
+                  onChange={(e) => updateSubtype(categoryIndex, subtypeIndex, { color: e.target.value })}
+                  style={{ ...inputStyle, padding: 0, height: '24px' }}
+                />
+                <input
+                  type="number"
+                  step="0.1"
+                  value={subtype.defaultMagnitude}
+                  onChange={(e) => updateSubtype(categoryIndex, subtypeIndex, { defaultMagnitude: e.target.value })}
+                  title="Default magnitude"
+                  style={inputStyle}
+                />
+                <input
+                  type="number"
+                  step="1"
+                  value={subtype.severity}
+                  onChange={(e) => updateSubtype(categoryIndex, subtypeIndex, { severity: e.target.value })}
+                  title="Severity rank: a cluster takes the color of its highest-ranked type"
+                  style={inputStyle}
+                />
+                <select
+                  value={subtype.effect}
+                  onChange={(e) => updateSubtype(categoryIndex, subtypeIndex, { effect: e.target.value })}
+                  style={inputStyle}
+                >
+                  {Object.entries(VISUAL_EFFECTS).map(([effect, config]) => (
+                    <option key={effect} value={effect}>{config.label}</option>
+                  ))}
+                </select>
+                <select
+                  value={subtype.scale}
+                  onChange={(e) => updateSubtype(categoryIndex, subtypeIndex, { scale: e.target.value })}
+                  title="How magnitude grows the marker"
+                  style={inputStyle}
+                >
+                  {Object.entries(MAGNITUDE_SCALES).map(([scale, config]) => (
+                    <option key={scale} value={scale}>{config.label}</option>
+                  ))}
+                </select>
+                {subtype.scale === 'breakpoints' ? (
+                  <input
+                    value={subtype.breakpoints}
+                    onChange={(e) => updateSubtype(categoryIndex, subtypeIndex, { breakpoints: e.target.value })}
+                    placeholder="1:0.2, 5:1"
+                    title="magnitude:level pairs, level from 0 (smallest) to 1 (largest)"
+                    style={inputStyle}
+                  />
+                ) : (
+                  <div style={{ display: 'flex', gap: '2px', alignItems: 'center' }} title="Magnitudes drawn smallest and largest">
+                    {[0, 1].map(end => (
+                      <input
+                        key={end}
+                        type="number"
+                        step="0.1"
+                        value={subtype.magnitudeRange[end]}
+                        onChange={(e) => updateSubtype(categoryIndex, subtypeIndex, {
+                          magnitudeRange: end === 0
+                            ? [e.target.value, subtype.magnitudeRange[1]]
+                            : [subtype.magnitudeRange[0], e.target.value]
+                        })}
+                        style={{ ...inputStyle, width: '50%' }}
+                      />
+                    ))}
+                  </div>
+                )}
+                <input
+                  type="checkbox"
+                  checked={subtype.impactArea}
+                  onChange={(e) => updateSubtype(categoryIndex, subtypeIndex, { impactArea: e.target.checked })}
+                  title="Affects an area: draw impact rings around events of this type"
+                />
+                <button onClick={() => removeSubtype(categoryIndex, subtypeIndex)} title="Remove type" style={removeButtonStyle}>✕</button>
+              </div>
+            ))}
+            <button onClick={() => addSubtype(categoryIndex)} style={{ ...buttonStyle, padding: '3px 8px', marginTop: '4px' }}>
+              ＋ Add type
+            </button>
+          </div>
+        ))}
+
+        <button onClick={addCategory} style={{ ...buttonStyle, marginBottom: '12px' }}>＋ Add category</button>
+
+        {error && (
+          <div style={{ color: '#ff6b6b', marginBottom: '12px' }}>Could not save: {error}</div>
+        )}
+
+        <div style={{ display: 'flex', justifyContent: 'space-between', gap: '8px' }}>
+          <button onClick={handleReset} style={buttonStyle}>Restore defaults</button>
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <button onClick={onClose} style={buttonStyle}>Cancel</button>
+            <button onClick={handleSave} style={{ ...buttonStyle, backgroundColor: '#4A90E2', borderColor: '#4A90E2' }}>
+              Save
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
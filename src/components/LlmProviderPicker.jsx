@@ -0,0 +1,94 @@
+import React, { useState, useEffect } from 'react';
+import { openaiService } from '../services/apiService.js';
+import { useLlmSelection } from '../hooks/useLlmSelection.js';
+
+const controlStyle = {
+  padding: '6px 8px',
+  backgroundColor: '#333',
+  color: 'white',
+  border: '1px solid #555',
+  borderRadius: '4px',
+  fontSize: '12px'
+};
+
+const STATUS_DISPLAY = {
+  untested: { symbol: '?', color: '#888', title: 'Not tested yet' },
+  checking: { symbol: '…', color: '#888', title: 'Testing the connection' },
+  connected: { symbol: '✓', color: '#28a745', title: 'Connected' },
+  not_configured: { symbol: '⚠', color: '#ffc107', title: 'API key not configured' },
+  error: { symbol: '✗', color: '#dc3545', title: 'Connection failed' }
+};
+
+// LLM provider and model selectors with the provider's status
+// Switching only changes the selection; the connection is tested when the user presses Test,
+// by listing models, so no completion is paid for.
+export default function LlmProviderPicker({ style = {} }) {
+  const selection = useLlmSelection();
+  const providers = openaiService.listProviders();
+  const provider = providers.find(item => item.id === selection.provider);
+  const [check, setCheck] = useState({ status: 'untested', error: null });
+
+  // A new provider hasn't been tested
+  useEffect(() => {
+    setCheck({ status: 'untested', error: null });
+  }, [selection.provider]);
+
+  const handleTest = async () => {
+    const providerId = selection.provider;
+    setCheck({ status: 'checking', error: null });
+    try {
+      await openaiService.checkConnection();
+      if (openaiService.getSelection().provider === providerId) {
+        setCheck({ status: 'connected', error: null });
+      }
+    } catch (error) {
+      if (openaiService.getSelection().provider === providerId) {
+        setCheck({ status: 'error', error: error.message });
+      }
+    }
+  };
+
+  const status = provider.configured ? check.status : 'not_configured';
+  const display = STATUS_DISPLAY[status];
+
+  return (
+    <div style={{ display: 'flex', gap: '6px', alignItems: 'center', ...style }}>
+      <span
+        title={check.error || display.title}
+        style={{ color: display.color, fontSize: '12px', minWidth: '12px', textAlign: 'center' }}
+      >
+        {display.symbol}
+      </span>
+      <select
+        value={selection.provider}
+        onChange={(e) => openaiService.setProvider(e.target.value)}
+        title="LLM provider"
+        style={{ ...controlStyle, minWidth: 0 }}
+      >
+        {providers.map(item => (
+          <option key={item.id} value={item.id}>
+            {item.label}{item.configured ? '' : ' (not configured)'}
+          </option>
+        ))}
+      </select>
+      <select
+        value={selection.model}
+        onChange={(e) => openaiService.setModel(e.target.value)}
+        title="LLM model"
+        style={{ ...controlStyle, minWidth: 0 }}
+      >
+        {[...new Set([selection.model, ...provider.models])].map(model => (
+          <option key={model} value={model}>{model}</option>
+        ))}
+      </select>
+      <button
+        onClick={handleTest}
+        disabled={!provider.configured || status === 'checking'}
+        title="Check the provider can be reached with its key"
+        style={{ ...controlStyle, cursor: 'pointer' }}
+      >
+        Test
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+import React from 'react';
+
+// Inline "did you mean" picker shown in the chat for an ambiguous location
+// `chosen` is undefined while waiting, a candidate once picked, or false when skipped
+export default function LocationChoice({ pending, chosen, onChoose }) {
+  if (chosen !== undefined) {
+    return (
+      <div style={{ color: '#888', marginLeft: '10px' }}>
+        {chosen ? `→ ${chosen.formatted}` : `→ skipped "${pending.query}"`}
+      </div>
+    );
+  }
+
+  const buttonStyle = {
+    display: 'block',
+    width: '100%',
+    textAlign: 'left',
+    padding: '4px 8px',
+    marginTop: '3px',
+    backgroundColor: '#111',
+    color: '#ff0',
+    border: '1px solid #444',
+    borderRadius: '3px',
+    fontFamily: 'monospace',
+    fontSize: '11px',
+    cursor: 'pointer'
+  };
+
+  return (
+    <div style={{ marginLeft: '10px' }}>
+      {pending.candidates.map((candidate, index) => (
+        <button
+          key={`${candidate.formatted}-${index}`}
+          onClick={() => onChoose(candidate)}
+          style={buttonStyle}
+        >
+          {candidate.formatted}
+          <span style={{ color: '#888' }}>
+            {' '}· {candidate.type}{candidate.countryCode ? ` · ${candidate.countryCode}` : ''}
+            {' '}· {Math.round(candidate.confidence * 100)}%
+          </span>
+        </button>
+      ))}
+      <button
+        onClick={() => onChoose(false)}
+        style={{ ...buttonStyle, color: '#888' }}
+      >
+        Skip
+      </button>
+    </div>
+  );
+}
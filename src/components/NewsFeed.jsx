@@ -1,5 +1,23 @@
-import React, { useState, useCallback, useMemo } from 'react';
-import GlobeView, { createEventFromNews, createArcFromNews } from '../globe/components/GlobeView.jsx';
+import React, { useState, useCallback, useMemo, useEffect } from 'react';
+import GlobeView from '../globe/components/GlobeView.jsx';
+import { eventPipeline } from '../services/eventPipeline.js';
+import { tagArticle, mergeTags, needsTags } from '../services/entityTagger.js';
+
+const TAG_COLORS = {
+  location: ['#e3f2fd', '#1976d2'],
+  country: ['#e3f2fd', '#1976d2'],
+  city: ['#e8eaf6', '#3949ab'],
+  actor: ['#f3e5f5', '#8e24aa'],
+  action: ['#fff3e0', '#f57c00'],
+  event: ['#fff3e0', '#f57c00'],
+  magnitude: ['#fce4ec', '#c2185b']
+};
+
+function tagTitle(tag) {
+  const confidence = Number.isFinite(tag.confidence) ? ` · ${Math.round(tag.confidence * 100)}%` : '';
+  const source = tag.source ? ` · ${tag.source === 'llm' ? 'LLM' : tag.source}` : '';
+  return `${tag.type}${confidence}${source}`;
+}
 
 // Individual news article component
 function NewsArticle({ 
@@ -11,24 +29,45 @@ function NewsArticle({
 }) {
   const [isExpanded, setIsExpanded] = useState(false);
   const [isProcessing, setIsProcessing] = useState(false);
-  
+  const [extractedTags, setExtractedTags] = useState(null);
+
+  // Articles without place tags are tagged from their title and summary
+  useEffect(() => {
+    if (!needsTags(article)) return;
+    let cancelled = false;
+    tagArticle(article)
+      .then(tags => {
+        if (!cancelled) setExtractedTags(tags);
+      })
+      .catch(error => console.error('Failed to tag article:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [article]);
+
+  const taggedArticle = useMemo(
+    () => (extractedTags ? { ...article, tags: mergeTags(article.tags || [], extractedTags) } : article),
+    [article, extractedTags]
+  );
+  const tags = taggedArticle.tags;
+
   // Check if article has geospatial relevance
   const hasGeospatialData = useMemo(() => {
-    if (!article.tags) return false;
+    if (!tags) return false;
     
-    const locationTags = article.tags.filter(tag => 
+    const locationTags = tags.filter(tag => 
       tag.type === 'location' || 
       tag.type === 'country' || 
       tag.type === 'city'
     );
     
-    const actionTags = article.tags.filter(tag => 
+    const actionTags = tags.filter(tag => 
       tag.type === 'action' || 
       tag.type === 'event'
     );
     
     return locationTags.length > 0 && actionTags.length > 0;
-  }, [article.tags]);
+  }, [tags]);
   
   // Process article for globe visualization
   const handleCreateVisualization = useCallback(async () => {
@@ -37,29 +76,34 @@ function NewsArticle({
     setIsProcessing(true);
     
     try {
-      const locationTags = article.tags.filter(tag => 
-        tag.type === 'location' || tag.type === 'country'
-      );
-      
-      if (locationTags.length === 1) {
-        // Single location -> create event marker
-        const event = await createEventFromNews(article);
-        if (event && onEventCreate) {
-          onEventCreate(event);
-        }
-      } else if (locationTags.length >= 2) {
-        // Multiple locations -> create arc
-        const arc = await createArcFromNews(article);
-        if (arc && onArcCreate) {
-          onArcCreate(arc);
-        }
+      // Single location -> event marker, two or more locations -> arc
+      const result = await eventPipeline.process(taggedArticle);
+      const events = [...result.events];
+      const arcs = [...result.arcs];
+      const diagnostics = [...result.diagnostics];
+
+      // There is no chat to ask in here, so ambiguous tags take the best-ranked candidate
+      const pending = [...result.pending];
+      while (pending.length > 0) {
+        const item = pending.shift();
+        const confirmed = await eventPipeline.confirm(item, item.candidates[0]);
+        events.push(...confirmed.events);
+        arcs.push(...confirmed.arcs);
+        diagnostics.push(...confirmed.diagnostics);
+        pending.push(...confirmed.pending);
       }
+
+      events.forEach(event => onEventCreate && onEventCreate(event));
+      arcs.forEach(arc => onArcCreate && onArcCreate(arc));
+      diagnostics
+        .filter(diagnostic => diagnostic.type === 'error')
+        .forEach(diagnostic => console.error('Failed to create visualization:', diagnostic.text));
     } catch (error) {
       console.error('Failed to create visualization:', error);
     } finally {
       setIsProcessing(false);
     }
-  }, [article, hasGeospatialData, isProcessing, onEventCreate, onArcCreate]);
+  }, [taggedArticle, hasGeospatialData, isProcessing, onEventCreate, onArcCreate]);
   
   return (
     <div style={{
@@ -148,23 +192,19 @@ function NewsArticle({
       </p>
       
       {/* Tags */}
-      {article.tags && article.tags.length > 0 && (
+      {tags && tags.length > 0 && (
         <div style={{ marginBottom: '10px' }}>
-          {article.tags.slice(0, 8).map((tag, index) => (
+          {tags.slice(0, 8).map((tag, index) => (
             <span
               key={index}
+              title={tagTitle(tag)}
               style={{
                 display: 'inline-block',
                 padding: '2px 8px',
                 margin: '2px',
-                backgroundColor: 
-                  tag.type === 'location' || tag.type === 'country' ? '#e3f2fd' :
-                  tag.type === 'action' || tag.type === 'event' ? '#fff3e0' :
-                  '#f5f5f5',
-                color: 
-                  tag.type === 'location' || tag.type === 'country' ? '#1976d2' :
-                  tag.type === 'action' || tag.type === 'event' ? '#f57c00' :
-                  '#666',
+                backgroundColor: TAG_COLORS[tag.type]?.[0] || '#f5f5f5',
+                color: TAG_COLORS[tag.type]?.[1] || '#666',
+                opacity: tag.confidence < 0.7 ? 0.7 : 1,
                 borderRadius: '12px',
                 fontSize: '11px',
                 fontWeight: '500'
@@ -185,7 +225,7 @@ function NewsArticle({
           overflow: 'hidden'
         }}>
           <GlobeView
-            newsData={[article]}
+            newsData={[taggedArticle]}
             height="300px"
             enableControls={true}
             enableRotation={false}
@@ -214,9 +254,55 @@ function NewsArticle({
   );
 }
 
+// Last fetch time and failures across the polled feeds
+function FeedStatus({ status, onRefresh }) {
+  const failed = status.filter(feed => feed.error);
+  const lastFetched = status
+    .map(feed => feed.lastFetched)
+    .filter(Boolean)
+    .sort()
+    .pop();
+
+  return (
+    <span style={{ fontSize: '12px', color: '#999', display: 'flex', gap: '8px', alignItems: 'center' }}>
+      {lastFetched ? `Updated ${new Date(lastFetched).toLocaleTimeString()}` : 'Loading feeds...'}
+      {failed.length > 0 && (
+        <span
+          title={failed.map(feed => `${feed.url}: ${feed.error}`).join('\n')}
+          style={{ color: '#dc3545', cursor: 'help' }}
+        >
+          ⚠ {failed.length} of {status.length} feeds failed
+        </span>
+      )}
+      {onRefresh && (
+        <button
+          onClick={onRefresh}
+          title="Check feeds now"
+          style={{
+            background: 'none',
+            border: '1px solid #ccc',
+            borderRadius: '4px',
+            color: '#666',
+            cursor: 'pointer',
+            padding: '2px 6px'
+          }}
+        >
+          ⟳
+        </button>
+      )}
+    </span>
+  );
+}
+
 // Main news feed component
+// `articles` come from useNewsFeed; articles that arrived since the list was last shown are
+// announced by a "N new articles" banner (newArticleCount / onShowNewArticles)
 export default function NewsFeed({ 
   articles = [],
+  newArticleCount = 0,
+  onShowNewArticles,
+  feedStatus = [],
+  onRefreshFeeds,
   onEventCreate,
   onArcCreate,
   globalGlobeView = false,
@@ -281,6 +367,8 @@ export default function NewsFeed({
           </h2>
           
           <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
+            {feedStatus.length > 0 && <FeedStatus status={feedStatus} onRefresh={onRefreshFeeds} />}
+
             <span style={{ fontSize: '14px', color: '#666' }}>
               {geospatialArticles.length} geospatial articles
             </span>
@@ -303,6 +391,30 @@ export default function NewsFeed({
           </div>
         </div>
         
+        {newArticleCount > 0 && (
+          <button
+            onClick={onShowNewArticles}
+            style={{
+              position: 'sticky',
+              top: 0,
+              zIndex: 5,
+              display: 'block',
+              width: '100%',
+              padding: '10px',
+              marginBottom: '15px',
+              backgroundColor: '#4A90E2',
+              color: 'white',
+              border: 'none',
+              borderRadius: '20px',
+              boxShadow: '0 2px 6px rgba(0,0,0,0.2)',
+              fontSize: '14px',
+              cursor: 'pointer'
+            }}
+          >
+            ↑ {newArticleCount} new article{newArticleCount === 1 ? '' : 's'}
+          </button>
+        )}
+
         {articles.length === 0 ? (
           <div style={{ 
             textAlign: 'center', 
@@ -391,51 +503,3 @@ export default function NewsFeed({
     </div>
   );
 }
-
-// Sample news data for testing
-export const sampleNewsData = [
-  {
-    articleId: "1",
-    title: "Iran sends missiles to Iraq",
-    summary: "Iran launched several missiles targeting military installations in Iraq following recent diplomatic tensions. The missiles were launched from western Iran and struck targets near Baghdad.",
-    tags: [
-      { entity: "Iran", type: "country" },
-      { entity: "Iraq", type: "country" },
-      { entity: "sends missiles", type: "action" },
-      { entity: "military", type: "category" }
-    ]
-  },
-  {
-    articleId: "2", 
-    title: "Earthquake strikes Tokyo, magnitude 6.1",
-    summary: "A powerful earthquake with magnitude 6.1 struck the Tokyo metropolitan area early this morning. No major damage has been reported, but residents felt strong shaking across the region.",
-    tags: [
-      { entity: "Tokyo", type: "city" },
-      { entity: "Japan", type: "country" },
-      { entity: "earthquake", type: "event" },
-      { entity: "magnitude 6.1", type: "magnitude" }
-    ]
-  },
-  {
-    articleId: "3",
-    title: "Trade agreement signed between Germany and Brazil",
-    summary: "Germany and Brazil have signed a comprehensive trade agreement that will increase bilateral trade in automotive and agricultural sectors. The agreement is expected to boost economic cooperation between the two nations.",
-    tags: [
-      { entity: "Germany", type: "country" },
-      { entity: "Brazil", type: "country" },
-      { entity: "trade agreement", type: "action" },
-      { entity: "economic", type: "category" }
-    ]
-  },
-  {
-    articleId: "4",
-    title: "Volcano erupts in Iceland, affecting air traffic",
-    summary: "A volcanic eruption in Iceland has disrupted air traffic across Northern Europe. The volcano, located near Reykjavik, has been spewing ash into the atmosphere since early morning.",
-    tags: [
-      { entity: "Iceland", type: "country" },
-      { entity: "Reykjavik", type: "city" },
-      { entity: "volcano eruption", type: "event" },
-      { entity: "air traffic", type: "category" }
-    ]
-  }
-];
\ No newline at end of file
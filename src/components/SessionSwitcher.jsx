@@ -0,0 +1,46 @@
+import React from 'react';
+
+const controlStyle = {
+  padding: '6px 8px',
+  backgroundColor: '#333',
+  color: 'white',
+  border: '1px solid #555',
+  borderRadius: '4px',
+  fontSize: '12px',
+  cursor: 'pointer'
+};
+
+// Session picker with new / rename / delete, driven by useSession
+export default function SessionSwitcher({ session, style = {} }) {
+  const { sessions, activeKey, switchTo, create, rename, remove } = session;
+  const active = sessions.find(item => item.key === activeKey);
+
+  const handleRename = () => {
+    const name = window.prompt('Session name', active?.name || '');
+    if (name?.trim()) rename(name.trim());
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete session "${active?.name}"? This cannot be undone.`)) {
+      remove();
+    }
+  };
+
+  return (
+    <div style={{ display: 'flex', gap: '6px', alignItems: 'center', ...style }}>
+      <select
+        value={activeKey || ''}
+        onChange={(e) => switchTo(e.target.value)}
+        title="Session"
+        style={{ ...controlStyle, flex: 1, minWidth: 0 }}
+      >
+        {sessions.map(item => (
+          <option key={item.key} value={item.key}>{item.name}</option>
+        ))}
+      </select>
+      <button onClick={() => create()} title="New session" style={controlStyle}>＋</button>
+      <button onClick={handleRename} disabled={!active} title="Rename session" style={controlStyle}>✎</button>
+      <button onClick={handleDelete} disabled={!active} title="Delete session" style={controlStyle}>🗑</button>
+    </div>
+  );
+}
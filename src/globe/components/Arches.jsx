@@ -1,65 +1,73 @@
-import React, { useRef, useMemo } from 'react';
-import { useFrame } from '@react-three/fiber';
+import React, { useMemo, useEffect } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
 import * as THREE from 'three';
-import { latLngToVector3, createArcCurve } from '../utils/globeUtils.js';
+import {
+  createArcLineGeometry,
+  createAnimatedArcMaterial,
+  createArcLine,
+  GLOBE_CONFIG
+} from '../utils/globeUtils.js';
 
 // Individual arc component
+// Drawn as a fat line (lineWidth in pixels); animation runs in the arc shader, so each frame
+// only updates the `time` uniform
 function Arc({
   startLatLng,
   endLatLng,
   color = '#ff4444',
   opacity = 0.8,
   lineWidth = 3,
-  arcHeight = 2,
+  dashed = false,
+  dashSize,
+  gapSize,
+  arcHeight = GLOBE_CONFIG.arcs.maxHeight,
   animated = false,
+  animation = 'draw',
+  loop = false,
   animationDuration = 2,
+  timeOpacity = 1,
   onClick
 }) {
-  const lineRef = useRef();
-  const animationRef = useRef({ progress: animated ? 0 : 1, startTime: Date.now() });
+  const clock = useThree(state => state.clock);
   
-  // Create arc curve and geometry
-  const { curve, geometry } = useMemo(() => {
-    const arcCurve = createArcCurve(startLatLng, endLatLng, arcHeight);
-    const points = arcCurve.getPoints(50);
-    const arcGeometry = new THREE.BufferGeometry().setFromPoints(points);
-    
-    return {
-      curve: arcCurve,
-      geometry: arcGeometry
-    };
+  // Create arc geometry once per endpoint pair
+  const geometry = useMemo(() => {
+    return createArcLineGeometry(startLatLng, endLatLng, arcHeight);
   }, [startLatLng, endLatLng, arcHeight]);
   
   // Material
   const material = useMemo(() => {
-    return new THREE.LineBasicMaterial({
+    return createAnimatedArcMaterial({
       color,
-      transparent: true,
       opacity,
-      linewidth: lineWidth
+      lineWidth,
+      dashed,
+      dashSize,
+      gapSize,
+      mode: animation,
+      duration: animationDuration,
+      loop: animated && loop
     });
-  }, [color, opacity, lineWidth]);
+  }, [color, opacity, lineWidth, dashed, dashSize, gapSize, animation, animationDuration, animated, loop]);
+
+  const line = useMemo(() => createArcLine(geometry, material), [geometry, material]);
+
+  // Animated arcs start when they appear; static arcs are already complete
+  useEffect(() => {
+    material.uniforms.startTime.value = animated ? clock.getElapsedTime() : -1e9;
+  }, [material, animated, clock]);
+
+  // Timeline fading dims the existing material rather than rebuilding it, which would restart
+  // the animation
+  useEffect(() => {
+    material.opacity = opacity * timeOpacity;
+  }, [material, opacity, timeOpacity]);
+
+  useEffect(() => () => geometry.dispose(), [geometry]);
+  useEffect(() => () => material.dispose(), [material]);
   
-  // Animation
-  useFrame(() => {
-    if (animated && lineRef.current && animationRef.current.progress < 1) {
-      const elapsed = (Date.now() - animationRef.current.startTime) / 1000;
-      const progress = Math.min(elapsed / animationDuration, 1);
-      animationRef.current.progress = progress;
-      
-      // Create partial geometry based on progress
-      const totalPoints = 51; // 50 segments + 1
-      const visiblePoints = Math.floor(totalPoints * progress);
-      
-      if (visiblePoints > 1) {
-        const points = curve.getPoints(50);
-        const partialPoints = points.slice(0, visiblePoints);
-        const partialGeometry = new THREE.BufferGeometry().setFromPoints(partialPoints);
-        
-        lineRef.current.geometry.dispose();
-        lineRef.current.geometry = partialGeometry;
-      }
-    }
+  useFrame((state) => {
+    material.uniforms.time.value = state.clock.getElapsedTime();
   });
   
   const handleClick = (event) => {
@@ -75,19 +83,29 @@ function Arc({
   };
   
   return (
-    <line
-      ref={lineRef}
-      geometry={geometry}
-      material={material}
+    <primitive
+      object={line}
       onClick={handleClick}
     />
   );
 }
 
+// A path (an arc with `waypoints`) is drawn as one arc per pair of waypoints
+function toSegments(arc) {
+  if (!arc.waypoints || arc.waypoints.length < 3) return [arc];
+  return arc.waypoints.slice(1).map((endLatLng, index) => ({
+    ...arc,
+    id: arc.id && `${arc.id}-segment-${index}`,
+    startLatLng: arc.waypoints[index],
+    endLatLng
+  }));
+}
+
 // Arches container component
 export default function Arches({ arcs = [], onArcClick }) {
   const archComponents = useMemo(() => {
     return arcs
+      .flatMap(toSegments)
       .filter(arc => 
         arc.startLatLng && arc.endLatLng &&
         typeof arc.startLatLng.lat === 'number' &&
@@ -103,9 +121,15 @@ export default function Arches({ arcs = [], onArcClick }) {
           color={arc.color}
           opacity={arc.opacity}
           lineWidth={arc.lineWidth}
+          dashed={arc.dashed}
+          dashSize={arc.dashSize}
+          gapSize={arc.gapSize}
           arcHeight={arc.arcHeight}
           animated={arc.animated}
+          animation={arc.animation}
+          loop={arc.loop}
           animationDuration={arc.animationDuration}
+          timeOpacity={arc.timeOpacity}
           onClick={onArcClick}
         />
       ));
@@ -128,6 +152,7 @@ export function MissileArcs({ missiles = [], onArcClick }) {
       lineWidth: missile.lineWidth || 4,
       arcHeight: missile.arcHeight || 3,
       animated: missile.animated !== false, // Default to animated
+      animation: missile.animation || 'comet',
       animationDuration: missile.animationDuration || 1.5
     }));
   }, [missiles]);
@@ -144,6 +169,8 @@ export function TradeArcs({ trades = [], onArcClick }) {
       lineWidth: trade.lineWidth || 2,
       arcHeight: trade.arcHeight || 1.5,
       animated: trade.animated !== false,
+      animation: trade.animation || 'dash',
+      loop: trade.loop !== false, // Ongoing flow
       animationDuration: trade.animationDuration || 3
     }));
   }, [trades]);
@@ -160,6 +187,8 @@ export function FlightArcs({ flights = [], onArcClick }) {
       lineWidth: flight.lineWidth || 1.5,
       arcHeight: flight.arcHeight || 1,
       animated: flight.animated !== false,
+      animation: flight.animation || 'dash',
+      loop: flight.loop !== false, // Ongoing flow
       animationDuration: flight.animationDuration || 4
     }));
   }, [flights]);
@@ -175,32 +204,30 @@ export function PulsingArc({
   pulseSpeed = 2,
   minOpacity = 0.3,
   maxOpacity = 0.9,
-  arcHeight = 2,
+  lineWidth = 3,
+  arcHeight = GLOBE_CONFIG.arcs.maxHeight,
   onClick
 }) {
-  const lineRef = useRef();
+  const geometry = useMemo(() => {
+    return createArcLineGeometry(startLatLng, endLatLng, arcHeight);
+  }, [startLatLng, endLatLng, arcHeight]);
   
-  const { geometry, material } = useMemo(() => {
-    const curve = createArcCurve(startLatLng, endLatLng, arcHeight);
-    const points = curve.getPoints(50);
-    const arcGeometry = new THREE.BufferGeometry().setFromPoints(points);
-    
-    const arcMaterial = new THREE.LineBasicMaterial({
-      color,
-      transparent: true,
-      opacity: maxOpacity
-    });
-    
-    return { geometry: arcGeometry, material: arcMaterial };
-  }, [startLatLng, endLatLng, color, maxOpacity, arcHeight]);
+  const material = useMemo(() => {
+    const arcMaterial = createAnimatedArcMaterial({ color, opacity: maxOpacity, lineWidth });
+    // Always fully drawn; only the opacity pulses
+    arcMaterial.uniforms.startTime.value = -1e9;
+    return arcMaterial;
+  }, [color, maxOpacity, lineWidth]);
+  
+  const line = useMemo(() => createArcLine(geometry, material), [geometry, material]);
+  
+  useEffect(() => () => geometry.dispose(), [geometry]);
+  useEffect(() => () => material.dispose(), [material]);
   
   useFrame((state) => {
-    if (lineRef.current && lineRef.current.material) {
-      const time = state.clock.getElapsedTime();
-      const pulse = Math.sin(time * pulseSpeed) * 0.5 + 0.5; // 0 to 1
-      const opacity = minOpacity + (maxOpacity - minOpacity) * pulse;
-      lineRef.current.material.opacity = opacity;
-    }
+    const time = state.clock.getElapsedTime();
+    const pulse = Math.sin(time * pulseSpeed) * 0.5 + 0.5; // 0 to 1
+    material.opacity = minOpacity + (maxOpacity - minOpacity) * pulse;
   });
   
   const handleClick = (event) => {
@@ -216,10 +243,8 @@ export function PulsingArc({
   };
   
   return (
-    <line
-      ref={lineRef}
-      geometry={geometry}
-      material={material}
+    <primitive
+      object={line}
       onClick={handleClick}
     />
   );
@@ -230,7 +255,7 @@ export function MultiSegmentArc({
   waypoints = [], // Array of lat/lng objects
   color = '#ff4444',
   opacity = 0.8,
-  arcHeight = 2,
+  arcHeight = GLOBE_CONFIG.arcs.maxHeight,
   onClick
 }) {
   const segments = useMemo(() => {
@@ -254,23 +279,18 @@ export function MultiSegmentArc({
   return <Arches arcs={segments} onArcClick={onClick} />;
 }
 
-// Arc with gradient effect (requires custom shader material)
+// Arc with gradient effect (per-vertex colors along the line)
 export function GradientArc({
   startLatLng,
   endLatLng,
   startColor = '#ff0000',
   endColor = '#ffaa00',
-  arcHeight = 2,
+  arcHeight = GLOBE_CONFIG.arcs.maxHeight,
   opacity = 0.8,
+  lineWidth = 3,
   onClick
 }) {
-  const lineRef = useRef();
-  
-  const { geometry, material } = useMemo(() => {
-    const curve = createArcCurve(startLatLng, endLatLng, arcHeight);
-    const points = curve.getPoints(50);
-    const arcGeometry = new THREE.BufferGeometry().setFromPoints(points);
-    
+  const geometry = useMemo(() => {
     // Create colors array for gradient
     const colors = [];
     const startColorObj = new THREE.Color(startColor);
@@ -282,16 +302,19 @@ export function GradientArc({
       colors.push(color.r, color.g, color.b);
     }
     
-    arcGeometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
-    
-    const gradientMaterial = new THREE.LineBasicMaterial({
-      vertexColors: true,
-      transparent: true,
-      opacity
-    });
-    
-    return { geometry: arcGeometry, material: gradientMaterial };
-  }, [startLatLng, endLatLng, startColor, endColor, arcHeight, opacity]);
+    return createArcLineGeometry(startLatLng, endLatLng, arcHeight, 50, colors);
+  }, [startLatLng, endLatLng, startColor, endColor, arcHeight]);
+  
+  const material = useMemo(() => {
+    const gradientMaterial = createAnimatedArcMaterial({ vertexColors: true, opacity, lineWidth });
+    gradientMaterial.uniforms.startTime.value = -1e9;
+    return gradientMaterial;
+  }, [opacity, lineWidth]);
+  
+  const line = useMemo(() => createArcLine(geometry, material), [geometry, material]);
+  
+  useEffect(() => () => geometry.dispose(), [geometry]);
+  useEffect(() => () => material.dispose(), [material]);
   
   const handleClick = (event) => {
     event.stopPropagation();
@@ -307,11 +330,9 @@ export function GradientArc({
   };
   
   return (
-    <line
-      ref={lineRef}
-      geometry={geometry}
-      material={material}
+    <primitive
+      object={line}
       onClick={handleClick}
     />
   );
-}
\ No newline at end of file
+}
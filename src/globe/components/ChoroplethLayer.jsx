@@ -0,0 +1,118 @@
+import React, { useMemo, useEffect, useRef, useState } from 'react';
+import { Html } from '@react-three/drei';
+import * as THREE from 'three';
+import { createFillGeometry } from '../utils/geoGeometry.js';
+import { loadCountries, getLoadedCountries } from '../utils/countries.js';
+import { resolveChoroplethValues } from '../utils/choropleth.js';
+
+// Just above the ocean, below country highlights and all outlines
+const CHOROPLETH_RADIUS = 5.003;
+
+// Only the hemisphere facing the camera can be hovered; fills behind the globe
+// are hit by the same ray but hidden by the ocean sphere
+function isFacingCamera(point, camera) {
+  return point.dot(camera.position.clone().sub(point)) > 0;
+}
+
+// One filled country; the geometry is kept while only its value/color changes
+function ChoroplethCountry({ feature, color, opacity, onHover }) {
+  const geometry = useMemo(() => createFillGeometry(feature.geometry, CHOROPLETH_RADIUS), [feature]);
+
+  useEffect(() => () => geometry.dispose(), [geometry]);
+
+  const handlePointerMove = (event) => {
+    if (!isFacingCamera(event.point, event.camera)) return;
+    onHover(feature, event.point);
+  };
+
+  return (
+    <mesh
+      geometry={geometry}
+      onPointerMove={handlePointerMove}
+      onPointerOut={() => onHover(null)}
+    >
+      <meshBasicMaterial
+        color={color}
+        transparent={true}
+        opacity={opacity}
+        side={THREE.DoubleSide}
+        depthWrite={false}
+      />
+    </mesh>
+  );
+}
+
+// Choropleth fill on the Three.js globe
+// `values` maps country names or ISO codes to numbers; `scale` comes from createChoroplethScale
+// so the legend shows the same bins. Hovering a country shows its name and value.
+export default function ChoroplethLayer({
+  values = {},
+  scale,
+  title = 'Value',
+  opacity = 0.6,
+  formatValue = value => value.toLocaleString()
+}) {
+  const groupRef = useRef();
+  const [countries, setCountries] = useState(getLoadedCountries);
+  const [hovered, setHovered] = useState(null);
+
+  useEffect(() => {
+    if (countries) return;
+    loadCountries()
+      .then(setCountries)
+      .catch(error => console.error('Failed to load country polygons:', error));
+  }, [countries]);
+
+  const entries = useMemo(
+    () => (countries ? resolveChoroplethValues(values, countries).entries : []),
+    [values, countries]
+  );
+
+  // The tooltip lives in the globe's rotating frame so it stays on the country
+  const handleHover = (feature, point) => {
+    if (!feature) {
+      setHovered(null);
+      return;
+    }
+    const entry = entries.find(candidate => candidate.feature === feature);
+    setHovered({
+      name: feature.properties.name,
+      value: entry?.value,
+      position: groupRef.current.worldToLocal(point.clone())
+    });
+  };
+
+  if (!scale || entries.length === 0) return null;
+
+  return (
+    <group ref={groupRef} name="choropleth">
+      {entries.map(entry => (
+        <ChoroplethCountry
+          key={entry.key}
+          feature={entry.feature}
+          color={scale.colorFor(entry.value) || '#444444'}
+          opacity={opacity}
+          onHover={handleHover}
+        />
+      ))}
+      {hovered && (
+        <Html position={hovered.position} style={{ pointerEvents: 'none' }}>
+          <div style={{
+            transform: 'translate(10px, -50%)',
+            padding: '4px 8px',
+            backgroundColor: 'rgba(0, 0, 0, 0.85)',
+            border: '1px solid #555',
+            borderRadius: '4px',
+            color: 'white',
+            fontFamily: 'monospace',
+            fontSize: '12px',
+            whiteSpace: 'nowrap'
+          }}>
+            <div style={{ fontWeight: 'bold' }}>{hovered.name}</div>
+            <div>{title}: {hovered.value != null ? formatValue(hovered.value) : 'No data'}</div>
+          </div>
+        </Html>
+      )}
+    </group>
+  );
+}
@@ -0,0 +1,43 @@
+import React from 'react';
+
+// Legend for ChoroplethLayer, rendered over the canvas
+export default function ChoroplethLegend({ title, scale, unknown = [], style = {} }) {
+  if (!scale || scale.bins.length === 0) return null;
+
+  return (
+    <div style={{
+      position: 'absolute',
+      bottom: '20px',
+      right: '20px',
+      padding: '10px',
+      backgroundColor: 'rgba(0, 0, 0, 0.8)',
+      border: '1px solid #444',
+      borderRadius: '4px',
+      color: 'white',
+      fontFamily: 'monospace',
+      fontSize: '12px',
+      pointerEvents: 'none',
+      ...style
+    }}>
+      {title && <div style={{ fontWeight: 'bold', marginBottom: '6px' }}>{title}</div>}
+      {scale.bins.map(bin => (
+        <div key={bin.label} style={{ display: 'flex', alignItems: 'center', marginBottom: '2px' }}>
+          <span style={{
+            display: 'inline-block',
+            width: '14px',
+            height: '14px',
+            marginRight: '6px',
+            backgroundColor: bin.color,
+            opacity: 0.8
+          }} />
+          {bin.label}
+        </div>
+      ))}
+      {unknown.length > 0 && (
+        <div style={{ marginTop: '6px', color: '#f88', maxWidth: '180px' }}>
+          Unknown: {unknown.join(', ')}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+import React, { useMemo, useEffect, useState } from 'react';
+import * as THREE from 'three';
+import { createFillGeometry, createOutlinePositions } from '../utils/geoGeometry.js';
+import { loadCountries, getLoadedCountries } from '../utils/countries.js';
+import OutlineLines from './OutlineLines.jsx';
+
+// Fill sits just above the ocean and below the land outlines; the outline sits above the borders
+const FILL_RADIUS = 5.005;
+const OUTLINE_RADIUS = 5.04;
+
+// Single highlighted country (or any GeoJSON Polygon/MultiPolygon)
+function CountryHighlight({ geometry, color, mode, opacity }) {
+  const fillGeometry = useMemo(
+    () => (mode === 'outline' ? null : createFillGeometry(geometry, FILL_RADIUS)),
+    [geometry, mode]
+  );
+  const outlinePositions = useMemo(
+    () => createOutlinePositions([geometry], OUTLINE_RADIUS),
+    [geometry]
+  );
+
+  useEffect(() => () => fillGeometry?.dispose(), [fillGeometry]);
+
+  return (
+    <group>
+      {fillGeometry && (
+        <mesh geometry={fillGeometry}>
+          <meshBasicMaterial
+            color={color}
+            transparent={true}
+            opacity={opacity}
+            side={THREE.DoubleSide}
+            depthWrite={false}
+          />
+        </mesh>
+      )}
+      <OutlineLines positions={outlinePositions} color={color} lineWidth={2} />
+    </group>
+  );
+}
+
+// Whole-country highlights on the Three.js globe
+// Each area is { id, countryCode, color, mode: 'fill' | 'outline', opacity }; countryCode is
+// anything the country resolver accepts (name or ISO code). Areas with their own `geometry`
+// (imported polygons) are drawn from it instead.
+export default function CountryHighlights({ areas = [] }) {
+  const [countries, setCountries] = useState(getLoadedCountries);
+
+  useEffect(() => {
+    if (countries) return;
+    loadCountries()
+      .then(setCountries)
+      .catch(error => console.error('Failed to load country polygons:', error));
+  }, [countries]);
+
+  return (
+    <group>
+      {areas.map(area => {
+        const geometry = area.geometry || countries?.resolve(area.countryCode)?.geometry;
+        if (!geometry) return null;
+        return (
+          <CountryHighlight
+            key={area.id}
+            geometry={geometry}
+            color={area.color || '#ffaa00'}
+            mode={area.mode || 'fill'}
+            opacity={area.opacity ?? 0.35}
+          />
+        );
+      })}
+    </group>
+  );
+}
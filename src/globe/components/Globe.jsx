@@ -1,11 +1,27 @@
 import React, { useRef, useMemo, useEffect, useState } from 'react';
 import { useFrame, useThree } from '@react-three/fiber';
-import * as THREE from 'three';
+import { createOutlinePositions } from '../utils/geoGeometry.js';
+import { loadCountries } from '../utils/countries.js';
+import { vector3ToLatLng } from '../utils/globeUtils.js';
+import OutlineLines from './OutlineLines.jsx';
+
+// Pointer travel (px) above which a click is treated as the end of a drag
+const CLICK_DRAG_TOLERANCE = 4;
+
+// Lat/lng of a pointer hit on the ocean sphere, in the globe's own (rotating) frame
+function getSurfacePosition(event) {
+  const { lat, lng } = vector3ToLatLng(event.object.worldToLocal(event.point.clone()));
+  return { latitude: lat, longitude: lng, point: event.point };
+}
 
 // Globe component with layered approach
+// onSurfaceClick / onSurfaceHover receive { latitude, longitude, point } for the picked spot
+// on the globe (hover gets null when the pointer leaves it)
 export default function Globe({ 
   rotationSpeed = 0.002,
   enableRotation = true,
+  onSurfaceClick,
+  onSurfaceHover,
   children 
 }) {
   const meshRef = useRef();
@@ -17,9 +33,9 @@ export default function Globe({
   useEffect(() => {
     Promise.all([
       fetch('/land-cleaned.json').then(res => res.json()),
-      fetch('/countries-cleaned.json').then(res => res.json())
+      loadCountries()
     ])
-    .then(([landData, countriesData]) => {
+    .then(([landData, countries]) => {
       // Handle land data
       if (landData.type === 'GeometryCollection') {
         const featureCollection = {
@@ -35,20 +51,8 @@ export default function Globe({
         setLandGeoJson(landData);
       }
       
-      // Handle countries data
-      if (countriesData.type === 'GeometryCollection') {
-        const featureCollection = {
-          type: 'FeatureCollection',
-          features: countriesData.geometries.map((geometry, index) => ({
-            type: 'Feature',
-            properties: { id: index },
-            geometry
-          }))
-        };
-        setCountriesGeoJson(featureCollection);
-      } else {
-        setCountriesGeoJson(countriesData);
-      }
+      // Countries come with names and ISO codes attached
+      setCountriesGeoJson(countries.featureCollection);
     })
     .catch(error => {
       console.error('Failed to load GeoJSON data:', error);
@@ -56,132 +60,21 @@ export default function Globe({
   }, []);
 
   // Create land outline geometry (thick gray lines instead of filled areas)
-  const landOutlineGeometry = useMemo(() => {
+  const landOutlinePositions = useMemo(() => {
     if (!landGeoJson || !landGeoJson.features) return null;
-    
-    const geometry = new THREE.BufferGeometry();
-    const vertices = [];
-    const radius = 5.01; // Just above ocean
-
-    landGeoJson.features.forEach(feature => {
-      const processRing = (ring) => {
-        for (let i = 0; i < ring.length - 1; i++) {
-          const [lng1, lat1] = ring[i];
-          const [lng2, lat2] = ring[i + 1];
-          
-          const phi1 = (90 - lat1) * (Math.PI / 180);
-          const theta1 = (lng1 + 180) * (Math.PI / 180);
-          const x1 = -(radius * Math.sin(phi1) * Math.cos(theta1));
-          const z1 = radius * Math.sin(phi1) * Math.sin(theta1);
-          const y1 = radius * Math.cos(phi1);
-          
-          const phi2 = (90 - lat2) * (Math.PI / 180);
-          const theta2 = (lng2 + 180) * (Math.PI / 180);
-          const x2 = -(radius * Math.sin(phi2) * Math.cos(theta2));
-          const z2 = radius * Math.sin(phi2) * Math.sin(theta2);
-          const y2 = radius * Math.cos(phi2);
-          
-          vertices.push(x1, y1, z1, x2, y2, z2);
-        }
-      };
-
-      if (feature.geometry.type === 'Polygon') {
-        feature.geometry.coordinates.forEach(processRing);
-      } else if (feature.geometry.type === 'MultiPolygon') {
-        feature.geometry.coordinates.forEach(polygon => {
-          polygon.forEach(processRing);
-        });
-      }
-    });
-
-    geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-    return geometry;
+    return createOutlinePositions(landGeoJson.features.map(feature => feature.geometry), 5.01); // Just above ocean
   }, [landGeoJson]);
 
   // Create coastline geometry (yellow outlines)
-  const coastlineGeometry = useMemo(() => {
+  const coastlinePositions = useMemo(() => {
     if (!landGeoJson || !landGeoJson.features) return null;
-    
-    const geometry = new THREE.BufferGeometry();
-    const vertices = [];
-    const radius = 5.02; // Above land masses
-
-    landGeoJson.features.forEach(feature => {
-      const processRing = (ring) => {
-        for (let i = 0; i < ring.length - 1; i++) {
-          const [lng1, lat1] = ring[i];
-          const [lng2, lat2] = ring[i + 1];
-          
-          const phi1 = (90 - lat1) * (Math.PI / 180);
-          const theta1 = (lng1 + 180) * (Math.PI / 180);
-          const x1 = -(radius * Math.sin(phi1) * Math.cos(theta1));
-          const z1 = radius * Math.sin(phi1) * Math.sin(theta1);
-          const y1 = radius * Math.cos(phi1);
-          
-          const phi2 = (90 - lat2) * (Math.PI / 180);
-          const theta2 = (lng2 + 180) * (Math.PI / 180);
-          const x2 = -(radius * Math.sin(phi2) * Math.cos(theta2));
-          const z2 = radius * Math.sin(phi2) * Math.sin(theta2);
-          const y2 = radius * Math.cos(phi2);
-          
-          vertices.push(x1, y1, z1, x2, y2, z2);
-        }
-      };
-
-      if (feature.geometry.type === 'Polygon') {
-        feature.geometry.coordinates.forEach(processRing);
-      } else if (feature.geometry.type === 'MultiPolygon') {
-        feature.geometry.coordinates.forEach(polygon => {
-          polygon.forEach(processRing);
-        });
-      }
-    });
-
-    geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-    return geometry;
+    return createOutlinePositions(landGeoJson.features.map(feature => feature.geometry), 5.02); // Above land masses
   }, [landGeoJson]);
 
   // Create country border geometry (white lines)
-  const countryGeometry = useMemo(() => {
+  const countryBorderPositions = useMemo(() => {
     if (!countriesGeoJson || !countriesGeoJson.features) return null;
-    
-    const geometry = new THREE.BufferGeometry();
-    const vertices = [];
-    const radius = 5.03; // Above coastlines
-
-    countriesGeoJson.features.forEach(feature => {
-      const processRing = (ring) => {
-        for (let i = 0; i < ring.length - 1; i++) {
-          const [lng1, lat1] = ring[i];
-          const [lng2, lat2] = ring[i + 1];
-          
-          const phi1 = (90 - lat1) * (Math.PI / 180);
-          const theta1 = (lng1 + 180) * (Math.PI / 180);
-          const x1 = -(radius * Math.sin(phi1) * Math.cos(theta1));
-          const z1 = radius * Math.sin(phi1) * Math.sin(theta1);
-          const y1 = radius * Math.cos(phi1);
-          
-          const phi2 = (90 - lat2) * (Math.PI / 180);
-          const theta2 = (lng2 + 180) * (Math.PI / 180);
-          const x2 = -(radius * Math.sin(phi2) * Math.cos(theta2));
-          const z2 = radius * Math.sin(phi2) * Math.sin(theta2);
-          const y2 = radius * Math.cos(phi2);
-          
-          vertices.push(x1, y1, z1, x2, y2, z2);
-        }
-      };
-
-      if (feature.geometry.type === 'Polygon') {
-        feature.geometry.coordinates.forEach(processRing);
-      } else if (feature.geometry.type === 'MultiPolygon') {
-        feature.geometry.coordinates.forEach(polygon => {
-          polygon.forEach(processRing);
-        });
-      }
-    });
-
-    geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
-    return geometry;
+    return createOutlinePositions(countriesGeoJson.features.map(feature => feature.geometry), 5.03); // Above coastlines
   }, [countriesGeoJson]);
 
   // Track user interaction to pause rotation
@@ -249,43 +142,46 @@ export default function Globe({
   });
 
   return (
-    <group ref={meshRef}>
-      {/* Layer 1: Ocean foundation (solid black) */}
-      <mesh>
+    <group ref={meshRef} name="globe">
+      {/* Layer 1: Ocean foundation (solid black), also the picking surface */}
+      <mesh
+        onClick={onSurfaceClick && (event => {
+          if (event.delta > CLICK_DRAG_TOLERANCE) return;
+          onSurfaceClick(getSurfacePosition(event));
+        })}
+        onPointerMove={onSurfaceHover && (event => onSurfaceHover(getSurfacePosition(event)))}
+        onPointerOut={onSurfaceHover && (() => onSurfaceHover(null))}
+      >
         <sphereGeometry args={[5, 64, 32]} />
         <meshBasicMaterial color="#000000" />
       </mesh>
       
       {/* Layer 2: Land outlines (thick gray lines) */}
-      {landOutlineGeometry && (
-        <lineSegments geometry={landOutlineGeometry}>
-          <lineBasicMaterial 
-            color="#444444"
-            linewidth={4}
-          />
-        </lineSegments>
+      {landOutlinePositions && (
+        <OutlineLines
+          positions={landOutlinePositions}
+          color="#444444"
+          lineWidth={4}
+        />
       )}
       
       {/* Layer 3: Coastline outlines (dark yellow) */}
-      {coastlineGeometry && (
-        <lineSegments geometry={coastlineGeometry}>
-          <lineBasicMaterial 
-            color="#ccaa00"
-            linewidth={2}
-          />
-        </lineSegments>
+      {coastlinePositions && (
+        <OutlineLines
+          positions={coastlinePositions}
+          color="#ccaa00"
+          lineWidth={2}
+        />
       )}
       
       {/* Layer 4: Country borders (white) */}
-      {countryGeometry && (
-        <lineSegments geometry={countryGeometry}>
-          <lineBasicMaterial 
-            color="#ffffff"
-            linewidth={1}
-            transparent={true}
-            opacity={0.6}
-          />
-        </lineSegments>
+      {countryBorderPositions && (
+        <OutlineLines
+          positions={countryBorderPositions}
+          color="#ffffff"
+          lineWidth={1}
+          opacity={0.6}
+        />
       )}
       
       {/* Children (markers, arcs, etc.) */}
@@ -1,11 +1,20 @@
-import React, { Suspense, useState, useCallback, useMemo } from 'react';
+import React, { Suspense, useState, useCallback, useMemo, useEffect, useRef } from 'react';
 import { Canvas } from '@react-three/fiber';
 import { OrbitControls, Stars } from '@react-three/drei';
 import * as THREE from 'three';
 import Globe from './Globe.jsx';
-import Markers from './Markers.jsx';
+import { ClusteredMarkers } from './Markers.jsx';
 import Arches from './Arches.jsx';
-import { geocodeLocation } from '../utils/geocoding.js';
+import CountryHighlights from './CountryHighlights.jsx';
+import Timeline from './Timeline.jsx';
+import MagnitudeLegend from './MagnitudeLegend.jsx';
+import ImpactRings from './ImpactRings.jsx';
+import ViewPersistence from './ViewPersistence.jsx';
+import ImportDialog from './ImportDialog.jsx';
+import { applyTimeWindow, filterTimeWindow } from '../utils/timeline.js';
+import { formatEventTime } from '../../services/eventTime.js';
+import { parseImportFile } from '../../services/fileImport.js';
+import { toGeoJson, toCsv, createSnapshot, downloadFile } from '../../services/fileExport.js';
 
 // Loading component
 function LoadingSpinner() {
@@ -86,18 +95,37 @@ export default function GlobeView({
   newsData = [],
   events = [],
   arcs = [],
+  areas = [],
   onEventClick,
   onArcClick,
+  onImport,
   width = '100%',
   height = '600px',
   enableControls = true,
   enableRotation = true,
   showStars = true,
+  showTimeline = true,
+  showExport = false,
+  showLegend = true,
+  showImpactRings = true,
+  animateShockwaves = true,
   cameraPosition = [0, 0, 15],
+  view,
+  onViewChange,
   style = {}
 }) {
   const [isLoading, setIsLoading] = useState(true);
   const [selectedEvent, setSelectedEvent] = useState(null);
+  const [timeRange, setTimeRange] = useState(null);
+  const [dragOver, setDragOver] = useState(false);
+  const [importFile, setImportFile] = useState(null);
+  const [appliedView, setAppliedView] = useState(view);
+  const captureViewRef = useRef(null);
+
+  // A new session view replaces any view restored from a snapshot
+  useEffect(() => {
+    setAppliedView(view);
+  }, [view]);
   
   // Process news data into events and arcs
   const processedData = useMemo(() => {
@@ -111,9 +139,14 @@ export default function GlobeView({
           id: event.id || `event-${processedEvents.length}`,
           latitude: event.latitude,
           longitude: event.longitude,
-          type: event.type || 'earthquake',
-          magnitude: event.magnitude || 5.0,
-          timestamp: event.timestamp || new Date().toISOString(),
+          type: event.type || 'event',
+          magnitude: event.magnitude ?? null,
+          radiusKm: event.radiusKm ?? null,
+          // Untimed events stay untimed: always shown and left out of the timeline's extent
+          timestamp: event.timestamp || null,
+          occurredAt: event.occurredAt,
+          occurredAtPrecision: event.occurredAtPrecision,
+          plottedAt: event.plottedAt,
           title: event.title || event.location,
           description: event.description || event.summary
         });
@@ -127,9 +160,15 @@ export default function GlobeView({
           id: arc.id || `arc-${processedArcs.length}`,
           startLatLng: arc.startLatLng,
           endLatLng: arc.endLatLng,
+          waypoints: arc.waypoints,
+          arcHeight: arc.arcHeight,
           color: arc.color || '#ff4444',
           type: arc.type || 'generic',
           animated: arc.animated !== false,
+          animation: arc.animation,
+          loop: arc.loop,
+          lineWidth: arc.lineWidth,
+          timestamp: arc.timestamp,
           title: arc.title || `${arc.from || 'Unknown'} → ${arc.to || 'Unknown'}`
         });
       }
@@ -165,6 +204,22 @@ export default function GlobeView({
       arcs: processedArcs
     };
   }, [newsData, events, arcs]);
+
+  // Everything on the timeline, for its histogram
+  const timelineItems = useMemo(
+    () => [...processedData.events, ...processedData.arcs],
+    [processedData]
+  );
+
+  // Events and arcs inside the timeline range (all of them when no range is selected)
+  const visibleEvents = useMemo(
+    () => applyTimeWindow(processedData.events, timeRange),
+    [processedData, timeRange]
+  );
+  const visibleArcs = useMemo(
+    () => applyTimeWindow(processedData.arcs, timeRange),
+    [processedData, timeRange]
+  );
   
   // Handle marker clicks
   const handleMarkerClick = useCallback((markerData) => {
@@ -181,6 +236,76 @@ export default function GlobeView({
     }
   }, [onArcClick]);
   
+  // File drops open the import preview; only when the parent accepts imports
+  const handleDragOver = useCallback((event) => {
+    if (!onImport || !event.dataTransfer.types.includes('Files')) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+    setDragOver(true);
+  }, [onImport]);
+
+  const handleDragLeave = useCallback((event) => {
+    if (!event.currentTarget.contains(event.relatedTarget)) {
+      setDragOver(false);
+    }
+  }, []);
+
+  const handleDrop = useCallback(async (event) => {
+    if (!onImport) return;
+    event.preventDefault();
+    setDragOver(false);
+    const [file] = event.dataTransfer.files;
+    if (!file) return;
+    try {
+      setImportFile(parseImportFile(file.name, await file.text()));
+    } catch (error) {
+      setImportFile({ fileName: file.name, error: error.message });
+    }
+  }, [onImport]);
+
+  // Snapshots replace the scene and bring back their camera and timeline selection
+  const handleImport = useCallback((items) => {
+    const { snapshot } = importFile;
+    setImportFile(null);
+    if (!snapshot) {
+      onImport(items);
+      return;
+    }
+    setTimeRange(snapshot.timeRange);
+    if (snapshot.view) {
+      setAppliedView(snapshot.view);
+      onViewChange?.(snapshot.view);
+    }
+    onImport(items, { replace: true });
+  }, [importFile, onImport, onViewChange]);
+
+  // GeoJSON and CSV hold the plotted events and arcs inside the timeline selection; a snapshot
+  // holds the whole scene with the selection and camera so it can be restored exactly
+  const handleExport = useCallback((format) => {
+    const date = new Date().toISOString().slice(0, 10);
+    if (format === 'snapshot') {
+      const snapshot = createSnapshot({
+        events,
+        arcs,
+        areas,
+        view: captureViewRef.current?.() || appliedView || null,
+        timeRange
+      });
+      downloadFile(JSON.stringify(snapshot, null, 2), `globe-snapshot-${date}.json`, 'application/json');
+      return;
+    }
+
+    const items = {
+      events: filterTimeWindow(events.filter(event => event.latitude != null && event.longitude != null), timeRange),
+      arcs: filterTimeWindow(arcs.filter(arc => arc.startLatLng && arc.endLatLng), timeRange)
+    };
+    if (format === 'geojson') {
+      downloadFile(JSON.stringify(toGeoJson(items), null, 2), `globe-${date}.geojson`, 'application/geo+json');
+    } else {
+      downloadFile(toCsv(items), `globe-${date}.csv`, 'text/csv');
+    }
+  }, [events, arcs, areas, appliedView, timeRange]);
+
   // Handle loading state
   const handleCreated = useCallback(() => {
     setTimeout(() => setIsLoading(false), 1000); // Small delay for smooth transition
@@ -189,269 +314,261 @@ export default function GlobeView({
   return (
     <GlobeErrorBoundary>
       <div style={{ 
-        position: 'relative', 
+        display: 'flex',
+        flexDirection: 'column',
         width, 
         height, 
         background: '#000',
         ...style 
       }}>
-        {isLoading && <LoadingSpinner />}
-        
-        <Canvas
-          camera={{ 
-            position: cameraPosition, 
-            fov: 45,
-            near: 0.1,
-            far: 1000
-          }}
-          onCreated={handleCreated}
-          style={{ 
-            opacity: isLoading ? 0 : 1,
-            transition: 'opacity 0.5s ease-in-out'
-          }}
+        <div
+          onDragOver={handleDragOver}
+          onDragLeave={handleDragLeave}
+          onDrop={handleDrop}
+          style={{ position: 'relative', flex: 1, minHeight: 0 }}
         >
-          {/* Lighting */}
-          <ambientLight intensity={0.4} />
-          <directionalLight 
-            position={[10, 5, 5]} 
-            intensity={0.8}
-            castShadow
-          />
-          <pointLight 
-            position={[-10, -5, -5]} 
-            intensity={0.3}
-            color="#4A90E2"
-          />
+          {isLoading && <LoadingSpinner />}
           
-          {/* Background stars */}
-          {showStars && (
-            <Stars 
-              radius={300} 
-              depth={50} 
-              count={1000} 
-              factor={4} 
-              saturation={0} 
-              fade={true}
+          <Canvas
+            camera={{ 
+              position: cameraPosition, 
+              fov: 45,
+              near: 0.1,
+              far: 1000
+            }}
+            onCreated={handleCreated}
+            style={{ 
+              opacity: isLoading ? 0 : 1,
+              transition: 'opacity 0.5s ease-in-out'
+            }}
+          >
+            {/* Lighting */}
+            <ambientLight intensity={0.4} />
+            <directionalLight 
+              position={[10, 5, 5]} 
+              intensity={0.8}
+              castShadow
             />
-          )}
-          
-          {/* Globe and content */}
-          <Suspense fallback={null}>
-            <Globe enableRotation={enableRotation}>
-              <Markers 
-                events={processedData.events}
-                onMarkerClick={handleMarkerClick}
+            <pointLight 
+              position={[-10, -5, -5]} 
+              intensity={0.3}
+              color="#4A90E2"
+            />
+            
+            {/* Background stars */}
+            {showStars && (
+              <Stars 
+                radius={300} 
+                depth={50} 
+                count={1000} 
+                factor={4} 
+                saturation={0} 
+                fade={true}
               />
-              <Arches 
-                arcs={processedData.arcs}
-                onArcClick={handleArcClick}
+            )}
+            
+            {/* Globe and content */}
+            <Suspense fallback={null}>
+              <Globe enableRotation={enableRotation}>
+                <CountryHighlights areas={areas} />
+                {showImpactRings && (
+                  <ImpactRings events={visibleEvents} shockwave={animateShockwaves} />
+                )}
+                <ClusteredMarkers
+                  events={visibleEvents}
+                  onMarkerClick={handleMarkerClick}
+                />
+                <Arches 
+                  arcs={visibleArcs}
+                  onArcClick={handleArcClick}
+                />
+              </Globe>
+            </Suspense>
+            
+            {/* Controls */}
+            {enableControls && (
+              <OrbitControls
+                makeDefault
+                enablePan={true}
+                enableZoom={true}
+                enableRotate={true}
+                zoomSpeed={0.6}
+                panSpeed={0.5}
+                rotateSpeed={0.4}
+                minDistance={8}
+                maxDistance={50}
+                minPolarAngle={0}
+                maxPolarAngle={Math.PI}
               />
-            </Globe>
-          </Suspense>
+            )}
+
+            {/* Camera save/restore for sessions and snapshots */}
+            <ViewPersistence view={appliedView} onChange={onViewChange} captureRef={captureViewRef} />
+          </Canvas>
           
-          {/* Controls */}
-          {enableControls && (
-            <OrbitControls
-              enablePan={true}
-              enableZoom={true}
-              enableRotate={true}
-              zoomSpeed={0.6}
-              panSpeed={0.5}
-              rotateSpeed={0.4}
-              minDistance={8}
-              maxDistance={50}
-              minPolarAngle={0}
-              maxPolarAngle={Math.PI}
-            />
+          {/* Event details overlay */}
+          {selectedEvent && (
+            <div style={{
+              position: 'absolute',
+              top: '20px',
+              right: '20px',
+              background: 'rgba(0, 0, 0, 0.8)',
+              color: 'white',
+              padding: '15px',
+              borderRadius: '8px',
+              maxWidth: '300px',
+              fontSize: '14px',
+              zIndex: 10,
+              backdropFilter: 'blur(10px)'
+            }}>
+              <div style={{ 
+                display: 'flex', 
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                marginBottom: '10px'
+              }}>
+                <h4 style={{ margin: 0, color: '#4A90E2' }}>
+                  Event Details
+                </h4>
+                <button
+                  onClick={() => setSelectedEvent(null)}
+                  style={{
+                    background: 'none',
+                    border: 'none',
+                    color: 'white',
+                    fontSize: '18px',
+                    cursor: 'pointer',
+                    padding: '0'
+                  }}
+                >
+                  ×
+                </button>
+              </div>
+              
+              <div><strong>Type:</strong> {selectedEvent.eventType}</div>
+              <div><strong>Location:</strong> {selectedEvent.latitude?.toFixed(2)}, {selectedEvent.longitude?.toFixed(2)}</div>
+              {selectedEvent.magnitude && (
+                <div><strong>Magnitude:</strong> {selectedEvent.magnitude}</div>
+              )}
+              {selectedEvent.event?.occurredAt ? (
+                <div><strong>Occurred:</strong> {formatEventTime(selectedEvent.event.occurredAt, selectedEvent.event.occurredAtPrecision)}</div>
+              ) : selectedEvent.timestamp && (
+                <div><strong>Time:</strong> {new Date(selectedEvent.timestamp).toLocaleString()}</div>
+              )}
+              {selectedEvent.event?.plottedAt && (
+                <div><strong>Plotted:</strong> {new Date(selectedEvent.event.plottedAt).toLocaleString()}</div>
+              )}
+              {selectedEvent.title && (
+                <div style={{ marginTop: '10px' }}>
+                  <strong>Title:</strong> {selectedEvent.title}
+                </div>
+              )}
+              {selectedEvent.description && (
+                <div style={{ marginTop: '5px', opacity: 0.8 }}>
+                  {selectedEvent.description}
+                </div>
+              )}
+            </div>
           )}
-        </Canvas>
-        
-        {/* Event details overlay */}
-        {selectedEvent && (
+          
+          {/* Stats overlay */}
           <div style={{
             position: 'absolute',
-            top: '20px',
-            right: '20px',
-            background: 'rgba(0, 0, 0, 0.8)',
+            bottom: '20px',
+            left: '20px',
+            background: 'rgba(0, 0, 0, 0.6)',
             color: 'white',
-            padding: '15px',
-            borderRadius: '8px',
-            maxWidth: '300px',
-            fontSize: '14px',
+            padding: '10px',
+            borderRadius: '4px',
+            fontSize: '12px',
             zIndex: 10,
-            backdropFilter: 'blur(10px)'
+            backdropFilter: 'blur(5px)'
           }}>
-            <div style={{ 
-              display: 'flex', 
-              justifyContent: 'space-between',
+            <div>Events: {visibleEvents.length}{timeRange ? ` / ${processedData.events.length}` : ''}</div>
+            <div>Arcs: {visibleArcs.length}{timeRange ? ` / ${processedData.arcs.length}` : ''}</div>
+            <div>Renderer: Three.js</div>
+          </div>
+
+          {/* Magnitude scale legend */}
+          {showLegend && <MagnitudeLegend events={visibleEvents} />}
+
+          {/* Export */}
+          {showExport && (
+            <div style={{
+              position: 'absolute',
+              top: '20px',
+              left: '20px',
+              display: 'flex',
+              gap: '6px',
               alignItems: 'center',
-              marginBottom: '10px'
+              background: 'rgba(0, 0, 0, 0.6)',
+              color: 'white',
+              padding: '6px 8px',
+              borderRadius: '4px',
+              fontSize: '12px',
+              zIndex: 10,
+              backdropFilter: 'blur(5px)'
             }}>
-              <h4 style={{ margin: 0, color: '#4A90E2' }}>
-                Event Details
-              </h4>
-              <button
-                onClick={() => setSelectedEvent(null)}
-                style={{
-                  background: 'none',
-                  border: 'none',
-                  color: 'white',
-                  fontSize: '18px',
-                  cursor: 'pointer',
-                  padding: '0'
-                }}
-              >
-                ×
-              </button>
+              <span style={{ opacity: 0.7 }}>Export{timeRange ? ' (selection)' : ''}:</span>
+              {[['geojson', 'GeoJSON'], ['csv', 'CSV'], ['snapshot', 'Snapshot']].map(([format, label]) => (
+                <button
+                  key={format}
+                  onClick={() => handleExport(format)}
+                  title={format === 'snapshot' ? 'Whole scene with camera and timeline selection' : undefined}
+                  style={{
+                    padding: '2px 8px',
+                    backgroundColor: '#333',
+                    color: 'white',
+                    border: '1px solid #555',
+                    borderRadius: '3px',
+                    cursor: 'pointer',
+                    fontSize: '12px'
+                  }}
+                >
+                  {label}
+                </button>
+              ))}
             </div>
-            
-            <div><strong>Type:</strong> {selectedEvent.eventType}</div>
-            <div><strong>Location:</strong> {selectedEvent.latitude?.toFixed(2)}, {selectedEvent.longitude?.toFixed(2)}</div>
-            {selectedEvent.magnitude && (
-              <div><strong>Magnitude:</strong> {selectedEvent.magnitude}</div>
-            )}
-            {selectedEvent.timestamp && (
-              <div><strong>Time:</strong> {new Date(selectedEvent.timestamp).toLocaleString()}</div>
-            )}
-            {selectedEvent.title && (
-              <div style={{ marginTop: '10px' }}>
-                <strong>Title:</strong> {selectedEvent.title}
-              </div>
-            )}
-            {selectedEvent.description && (
-              <div style={{ marginTop: '5px', opacity: 0.8 }}>
-                {selectedEvent.description}
-              </div>
-            )}
-          </div>
-        )}
-        
-        {/* Stats overlay */}
-        <div style={{
-          position: 'absolute',
-          bottom: '20px',
-          left: '20px',
-          background: 'rgba(0, 0, 0, 0.6)',
-          color: 'white',
-          padding: '10px',
-          borderRadius: '4px',
-          fontSize: '12px',
-          zIndex: 10,
-          backdropFilter: 'blur(5px)'
-        }}>
-          <div>Events: {processedData.events.length}</div>
-          <div>Arcs: {processedData.arcs.length}</div>
-          <div>Renderer: Three.js</div>
+          )}
+
+          {/* Drop target and import preview */}
+          {dragOver && (
+            <div style={{
+              position: 'absolute',
+              inset: '10px',
+              border: '2px dashed #4A90E2',
+              borderRadius: '8px',
+              background: 'rgba(74, 144, 226, 0.15)',
+              color: 'white',
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              fontSize: '16px',
+              zIndex: 15,
+              pointerEvents: 'none'
+            }}>
+              Drop a GeoJSON, CSV or KML file to import
+            </div>
+          )}
+          {importFile && (
+            <ImportDialog
+              key={importFile.fileName}
+              file={importFile}
+              onImport={handleImport}
+              onCancel={() => setImportFile(null)}
+            />
+          )}
         </div>
+
+        {/* Timeline scrubber */}
+        {showTimeline && (
+          <Timeline
+            items={timelineItems}
+            range={timeRange}
+            onRangeChange={setTimeRange}
+          />
+        )}
       </div>
     </GlobeErrorBoundary>
   );
 }
-
-// Helper function to create event from news article
-export async function createEventFromNews(article) {
-  try {
-    // Extract location from article tags or content
-    const locationTags = article.tags?.filter(tag => 
-      tag.type === 'location' || tag.type === 'country' || tag.type === 'city'
-    );
-    
-    if (!locationTags || locationTags.length === 0) {
-      throw new Error('No location found in article');
-    }
-    
-    const location = locationTags[0].entity;
-    const coords = await geocodeLocation(location);
-    
-    // Determine event type from article content
-    let eventType = 'earthquake'; // default
-    const content = (article.title + ' ' + article.summary).toLowerCase();
-    
-    if (content.includes('earthquake') || content.includes('seismic')) {
-      eventType = 'earthquake';
-    } else if (content.includes('volcano') || content.includes('eruption')) {
-      eventType = 'volcano';
-    } else if (content.includes('storm') || content.includes('hurricane') || content.includes('typhoon')) {
-      eventType = 'storm';
-    } else if (content.includes('conflict') || content.includes('war') || content.includes('attack')) {
-      eventType = 'conflict';
-    } else if (content.includes('trade') || content.includes('economic')) {
-      eventType = 'trade';
-    } else if (content.includes('political') || content.includes('election')) {
-      eventType = 'political';
-    }
-    
-    return {
-      id: article.articleId || `news-${Date.now()}`,
-      latitude: coords.latitude,
-      longitude: coords.longitude,
-      type: eventType,
-      magnitude: 5.0, // default magnitude
-      timestamp: new Date().toISOString(),
-      title: article.title,
-      description: article.summary,
-      source: 'news',
-      originalArticle: article
-    };
-  } catch (error) {
-    console.error('Failed to create event from news:', error);
-    return null;
-  }
-}
-
-// Helper function to create arc from news article
-export async function createArcFromNews(article) {
-  try {
-    const locationTags = article.tags?.filter(tag => 
-      tag.type === 'location' || tag.type === 'country'
-    );
-    
-    if (!locationTags || locationTags.length < 2) {
-      throw new Error('Need at least two locations for arc');
-    }
-    
-    const [startCoords, endCoords] = await Promise.all([
-      geocodeLocation(locationTags[0].entity),
-      geocodeLocation(locationTags[1].entity)
-    ]);
-    
-    // Determine arc type and color from content
-    const content = (article.title + ' ' + article.summary).toLowerCase();
-    let arcType = 'generic';
-    let color = '#4488ff';
-    
-    if (content.includes('missile') || content.includes('rocket') || content.includes('attack')) {
-      arcType = 'missile';
-      color = '#ff0000';
-    } else if (content.includes('trade') || content.includes('export') || content.includes('import')) {
-      arcType = 'trade';
-      color = '#00ff88';
-    } else if (content.includes('flight') || content.includes('travel')) {
-      arcType = 'flight';
-      color = '#4488ff';
-    }
-    
-    return {
-      id: `news-arc-${Date.now()}`,
-      startLatLng: {
-        lat: startCoords.latitude,
-        lng: startCoords.longitude
-      },
-      endLatLng: {
-        lat: endCoords.latitude,
-        lng: endCoords.longitude
-      },
-      color,
-      type: arcType,
-      animated: true,
-      title: article.title,
-      from: locationTags[0].entity,
-      to: locationTags[1].entity,
-      source: 'news',
-      originalArticle: article
-    };
-  } catch (error) {
-    console.error('Failed to create arc from news:', error);
-    return null;
-  }
-}
\ No newline at end of file
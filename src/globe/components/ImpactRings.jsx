@@ -0,0 +1,222 @@
+import React, { useMemo, useEffect } from 'react';
+import { useFrame } from '@react-three/fiber';
+import * as THREE from 'three';
+import { mergeGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
+import {
+  EARTH_RADIUS_KM,
+  createGeodesicCircle,
+  createCapGeometry,
+  createOutlinePositions
+} from '../utils/geoGeometry.js';
+import { latLngToVector3, getEventConfig, createOutlineLines } from '../utils/globeUtils.js';
+import { scaleMagnitude, getImpactRadiusKm } from '../utils/magnitudeScale.js';
+import { useEventTaxonomy } from '../../hooks/useEventTaxonomy.js';
+
+// Footprints sit just above the ocean and under the land outlines; rings sit above the borders
+const FOOTPRINT_RADIUS = 5.004;
+const RING_RADIUS = 5.035;
+
+// Intensity bands as fractions of the impact radius, strongest (innermost) first
+const INTENSITY_BANDS = [
+  { extent: 1 / 3, fillOpacity: 0.28, lineIntensity: 0.9 },
+  { extent: 2 / 3, fillOpacity: 0.16, lineIntensity: 0.65 },
+  { extent: 1, fillOpacity: 0.07, lineIntensity: 0.4 }
+];
+
+// Largest areas drawn when there are more events than this
+const MAX_IMPACT_AREAS = 100;
+
+const FOOTPRINT_SEGMENTS = 32;
+const RING_SEGMENTS = 96;
+
+// Seconds for a shockwave to reach the impact radius at a pulse speed of 1
+const SHOCKWAVE_SECONDS = 6;
+const SHOCKWAVE_SEGMENTS = 64;
+const SHOCKWAVE_CIRCLE = Array.from({ length: SHOCKWAVE_SEGMENTS + 1 }, (_, i) => {
+  const angle = (i / SHOCKWAVE_SEGMENTS) * Math.PI * 2;
+  return [Math.cos(angle), Math.sin(angle)];
+});
+
+// Lines are blended additively, so dimming a line's color fades it out
+function createAdditiveLines(positions, colors, lineWidth) {
+  const line = createOutlineLines(positions, { lineWidth });
+  line.geometry.setColors(colors);
+  Object.assign(line.material, {
+    vertexColors: true,
+    transparent: true,
+    blending: THREE.AdditiveBlending,
+    depthWrite: false
+  });
+  return line;
+}
+
+// Every band of every footprint in one mesh; each band's opacity is in its vertex colors' alpha
+function createFootprintGeometry(areas) {
+  const bands = areas.flatMap(area => INTENSITY_BANDS.map((band, index) => {
+    const geometry = createCapGeometry(
+      area.latitude,
+      area.longitude,
+      index === 0 ? 0 : area.radiusKm * INTENSITY_BANDS[index - 1].extent,
+      area.radiusKm * band.extent,
+      FOOTPRINT_RADIUS,
+      FOOTPRINT_SEGMENTS
+    );
+    const colors = new Float32Array(geometry.attributes.position.count * 4);
+    for (let i = 0; i < colors.length; i += 4) {
+      colors.set([area.color.r, area.color.g, area.color.b, band.fillOpacity * area.timeOpacity], i);
+    }
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 4));
+    return geometry;
+  }));
+
+  const merged = mergeGeometries(bands);
+  bands.forEach(geometry => geometry.dispose());
+  return merged;
+}
+
+// The geodesic band rings of every area as one set of line segments
+function createRingLines(areas) {
+  const circles = [];
+  const colors = [];
+  areas.forEach(area => {
+    INTENSITY_BANDS.forEach(band => {
+      circles.push(createGeodesicCircle(area.latitude, area.longitude, area.radiusKm * band.extent, RING_SEGMENTS));
+      const intensity = band.lineIntensity * area.timeOpacity;
+      for (let i = 0; i < RING_SEGMENTS * 2; i++) {
+        colors.push(area.color.r * intensity, area.color.g * intensity, area.color.b * intensity);
+      }
+    });
+  });
+  return createAdditiveLines(createOutlinePositions(circles, RING_RADIUS), colors, 1.5);
+}
+
+// One shockwave ring per area whose type pulses, in a single set of line segments that
+// updateShockwaves rewrites every frame. Each wave keeps two unit vectors across its center,
+// so its ring at angular radius `a` is center·R·cos(a) + (u·cos t + v·sin t)·R·sin(a).
+function createShockwaves(areas) {
+  const waves = areas.filter(area => area.pulseSpeed > 0).map(area => {
+    const center = latLngToVector3(area.latitude, area.longitude, 1);
+    const reference = Math.abs(center.y) < 0.99 ? new THREE.Vector3(0, 1, 0) : new THREE.Vector3(1, 0, 0);
+    const u = new THREE.Vector3().crossVectors(center, reference).normalize();
+    return {
+      center,
+      u,
+      v: new THREE.Vector3().crossVectors(center, u),
+      color: area.color,
+      angle: area.radiusKm / EARTH_RADIUS_KM,
+      period: SHOCKWAVE_SECONDS / area.pulseSpeed,
+      // Nearby waves start at different times rather than in step
+      phase: Math.abs(Math.sin(area.latitude * 12.9898 + area.longitude * 78.233)),
+      opacity: area.timeOpacity
+    };
+  });
+  if (waves.length === 0) return null;
+
+  const segments = waves.length * SHOCKWAVE_SEGMENTS;
+  const line = createAdditiveLines(new Float32Array(segments * 6), new Float32Array(segments * 6), 2);
+  // The rings move every frame, so the bounding sphere from creation time means nothing
+  line.frustumCulled = false;
+  return { line, waves };
+}
+
+function updateShockwaves({ line, waves }, time) {
+  const positions = line.geometry.attributes.instanceStart.data;
+  const colors = line.geometry.attributes.instanceColorStart.data;
+
+  waves.forEach((wave, waveIndex) => {
+    const progress = (time / wave.period + wave.phase) % 1;
+    const angle = Math.max(progress, 0.001) * wave.angle;
+    const height = RING_RADIUS * Math.cos(angle);
+    const spread = RING_RADIUS * Math.sin(angle);
+    const fade = 0.9 * (1 - progress) * wave.opacity;
+    const { center, u, v, color } = wave;
+
+    for (let i = 0; i < SHOCKWAVE_SEGMENTS; i++) {
+      const offset = (waveIndex * SHOCKWAVE_SEGMENTS + i) * 6;
+      for (let end = 0; end < 2; end++) {
+        const [cos, sin] = SHOCKWAVE_CIRCLE[i + end];
+        const index = offset + end * 3;
+        positions.array[index] = center.x * height + (u.x * cos + v.x * sin) * spread;
+        positions.array[index + 1] = center.y * height + (u.y * cos + v.y * sin) * spread;
+        positions.array[index + 2] = center.z * height + (u.z * cos + v.z * sin) * spread;
+        colors.array[index] = color.r * fade;
+        colors.array[index + 1] = color.g * fade;
+        colors.array[index + 2] = color.b * fade;
+      }
+    }
+  });
+
+  positions.needsUpdate = true;
+  colors.needsUpdate = true;
+}
+
+function disposeLines(line) {
+  line.geometry.dispose();
+  line.material.dispose();
+}
+
+// Draws the given areas in three draw calls (footprints, rings, shockwaves) with one frame
+// callback. Only re-rendered when `signature` changes, so the geometry isn't rebuilt each time
+// the parent renders.
+const ImpactLayer = React.memo(function ImpactLayer({ areas, shockwave }) {
+  const footprint = useMemo(() => createFootprintGeometry(areas), [areas]);
+  const rings = useMemo(() => createRingLines(areas), [areas]);
+  const shockwaves = useMemo(() => (shockwave ? createShockwaves(areas) : null), [areas, shockwave]);
+
+  useEffect(() => () => footprint.dispose(), [footprint]);
+  useEffect(() => () => disposeLines(rings), [rings]);
+  useEffect(() => () => shockwaves && disposeLines(shockwaves.line), [shockwaves]);
+
+  useFrame(({ clock }) => {
+    if (shockwaves) {
+      updateShockwaves(shockwaves, clock.elapsedTime);
+    }
+  });
+
+  return (
+    <group>
+      <mesh geometry={footprint}>
+        <meshBasicMaterial vertexColors={true} transparent={true} depthWrite={false} />
+      </mesh>
+      <primitive object={rings} />
+      {shockwaves && <primitive object={shockwaves.line} />}
+    </group>
+  );
+}, (prev, next) => prev.signature === next.signature && prev.shockwave === next.shockwave);
+
+// Impact areas on the Three.js globe, for events of types marked `impactArea` in the event
+// taxonomy and events that report their own radius: geodesic rings at a third, two thirds and
+// all of the impact radius (see getImpactRadiusKm) over a ground footprint that is most opaque
+// at the center. With `shockwave`, a ring also sweeps outwards at the pace of the type's pulse;
+// steady types never get one.
+export default function ImpactRings({ events = [], shockwave = true }) {
+  // Re-render when the event types (and so their scales, colors and areas) are edited
+  useEventTaxonomy();
+
+  const areas = events
+    .filter(event => event.radiusKm > 0 || getEventConfig(event.type).impactArea)
+    .map(event => {
+      const style = getEventConfig(event.type);
+      const { color, pulseSpeed } = scaleMagnitude(style, event.magnitude);
+      return {
+        id: event.id,
+        latitude: event.latitude,
+        longitude: event.longitude,
+        radiusKm: getImpactRadiusKm(style, event),
+        colorHex: color,
+        color: new THREE.Color(color),
+        pulseSpeed,
+        timeOpacity: event.timeOpacity ?? 1
+      };
+    })
+    .sort((a, b) => b.radiusKm - a.radiusKm)
+    .slice(0, MAX_IMPACT_AREAS);
+
+  if (areas.length === 0) return null;
+
+  const signature = areas
+    .map(area => [area.id, area.latitude, area.longitude, area.radiusKm, area.colorHex, area.pulseSpeed, area.timeOpacity].join(','))
+    .join(';');
+
+  return <ImpactLayer areas={areas} signature={signature} shockwave={shockwave} />;
+}
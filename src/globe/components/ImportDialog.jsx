@@ -0,0 +1,219 @@
+import React, { useMemo, useState } from 'react';
+import { CSV_FIELDS, guessCsvMapping, csvToItems } from '../../services/fileImport.js';
+
+// Rows shown in the preview table and the error list
+const PREVIEW_ROWS = 8;
+const MAX_ERRORS_SHOWN = 100;
+
+const FORMAT_LABELS = {
+  geojson: 'GeoJSON',
+  csv: 'CSV',
+  kml: 'KML',
+  snapshot: 'Snapshot'
+};
+
+const buttonStyle = {
+  padding: '6px 12px',
+  backgroundColor: '#333',
+  color: 'white',
+  border: '1px solid #555',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  fontSize: '12px'
+};
+
+const cellStyle = {
+  padding: '3px 6px',
+  borderBottom: '1px solid #333',
+  textAlign: 'left',
+  whiteSpace: 'nowrap',
+  overflow: 'hidden',
+  textOverflow: 'ellipsis',
+  maxWidth: '180px'
+};
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+function formatLatLng({ lat, lng }) {
+  return `${lat.toFixed(2)}, ${lng.toFixed(2)}`;
+}
+
+// Table rows for the preview: [kind, title, where, type, magnitude, time]
+function previewRows({ events, arcs, areas }) {
+  return [
+    ...events.map(event => ['Event', event.title, formatLatLng({ lat: event.latitude, lng: event.longitude }), event.type, event.magnitude, event.occurredAt]),
+    ...arcs.map(arc => [
+      arc.waypoints ? 'Path' : 'Arc',
+      arc.title,
+      `${formatLatLng(arc.startLatLng)} → ${formatLatLng(arc.endLatLng)}`,
+      arc.type,
+      arc.magnitude,
+      arc.occurredAt
+    ]),
+    ...areas.map(area => ['Area', area.title, area.geometry ? area.geometry.type : area.countryCode, area.type, null, area.occurredAt])
+  ].slice(0, PREVIEW_ROWS);
+}
+
+// Preview of a dropped file before it is added to the globe
+// `file` is what parseImportFile returns (or { fileName, error } when it couldn't be read).
+// CSV files get a column mapping; rows with errors are listed and skipped on import.
+export default function ImportDialog({ file, onImport, onCancel }) {
+  const [mapping, setMapping] = useState(() => (file.table ? guessCsvMapping(file.table.headers) : null));
+
+  const result = useMemo(
+    () => (file.table ? csvToItems(file.table, mapping) : file.result),
+    [file, mapping]
+  );
+
+  const itemCount = result ? result.events.length + result.arcs.length + result.areas.length : 0;
+  const rows = useMemo(() => (result ? previewRows(result) : []), [result]);
+
+  return (
+    <div style={{
+      position: 'absolute',
+      top: '50%',
+      left: '50%',
+      transform: 'translate(-50%, -50%)',
+      width: 'min(640px, 90%)',
+      maxHeight: '85%',
+      overflowY: 'auto',
+      background: 'rgba(20, 20, 20, 0.95)',
+      color: 'white',
+      border: '1px solid #444',
+      borderRadius: '8px',
+      padding: '16px',
+      fontSize: '12px',
+      zIndex: 20,
+      boxShadow: '0 8px 32px rgba(0, 0, 0, 0.6)'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+        <h4 style={{ margin: 0, color: '#4A90E2' }}>
+          Import {file.fileName}
+          {file.format && <span style={{ color: '#888', fontWeight: 'normal' }}> · {FORMAT_LABELS[file.format]}</span>}
+        </h4>
+        <button
+          onClick={onCancel}
+          style={{ background: 'none', border: 'none', color: 'white', fontSize: '18px', cursor: 'pointer', padding: 0 }}
+        >
+          ×
+        </button>
+      </div>
+
+      {file.error && (
+        <div style={{ color: '#ff6b6b', marginBottom: '12px' }}>Could not read this file: {file.error}</div>
+      )}
+
+      {file.snapshot && (
+        <div style={{ color: '#ffc107', marginBottom: '12px' }}>
+          Importing a snapshot replaces everything on the globe and restores its camera and timeline selection.
+        </div>
+      )}
+
+      {file.table && (
+        <div style={{ marginBottom: '12px' }}>
+          <div style={{ color: '#aaa', marginBottom: '6px' }}>Columns</div>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '6px 12px' }}>
+            {CSV_FIELDS.map(field => (
+              <label key={field.key} style={{ display: 'flex', flexDirection: 'column', gap: '2px' }}>
+                <span>{field.label}{field.required ? ' *' : ''}</span>
+                <select
+                  value={mapping[field.key] ?? ''}
+                  onChange={(e) => setMapping(prev => ({
+                    ...prev,
+                    [field.key]: e.target.value === '' ? null : Number(e.target.value)
+                  }))}
+                  style={{ ...buttonStyle, padding: '4px' }}
+                >
+                  <option value="">— none —</option>
+                  {file.table.headers.map((header, index) => (
+                    <option key={`${header}-${index}`} value={index}>{header || `Column ${index + 1}`}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {result && (
+        <>
+          <div style={{ marginBottom: '8px' }}>
+            {plural(result.events.length, 'event')} · {plural(result.arcs.length, 'arc')} · {plural(result.areas.length, 'area')}
+            {result.errors.length > 0 && (
+              <span style={{ color: '#ff6b6b' }}> · {plural(result.errors.length, 'error')}</span>
+            )}
+          </div>
+
+          {rows.length > 0 && (
+            <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: '8px', tableLayout: 'fixed' }}>
+              <thead>
+                <tr style={{ color: '#aaa' }}>
+                  {['Kind', 'Title', 'Where', 'Type', 'Magnitude', 'Time'].map(heading => (
+                    <th key={heading} style={cellStyle}>{heading}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row, index) => (
+                  <tr key={index}>
+                    {row.map((value, column) => (
+                      <td key={column} style={cellStyle} title={value == null ? '' : String(value)}>
+                        {column === 5 && value ? new Date(value).toLocaleString() : value ?? '—'}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {itemCount > rows.length && (
+            <div style={{ color: '#888', marginBottom: '8px' }}>…and {itemCount - rows.length} more</div>
+          )}
+
+          {result.errors.length > 0 && (
+            <div style={{
+              maxHeight: '120px',
+              overflowY: 'auto',
+              background: 'rgba(255, 107, 107, 0.1)',
+              border: '1px solid rgba(255, 107, 107, 0.4)',
+              borderRadius: '4px',
+              padding: '6px 8px',
+              marginBottom: '8px',
+              fontFamily: 'monospace',
+              fontSize: '11px'
+            }}>
+              <div style={{ color: '#ff6b6b', marginBottom: '4px' }}>These will be skipped:</div>
+              {result.errors.slice(0, MAX_ERRORS_SHOWN).map((error, index) => (
+                <div key={index}>{result.rowLabel} {error.row}: {error.message}</div>
+              ))}
+              {result.errors.length > MAX_ERRORS_SHOWN && (
+                <div style={{ color: '#888' }}>…and {result.errors.length - MAX_ERRORS_SHOWN} more</div>
+              )}
+            </div>
+          )}
+        </>
+      )}
+
+      <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '8px' }}>
+        <button onClick={onCancel} style={buttonStyle}>Cancel</button>
+        {result && (
+          <button
+            onClick={() => onImport({ events: result.events, arcs: result.arcs, areas: result.areas })}
+            disabled={itemCount === 0}
+            style={{
+              ...buttonStyle,
+              backgroundColor: '#4A90E2',
+              borderColor: '#4A90E2',
+              opacity: itemCount === 0 ? 0.5 : 1,
+              cursor: itemCount === 0 ? 'default' : 'pointer'
+            }}
+          >
+            Import {plural(itemCount, 'item')}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+import React from 'react';
+import { getEventConfig } from '../utils/globeUtils.js';
+import { scaleMagnitude, getLegendMagnitudes, MAGNITUDE_SCALES } from '../utils/magnitudeScale.js';
+import { useEventTaxonomy } from '../../hooks/useEventTaxonomy.js';
+
+// Types listed at most, most frequent first
+const MAX_TYPES = 4;
+// Swatch diameter in pixels at a size factor of 1
+const SWATCH_SIZE = 8;
+
+function formatRadius(km) {
+  return km >= 100 ? `${Math.round(km / 10) * 10} km` : `${Math.round(km)} km`;
+}
+
+// Legend for magnitude scaling, rendered over the canvas: for each event type on the globe, how
+// markers look at sample magnitudes on that type's scale, with the matching impact radius for
+// types that affect an area
+export default function MagnitudeLegend({ events = [], style = {} }) {
+  // Re-render when the event types (and so their scales) are edited
+  useEventTaxonomy();
+
+  const counts = new Map();
+  events.forEach(event => counts.set(event.type, (counts.get(event.type) || 0) + 1));
+  const types = Array.from(counts.keys())
+    .sort((a, b) => counts.get(b) - counts.get(a))
+    .slice(0, MAX_TYPES)
+    .map(type => {
+      const config = getEventConfig(type);
+      return {
+        type,
+        config,
+        samples: getLegendMagnitudes(config).map(magnitude => scaleMagnitude(config, magnitude))
+      };
+    });
+
+  if (types.length === 0) return null;
+
+  return (
+    <div style={{
+      position: 'absolute',
+      bottom: '20px',
+      right: '20px',
+      padding: '10px',
+      backgroundColor: 'rgba(0, 0, 0, 0.6)',
+      borderRadius: '4px',
+      color: 'white',
+      fontSize: '12px',
+      zIndex: 10,
+      pointerEvents: 'none',
+      backdropFilter: 'blur(5px)',
+      ...style
+    }}>
+      <div style={{ fontWeight: 'bold', marginBottom: '6px' }}>Magnitude</div>
+      {types.map(({ type, config, samples }) => (
+        <div key={type} style={{ marginBottom: '6px' }}>
+          <div style={{ opacity: 0.8, marginBottom: '2px' }}>
+            {config.icon} {config.label} <span style={{ opacity: 0.6 }}>· {MAGNITUDE_SCALES[config.scale]?.label}</span>
+          </div>
+          <div style={{ display: 'flex', gap: '10px', alignItems: 'flex-end' }}>
+            {samples.map(sample => (
+              <div
+                key={sample.magnitude}
+                style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '2px' }}
+              >
+                <span style={{
+                  display: 'inline-block',
+                  width: `${SWATCH_SIZE * sample.sizeFactor}px`,
+                  height: `${SWATCH_SIZE * sample.sizeFactor}px`,
+                  borderRadius: '50%',
+                  backgroundColor: sample.color
+                }} />
+                <span>{sample.magnitude}</span>
+              </div>
+            ))}
+          </div>
+          {config.impactArea && (
+            <div style={{ opacity: 0.6, marginTop: '2px' }}>
+              Impact radius {formatRadius(samples[0].ringRadiusKm)}–{formatRadius(samples[samples.length - 1].ringRadiusKm)}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -1,101 +1,260 @@
-import React, { useRef, useMemo } from 'react';
-import { useFrame } from '@react-three/fiber';
+import React, { useRef, useMemo, useState, useEffect } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
 import * as THREE from 'three';
 import { latLngToVector3, getEventConfig } from '../utils/globeUtils.js';
+import { scaleMagnitude } from '../utils/magnitudeScale.js';
+import { useEventTaxonomy } from '../../hooks/useEventTaxonomy.js';
+import {
+  CLUSTER_CELL_SIZES,
+  getClusterCellSize,
+  getCameraDistanceForCellSize,
+  clusterEvents,
+  spiderfyPositions
+} from '../utils/clustering.js';
 
-// Individual marker component
-function Marker({ 
-  latitude, 
-  longitude, 
-  eventType = 'earthquake',
-  magnitude = 5.0,
-  timestamp,
-  onClick,
-  customConfig = {}
-}) {
+// Most severe event type among the given events, ranked by the taxonomy's `severity`
+function getMostSevereType(events) {
+  const severity = event => getEventConfig(event.type).severity;
+  const mostSevere = events.reduce((prev, curr) => (severity(curr) > severity(prev) ? curr : prev), events[0] || {});
+  return mostSevere.type;
+}
+
+// Cluster sphere radius grows with the number of events it holds
+function getClusterSize(count) {
+  return Math.min(0.1 + (count * 0.02), 0.3);
+}
+
+// A cluster is as visible as its most visible member (see applyTimeWindow)
+function getClusterOpacity(events) {
+  return Math.max(...events.map(event => event.timeOpacity ?? 1));
+}
+
+// Count label textures, shared by every cluster showing the same number
+const countTextures = new Map();
+
+function getCountTexture(text) {
+  if (!countTextures.has(text)) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 128;
+    canvas.height = 64;
+    const context = canvas.getContext('2d');
+    context.font = 'bold 40px sans-serif';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.lineWidth = 6;
+    context.strokeStyle = '#000000';
+    context.strokeText(text, 64, 32);
+    context.fillStyle = '#ffffff';
+    context.fillText(text, 64, 32);
+    countTextures.set(text, new THREE.CanvasTexture(canvas));
+  }
+  return countTextures.get(text);
+}
+
+// Seconds a marker takes to grow in after it appears
+const MARKER_FADE_IN = 0.6;
+
+// Marker shader: every instance pulses in size and opacity on its own phase, grows in from the
+// time it appeared (aAppear) and is dimmed by its timeline opacity (aOpacity)
+// The instance matrix carries the position and base size, so raycasting still hits each marker
+const MARKER_VERTEX_SHADER = `
+  uniform float uTime;
+  attribute vec3 aColor;
+  attribute float aPhase;
+  attribute float aPulseSpeed;
+  attribute float aOpacity;
+  attribute float aAppear;
+  varying vec3 vColor;
+  varying float vPulse;
+  varying float vOpacity;
+
+  void main() {
+    float appear = clamp((uTime - aAppear) / ${MARKER_FADE_IN.toFixed(2)}, 0.0, 1.0);
+    vPulse = sin(uTime * aPulseSpeed + aPhase) * 0.3 + 0.7; // 0.4 to 1.0
+    vColor = aColor;
+    vOpacity = aOpacity * appear;
+    gl_Position = projectionMatrix * modelViewMatrix * instanceMatrix * vec4(position * vPulse * appear, 1.0);
+  }
+`;
+
+const MARKER_FRAGMENT_SHADER = `
+  varying vec3 vColor;
+  varying float vPulse;
+  varying float vOpacity;
+
+  void main() {
+    gl_FragColor = vec4(vColor, vPulse * 0.8 * vOpacity);
+    #include <colorspace_fragment>
+  }
+`;
+
+// Golden angle spreads pulse phases evenly without neighbours pulsing together
+const PULSE_PHASE_STEP = Math.PI * (3 - Math.sqrt(5));
+
+// Instance buffers grow in powers of two so adding events rarely reallocates
+function getInstanceCapacity(count) {
+  return Math.max(64, 2 ** Math.ceil(Math.log2(Math.max(count, 1))));
+}
+
+function isPlottable(event) {
+  return event.latitude != null &&
+    event.longitude != null &&
+    !isNaN(event.latitude) &&
+    !isNaN(event.longitude);
+}
+
+// All markers of one event type drawn as a single InstancedMesh
+// `appearTimes` maps event ids to the clock time they were first drawn, shared across types
+// and capacity changes so markers only grow in once
+function InstancedMarkers({ eventType, events, capacity, appearTimes, taxonomy, onClick }) {
   const meshRef = useRef();
-  const config = useMemo(() => ({ 
-    ...getEventConfig(eventType), 
-    ...customConfig 
-  }), [eventType, customConfig]);
-  
-  // Calculate position on globe surface
-  const position = useMemo(() => {
-    return latLngToVector3(latitude, longitude);
-  }, [latitude, longitude]);
-  
-  // Create pulsing animation
-  useFrame((state) => {
-    if (meshRef.current) {
-      const time = state.clock.getElapsedTime();
-      const pulse = Math.sin(time * config.pulseSpeed) * 0.3 + 0.7; // 0.4 to 1.0
-      meshRef.current.scale.setScalar(pulse);
-      
-      // Update material opacity for additional pulsing effect
-      if (meshRef.current.material) {
-        meshRef.current.material.opacity = pulse * 0.8;
+  const clock = useThree(state => state.clock);
+
+  // Low-poly unit sphere; markers are a few pixels wide
+  const geometry = useMemo(() => {
+    const sphere = new THREE.SphereGeometry(1, 12, 8);
+    sphere.setAttribute('aColor', new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3));
+    sphere.setAttribute('aPhase', new THREE.InstancedBufferAttribute(new Float32Array(capacity), 1));
+    sphere.setAttribute('aPulseSpeed', new THREE.InstancedBufferAttribute(new Float32Array(capacity), 1));
+    sphere.setAttribute('aOpacity', new THREE.InstancedBufferAttribute(new Float32Array(capacity), 1));
+    sphere.setAttribute('aAppear', new THREE.InstancedBufferAttribute(new Float32Array(capacity), 1));
+    return sphere;
+  }, [capacity]);
+
+  const material = useMemo(() => new THREE.ShaderMaterial({
+    uniforms: { uTime: { value: 0 } },
+    vertexShader: MARKER_VERTEX_SHADER,
+    fragmentShader: MARKER_FRAGMENT_SHADER,
+    transparent: true
+  }), []);
+
+  useEffect(() => () => geometry.dispose(), [geometry]);
+  useEffect(() => () => material.dispose(), [material]);
+
+  // Write per-instance position, size, color, pulse settings and visibility
+  useEffect(() => {
+    const mesh = meshRef.current;
+    const colors = geometry.getAttribute('aColor');
+    const phases = geometry.getAttribute('aPhase');
+    const pulseSpeeds = geometry.getAttribute('aPulseSpeed');
+    const opacities = geometry.getAttribute('aOpacity');
+    const appears = geometry.getAttribute('aAppear');
+    const now = clock.getElapsedTime();
+    const matrix = new THREE.Matrix4();
+    const rotation = new THREE.Quaternion();
+    const scale = new THREE.Vector3();
+    const color = new THREE.Color();
+
+    const typeConfig = getEventConfig(eventType);
+
+    events.forEach((event, index) => {
+      const style = { ...typeConfig, ...event.customConfig };
+      // Clusters have no magnitude: like the labelled ones they keep getClusterSize and the
+      // most severe type's own color rather than being scaled by its default magnitude
+      const config = event.cluster ? style : scaleMagnitude(style, event.magnitude);
+      matrix.compose(
+        latLngToVector3(event.latitude, event.longitude),
+        rotation,
+        scale.setScalar(config.size)
+      );
+      mesh.setMatrixAt(index, matrix);
+      color.set(config.color);
+      colors.setXYZ(index, color.r, color.g, color.b);
+      phases.setX(index, (index * PULSE_PHASE_STEP) % (Math.PI * 2));
+      pulseSpeeds.setX(index, config.pulseSpeed);
+      opacities.setX(index, event.timeOpacity ?? 1);
+      if (event.id != null && !appearTimes.has(event.id)) {
+        appearTimes.set(event.id, now);
       }
-    }
+      appears.setX(index, appearTimes.get(event.id) ?? -1e9);
+    });
+
+    mesh.count = events.length;
+    mesh.instanceMatrix.needsUpdate = true;
+    colors.needsUpdate = true;
+    phases.needsUpdate = true;
+    pulseSpeeds.needsUpdate = true;
+    opacities.needsUpdate = true;
+    appears.needsUpdate = true;
+    mesh.computeBoundingSphere();
+  }, [events, eventType, geometry, appearTimes, clock, taxonomy]);
+
+  useFrame((state) => {
+    material.uniforms.uTime.value = state.clock.getElapsedTime();
   });
-  
+
   const handleClick = (event) => {
+    if (event.instanceId == null || !events[event.instanceId]) return;
     event.stopPropagation();
     if (onClick) {
+      const marker = events[event.instanceId];
       onClick({
-        latitude,
-        longitude,
+        latitude: marker.latitude,
+        longitude: marker.longitude,
         eventType,
-        magnitude,
-        timestamp,
-        position
+        magnitude: marker.magnitude || 5.0,
+        timestamp: marker.timestamp,
+        position: latLngToVector3(marker.latitude, marker.longitude),
+        event: marker
       });
     }
   };
-  
+
   return (
-    <mesh
+    <instancedMesh
       ref={meshRef}
-      position={position}
+      args={[geometry, material, capacity]}
       onClick={handleClick}
-    >
-      <sphereGeometry args={[config.size, 16, 16]} />
-      <meshBasicMaterial
-        color={config.color}
-        transparent
-        opacity={0.8}
-      />
-    </mesh>
+    />
   );
 }
 
 // Markers container component
+// One InstancedMesh per event type keeps draw calls and frame callbacks constant however many
+// events there are; onMarkerClick receives the clicked event as `event`. Markers grow in when
+// they first appear, and an event's `timeOpacity` (0-1) dims it. Size, pulse speed and color
+// follow the event's magnitude on its type's scale (see magnitudeScale.js).
 export default function Markers({ events = [], onMarkerClick }) {
-  // Memoize markers to prevent unnecessary re-renders
-  const markers = useMemo(() => {
-    return events
-      .filter(event => 
-        event.latitude != null && 
-        event.longitude != null &&
-        !isNaN(event.latitude) && 
-        !isNaN(event.longitude)
-      )
-      .map((event, index) => (
-        <Marker
-          key={event.id || `marker-${index}`}
-          latitude={event.latitude}
-          longitude={event.longitude}
-          eventType={event.type || event.eventType || 'earthquake'}
-          magnitude={event.magnitude || 5.0}
-          timestamp={event.timestamp}
-          onClick={onMarkerClick}
-          customConfig={event.customConfig}
-        />
-      ));
-  }, [events, onMarkerClick]);
-  
+  const appearTimes = useRef(new Map()).current;
+  const taxonomy = useEventTaxonomy();
+
+  // Forget events that are gone so they grow in again if they come back (runs after the
+  // instanced meshes have recorded the new ones)
+  useEffect(() => {
+    const ids = new Set(events.map(event => event.id));
+    Array.from(appearTimes.keys()).forEach(id => {
+      if (!ids.has(id)) appearTimes.delete(id);
+    });
+  }, [events, appearTimes]);
+
+  const groups = useMemo(() => {
+    const byType = new Map();
+    events.filter(isPlottable).forEach(event => {
+      const eventType = event.type || event.eventType || 'event';
+      if (!byType.has(eventType)) {
+        byType.set(eventType, []);
+      }
+      byType.get(eventType).push(event);
+    });
+    return Array.from(byType, ([eventType, members]) => ({ eventType, events: members }));
+  }, [events]);
+
   return (
     <group name="markers">
-      {markers}
+      {groups.map(group => {
+        const capacity = getInstanceCapacity(group.events.length);
+        return (
+          <InstancedMarkers
+            key={`${group.eventType}-${capacity}`}
+            eventType={group.eventType}
+            events={group.events}
+            capacity={capacity}
+            appearTimes={appearTimes}
+            taxonomy={taxonomy}
+            onClick={onMarkerClick}
+          />
+        );
+      })}
     </group>
   );
 }
@@ -133,12 +292,13 @@ export function AnimatedMarker({
   latitude, 
   longitude, 
   eventType = 'earthquake',
+  magnitude,
   duration = 1.0,
   onComplete
 }) {
   const meshRef = useRef();
   const startTime = useRef(Date.now());
-  const config = useMemo(() => getEventConfig(eventType), [eventType]);
+  const config = useMemo(() => scaleMagnitude(getEventConfig(eventType), magnitude), [eventType, magnitude]);
   
   const position = useMemo(() => {
     return latLngToVector3(latitude, longitude);
@@ -186,31 +346,29 @@ export function ClusterMarker({
   longitude, 
   count,
   events = [],
+  opacity = 1,
   onClick
 }) {
   const meshRef = useRef();
-  const textRef = useRef();
+  // Re-render when the event types (and so the cluster colors) are edited
+  useEventTaxonomy();
   
   const position = useMemo(() => {
     return latLngToVector3(latitude, longitude);
   }, [latitude, longitude]);
+
+  // Label floats just above the sphere so the globe hides it on the far side
+  const labelPosition = useMemo(() => {
+    return latLngToVector3(latitude, longitude, 5.35);
+  }, [latitude, longitude]);
+
+  const countTexture = useMemo(() => getCountTexture(count > 999 ? '999+' : String(count)), [count]);
   
   // Size based on event count
-  const size = useMemo(() => {
-    return Math.min(0.1 + (count * 0.02), 0.3);
-  }, [count]);
+  const size = useMemo(() => getClusterSize(count), [count]);
   
   // Color based on most severe event type
-  const color = useMemo(() => {
-    const severityOrder = ['earthquake', 'volcano', 'storm', 'conflict'];
-    const mostSevere = events.reduce((prev, curr) => {
-      const prevIndex = severityOrder.indexOf(prev.type || 'earthquake');
-      const currIndex = severityOrder.indexOf(curr.type || 'earthquake');
-      return currIndex > prevIndex ? curr : prev;
-    }, events[0] || {});
-    
-    return getEventConfig(mostSevere.type || 'earthquake').color;
-  }, [events]);
+  const color = getEventConfig(getMostSevereType(events)).color;
   
   useFrame((state) => {
     if (meshRef.current) {
@@ -244,12 +402,172 @@ export function ClusterMarker({
         <meshBasicMaterial
           color={color}
           transparent
-          opacity={0.7}
+          opacity={0.7 * opacity}
         />
       </mesh>
       
-      {/* Text showing count - would need Text component from @react-three/drei */}
-      {/* For now, we'll skip the text overlay */}
+      {/* Count label */}
+      <sprite position={labelPosition} scale={[0.5, 0.25, 1]}>
+        <spriteMaterial map={countTexture} transparent opacity={opacity} depthWrite={false} />
+      </sprite>
     </group>
   );
-}
\ No newline at end of file
+}
+// Seconds taken to fly the camera towards a clicked cluster
+const CLUSTER_FLY_DURATION = 0.8;
+const GLOBE_CENTER = new THREE.Vector3(0, 0, 0);
+
+// Largest clusters drawn as labelled ClusterMarkers; smaller ones beyond this are drawn
+// through the instanced markers (no count label) so dense data stays cheap
+const MAX_LABELLED_CLUSTERS = 150;
+
+// Markers grouped into zoom-aware clusters
+// Clusters split as the camera moves closer. Clicking a cluster flies the camera in until it
+// splits; at the closest level it fans its members out around it instead (click again to close).
+export function ClusteredMarkers({ events = [], onMarkerClick, onClusterClick }) {
+  const groupRef = useRef();
+  const flight = useRef(null);
+  const camera = useThree(state => state.camera);
+  const controls = useThree(state => state.controls);
+  const [cellSize, setCellSize] = useState(CLUSTER_CELL_SIZES[CLUSTER_CELL_SIZES.length - 1]);
+  const [spiderfiedId, setSpiderfiedId] = useState(null);
+
+  const clusters = useMemo(() => clusterEvents(events, cellSize), [events, cellSize]);
+  const spiderfied = clusters.find(cluster => cluster.id === spiderfiedId && cluster.count > 1) || null;
+
+  // Single events and unlabelled clusters go through the instanced markers
+  const { labelled, instanced } = useMemo(() => {
+    const groups = clusters
+      .filter(cluster => cluster.count > 1 && cluster !== spiderfied)
+      .sort((a, b) => b.count - a.count);
+    const unlabelled = groups.slice(MAX_LABELLED_CLUSTERS).map(cluster => ({
+      id: cluster.id,
+      latitude: cluster.latitude,
+      longitude: cluster.longitude,
+      type: getMostSevereType(cluster.events),
+      customConfig: { size: getClusterSize(cluster.count) },
+      timeOpacity: getClusterOpacity(cluster.events),
+      cluster
+    }));
+    return {
+      labelled: groups.slice(0, MAX_LABELLED_CLUSTERS),
+      instanced: [
+        ...clusters.filter(cluster => cluster.count === 1).map(cluster => cluster.events[0]),
+        ...unlabelled
+      ]
+    };
+  }, [clusters, spiderfied]);
+
+  // Fanned-out members keep their event data, drawn at the spread positions
+  const spiderMembers = useMemo(() => (
+    spiderfied
+      ? spiderfyPositions(spiderfied).map(({ event, latitude, longitude }) => ({ ...event, latitude, longitude }))
+      : []
+  ), [spiderfied]);
+
+  const spiderLegs = useMemo(() => {
+    if (!spiderfied) return null;
+    const center = latLngToVector3(spiderfied.latitude, spiderfied.longitude, 5.01);
+    const points = spiderMembers.flatMap(member => [
+      center,
+      latLngToVector3(member.latitude, member.longitude, 5.01)
+    ]);
+    return new THREE.BufferGeometry().setFromPoints(points);
+  }, [spiderfied, spiderMembers]);
+
+  useEffect(() => () => spiderLegs?.dispose(), [spiderLegs]);
+
+  useFrame((state, delta) => {
+    if (flight.current) {
+      const current = flight.current;
+      current.elapsed += delta;
+      const progress = Math.min(current.elapsed / CLUSTER_FLY_DURATION, 1);
+      const eased = progress * (2 - progress);
+      const direction = current.fromDirection.clone().lerp(current.toDirection, eased).normalize();
+      camera.position.copy(direction.multiplyScalar(
+        THREE.MathUtils.lerp(current.fromDistance, current.toDistance, eased)
+      ));
+      // Bring the orbit target back to the globe's center with the camera, so the controls
+      // don't snap to an old (panned) target when the flight ends
+      const target = current.fromTarget.clone().lerp(GLOBE_CENTER, eased);
+      controls?.target.copy(target);
+      camera.lookAt(target);
+      if (progress >= 1) {
+        flight.current = null;
+        controls?.update();
+      }
+    }
+
+    const nextCellSize = getClusterCellSize(camera.position.length());
+    if (nextCellSize !== cellSize) {
+      setCellSize(nextCellSize);
+    }
+  });
+
+  const handleClusterClick = (cluster) => {
+    if (onClusterClick) {
+      onClusterClick(cluster);
+    }
+
+    const smallerSizes = CLUSTER_CELL_SIZES.filter(size => size < cellSize);
+    if (smallerSizes.length === 0) {
+      setSpiderfiedId(spiderfiedId === cluster.id ? null : cluster.id);
+      return;
+    }
+
+    // Fly towards the cluster, close enough for it to split at the next level
+    const clusterPosition = latLngToVector3(cluster.latitude, cluster.longitude);
+    flight.current = {
+      elapsed: 0,
+      fromDirection: camera.position.clone().normalize(),
+      toDirection: groupRef.current.localToWorld(clusterPosition).normalize(),
+      fromDistance: camera.position.length(),
+      fromTarget: controls?.target.clone() ?? GLOBE_CENTER.clone(),
+      toDistance: Math.max(
+        getCameraDistanceForCellSize(smallerSizes[smallerSizes.length - 1]),
+        controls?.minDistance ?? 0
+      )
+    };
+  };
+
+  return (
+    <group ref={groupRef} name="clustered-markers">
+      <Markers
+        events={instanced}
+        onMarkerClick={(marker) => {
+          if (marker.event?.cluster) {
+            handleClusterClick(marker.event.cluster);
+          } else if (onMarkerClick) {
+            onMarkerClick(marker);
+          }
+        }}
+      />
+      {labelled.map(cluster => (
+        <ClusterMarker
+          key={cluster.id}
+          latitude={cluster.latitude}
+          longitude={cluster.longitude}
+          count={cluster.count}
+          events={cluster.events}
+          opacity={getClusterOpacity(cluster.events)}
+          onClick={() => handleClusterClick(cluster)}
+        />
+      ))}
+      {spiderfied && (
+        <>
+          <ClusterMarker
+            latitude={spiderfied.latitude}
+            longitude={spiderfied.longitude}
+            count={spiderfied.count}
+            events={spiderfied.events}
+            onClick={() => setSpiderfiedId(null)}
+          />
+          <lineSegments geometry={spiderLegs}>
+            <lineBasicMaterial color="#ffffff" transparent opacity={0.5} />
+          </lineSegments>
+          <Markers events={spiderMembers} onMarkerClick={onMarkerClick} />
+        </>
+      )}
+    </group>
+  );
+}
@@ -0,0 +1,18 @@
+import React, { useMemo, useEffect } from 'react';
+import { createOutlineLines } from '../utils/globeUtils.js';
+
+// Outline segments drawn as fat lines, so `lineWidth` is a constant width in pixels
+// `positions` is a flat segment array from createOutlinePositions
+export default function OutlineLines({ positions, color = '#ffffff', lineWidth = 1, opacity = 1 }) {
+  const line = useMemo(
+    () => createOutlineLines(positions, { color, lineWidth, opacity }),
+    [positions, color, lineWidth, opacity]
+  );
+
+  useEffect(() => () => {
+    line.geometry.dispose();
+    line.material.dispose();
+  }, [line]);
+
+  return <primitive object={line} />;
+}
@@ -0,0 +1,223 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { getTimeExtent, createTimeHistogram } from '../utils/timeline.js';
+
+// Seconds for a 1x playback to sweep the whole extent
+const PLAYBACK_SECONDS = 30;
+const PLAYBACK_SPEEDS = [0.5, 1, 2, 4];
+
+// Range updates while playing are throttled; markers are re-clustered on every update
+const PLAYBACK_UPDATE_MS = 100;
+
+// Window width used when playback starts with everything selected
+const DEFAULT_WINDOW_FRACTION = 0.2;
+
+function formatTime(time, span) {
+  const date = new Date(time);
+  // Show times of day once the extent is shorter than a few days
+  return span < 3 * 24 * 60 * 60 * 1000
+    ? date.toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+const buttonStyle = {
+  padding: '2px 8px',
+  backgroundColor: '#333',
+  color: 'white',
+  border: '1px solid #555',
+  borderRadius: '3px',
+  cursor: 'pointer',
+  fontSize: '12px'
+};
+
+// Timeline bar: histogram of item times with a draggable range and play/pause
+// `range` is { start, end } in milliseconds, or null for everything; changes come back through
+// onRangeChange. Drag the selection to move it, its edges to resize it, or the track for a new one.
+export default function Timeline({ items = [], range, onRangeChange, binCount = 60 }) {
+  const trackRef = useRef();
+  const rangeRef = useRef(range);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const [drag, setDrag] = useState(null);
+
+  rangeRef.current = range;
+
+  const extent = useMemo(() => getTimeExtent(items), [items]);
+  const bins = useMemo(() => createTimeHistogram(items, extent, binCount), [items, extent, binCount]);
+  const maxCount = Math.max(1, ...bins.map(bin => bin.count));
+  const span = extent ? extent.end - extent.start : 0;
+  const selection = range || extent;
+
+  // Slide the window forward, stopping at the end of the extent
+  useEffect(() => {
+    if (!playing || !extent) return undefined;
+
+    let frame;
+    let last = performance.now();
+    let lastUpdate = 0;
+    let current = rangeRef.current;
+    if (!current || current.end - current.start >= span || current.end >= extent.end) {
+      current = { start: extent.start, end: extent.start + span * DEFAULT_WINDOW_FRACTION };
+      onRangeChange(current);
+    }
+
+    const step = (now) => {
+      const advance = (now - last) / 1000 * speed * span / PLAYBACK_SECONDS;
+      last = now;
+      const width = current.end - current.start;
+      const end = Math.min(current.end + advance, extent.end);
+      current = { start: end - width, end };
+
+      if (end >= extent.end) {
+        onRangeChange(current);
+        setPlaying(false);
+        return;
+      }
+      if (now - lastUpdate >= PLAYBACK_UPDATE_MS) {
+        lastUpdate = now;
+        onRangeChange(current);
+      }
+      frame = requestAnimationFrame(step);
+    };
+
+    frame = requestAnimationFrame(step);
+    return () => cancelAnimationFrame(frame);
+  }, [playing, speed, extent, span, onRangeChange]);
+
+  // Pointer drags are tracked on the window so they continue outside the track
+  useEffect(() => {
+    if (!drag) return undefined;
+
+    const handleMove = (event) => {
+      const rect = trackRef.current.getBoundingClientRect();
+      const time = extent.start + (event.clientX - rect.left) / rect.width * span;
+      const clamp = value => Math.min(extent.end, Math.max(extent.start, value));
+
+      if (drag.mode === 'move') {
+        const width = drag.range.end - drag.range.start;
+        const start = Math.min(extent.end - width, Math.max(extent.start, drag.range.start + time - drag.originTime));
+        onRangeChange({ start, end: start + width });
+      } else {
+        const anchor = drag.mode === 'start' ? drag.range.end : drag.mode === 'end' ? drag.range.start : drag.originTime;
+        const edge = clamp(time);
+        onRangeChange({ start: Math.min(anchor, edge), end: Math.max(anchor, edge) });
+      }
+    };
+    const handleUp = () => setDrag(null);
+
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+    return () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+    };
+  }, [drag, extent, span, onRangeChange]);
+
+  if (!extent) return null;
+
+  const startDrag = (mode) => (event) => {
+    event.stopPropagation();
+    event.preventDefault();
+    const rect = trackRef.current.getBoundingClientRect();
+    setPlaying(false);
+    setDrag({
+      mode,
+      range: selection,
+      originTime: extent.start + (event.clientX - rect.left) / rect.width * span
+    });
+  };
+
+  const toPercent = time => `${(time - extent.start) / span * 100}%`;
+
+  return (
+    <div style={{
+      padding: '6px 12px 8px',
+      backgroundColor: '#111',
+      borderTop: '1px solid #333',
+      color: 'white',
+      fontFamily: 'monospace',
+      fontSize: '12px',
+      userSelect: 'none'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '6px' }}>
+        <button onClick={() => setPlaying(!playing)} style={buttonStyle}>
+          {playing ? '⏸ Pause' : '▶ Play'}
+        </button>
+        <select
+          value={speed}
+          onChange={(e) => setSpeed(Number(e.target.value))}
+          style={{ fontSize: '12px' }}
+        >
+          {PLAYBACK_SPEEDS.map(value => (
+            <option key={value} value={value}>{value}x</option>
+          ))}
+        </select>
+        <span style={{ flex: 1, textAlign: 'center', color: '#0ff' }}>
+          {formatTime(selection.start, span)} – {formatTime(selection.end, span)}
+        </span>
+        <button
+          onClick={() => {
+            setPlaying(false);
+            onRangeChange(null);
+          }}
+          disabled={!range}
+          style={{ ...buttonStyle, opacity: range ? 1 : 0.5 }}
+        >
+          Show all
+        </button>
+      </div>
+
+      <div
+        ref={trackRef}
+        onPointerDown={startDrag('new')}
+        style={{ position: 'relative', height: '40px', cursor: 'crosshair' }}
+      >
+        <div style={{ display: 'flex', alignItems: 'flex-end', height: '100%', gap: '1px' }}>
+          {bins.map(bin => (
+            <div
+              key={bin.start}
+              title={`${formatTime(bin.start, span)}: ${bin.count}`}
+              style={{
+                flex: 1,
+                height: `${bin.count / maxCount * 100}%`,
+                minHeight: bin.count > 0 ? '2px' : 0,
+                backgroundColor: bin.end > selection.start && bin.start < selection.end ? '#4A90E2' : '#444'
+              }}
+            />
+          ))}
+        </div>
+
+        {range && (
+          <div
+            onPointerDown={startDrag('move')}
+            style={{
+              position: 'absolute',
+              top: 0,
+              bottom: 0,
+              left: toPercent(range.start),
+              width: `${(range.end - range.start) / span * 100}%`,
+              backgroundColor: 'rgba(0, 255, 255, 0.15)',
+              border: '1px solid #0ff',
+              boxSizing: 'border-box',
+              cursor: 'grab'
+            }}
+          >
+            {['start', 'end'].map(edge => (
+              <div
+                key={edge}
+                onPointerDown={startDrag(edge)}
+                style={{
+                  position: 'absolute',
+                  top: 0,
+                  bottom: 0,
+                  [edge === 'start' ? 'left' : 'right']: '-4px',
+                  width: '8px',
+                  cursor: 'ew-resize'
+                }}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+
+// Snapshot of the camera, orbit target and globe spin
+function captureView(camera, controls, scene) {
+  return {
+    cameraPosition: camera.position.toArray(),
+    target: controls ? controls.target.toArray() : [0, 0, 0],
+    globeRotation: scene.getObjectByName('globe')?.rotation.y ?? 0
+  };
+}
+
+// Saves and restores the view for session persistence (see useSession)
+// `view` is applied when it changes (and on mount); onChange(view) is called after each
+// camera move and onChange(view, true) on unmount. Needs OrbitControls with makeDefault.
+// `captureRef.current()` returns the view right now, for exports.
+export default function ViewPersistence({ view, onChange, captureRef }) {
+  const camera = useThree(state => state.camera);
+  const controls = useThree(state => state.controls);
+  const scene = useThree(state => state.scene);
+  const pending = useRef(null);
+  const onChangeRef = useRef(onChange);
+  const three = useRef(null);
+
+  onChangeRef.current = onChange;
+  three.current = { camera, controls, scene };
+
+  // Report the current view, unless a restore is still waiting to be applied
+  const report = useCallback((final = false) => {
+    if (pending.current) return;
+    const { camera: currentCamera, controls: currentControls, scene: currentScene } = three.current;
+    onChangeRef.current?.(captureView(currentCamera, currentControls, currentScene), final);
+  }, []);
+
+  useEffect(() => {
+    pending.current = view;
+  }, [view]);
+
+  // The globe and controls may mount after this component, so apply on the first frame
+  // where both exist
+  useFrame(() => {
+    const next = pending.current;
+    const globe = scene.getObjectByName('globe');
+    if (!next || !controls || !globe) return;
+
+    camera.position.fromArray(next.cameraPosition);
+    controls.target.fromArray(next.target);
+    controls.update();
+    globe.rotation.y = next.globeRotation;
+    pending.current = null;
+  });
+
+  useEffect(() => {
+    if (!controls) return undefined;
+    const handleEnd = () => report();
+    controls.addEventListener('end', handleEnd);
+    return () => controls.removeEventListener('end', handleEnd);
+  }, [controls, report]);
+
+  useEffect(() => () => report(true), [report]);
+
+  useEffect(() => {
+    if (!captureRef) return undefined;
+    captureRef.current = () => {
+      const { camera: currentCamera, controls: currentControls, scene: currentScene } = three.current;
+      return captureView(currentCamera, currentControls, currentScene);
+    };
+    return () => {
+      captureRef.current = null;
+    };
+  }, [captureRef]);
+
+  return null;
+}
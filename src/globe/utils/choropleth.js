@@ -0,0 +1,123 @@
+// Choropleth helpers: per-country values and the color scale shared by the globe layer and legend
+
+import { findCountryFor } from './countries.js';
+
+// Sequential yellow → red ramp (ColorBrewer YlOrRd)
+export const CHOROPLETH_COLORS = ['#ffffb2', '#fecc5c', '#fd8d3c', '#f03b20', '#bd0026'];
+
+// Stable key for a country feature, matching the `countryCode` used by area highlights
+export function getCountryKey(feature) {
+  const { iso2, iso3, name } = feature.properties;
+  return iso2 || iso3 || name;
+}
+
+// Count events per country
+// Returns { [countryKey]: count }; events outside every country (at sea) are not counted
+export function countEventsByCountry(events, countries) {
+  const counts = {};
+
+  events.forEach(event => {
+    const feature = findCountryFor(countries, event);
+    if (feature) {
+      const key = getCountryKey(feature);
+      counts[key] = (counts[key] || 0) + 1;
+    }
+  });
+
+  return counts;
+}
+
+// Match a { countryNameOrCode: value } map to country features
+// Returns { entries: [{ key, feature, value }], unknown: [name, ...] }
+export function resolveChoroplethValues(values, countries) {
+  const byKey = new Map();
+  const unknown = [];
+
+  Object.entries(values || {}).forEach(([name, value]) => {
+    const number = Number(value);
+    if (!Number.isFinite(number)) return;
+
+    const feature = countries.resolve(name);
+    if (!feature) {
+      unknown.push(name);
+      return;
+    }
+    // The same country given twice (e.g. "France" and "FR") keeps the last value
+    byKey.set(getCountryKey(feature), { key: getCountryKey(feature), feature, value: number });
+  });
+
+  return { entries: Array.from(byKey.values()), unknown };
+}
+
+function formatBound(value) {
+  return Number.isInteger(value) ? value.toLocaleString() : value.toLocaleString(undefined, { maximumFractionDigits: 1 });
+}
+
+// Equal-interval color scale over the given values
+// Whole-number data (counts) gets whole-number bins, at most one per distinct value.
+// Returns { bins: [{ min, max, label, color }], colorFor(value) }
+export function createChoroplethScale(values, colors = CHOROPLETH_COLORS) {
+  const numbers = values.filter(Number.isFinite);
+  if (numbers.length === 0) {
+    return { bins: [], colorFor: () => null };
+  }
+
+  const min = Math.min(...numbers);
+  const max = Math.max(...numbers);
+  const integers = numbers.every(Number.isInteger);
+  const binCount = integers
+    ? Math.min(colors.length, max - min + 1)
+    : (max > min ? colors.length : 1);
+  const step = (max - min + (integers ? 1 : 0)) / binCount;
+
+  const bins = Array.from({ length: binCount }, (_, i) => {
+    const color = colors[binCount === 1 ? colors.length - 1 : Math.round(i * (colors.length - 1) / (binCount - 1))];
+    if (integers) {
+      const low = Math.ceil(min + step * i);
+      const high = Math.ceil(min + step * (i + 1)) - 1;
+      return { min: low, max: high, label: low === high ? formatBound(low) : `${formatBound(low)}–${formatBound(high)}`, color };
+    }
+    const low = min + step * i;
+    const high = i === binCount - 1 ? max : min + step * (i + 1);
+    return { min: low, max: high, label: low === high ? formatBound(low) : `${formatBound(low)}–${formatBound(high)}`, color };
+  });
+
+  return {
+    bins,
+    colorFor(value) {
+      if (!Number.isFinite(value)) return null;
+      if (step === 0) return bins[0].color;
+      const index = Math.floor((value - min) / step);
+      return bins[Math.max(0, Math.min(binCount - 1, index))].color;
+    }
+  };
+}
+
+// Parse a user-supplied metric: a JSON object, or one "Country, value" / "Country: value" per line
+// Returns { values, errors } where errors lists the lines that couldn't be read
+export function parseChoroplethInput(text) {
+  const trimmed = (text || '').trim();
+  if (!trimmed) return { values: {}, errors: [] };
+
+  if (trimmed.startsWith('{')) {
+    try {
+      return { values: JSON.parse(trimmed), errors: [] };
+    } catch (error) {
+      return { values: {}, errors: [`Invalid JSON: ${error.message}`] };
+    }
+  }
+
+  const values = {};
+  const errors = [];
+  trimmed.split('\n').forEach(line => {
+    if (!line.trim()) return;
+    const match = line.match(/^\s*(.+?)\s*[,:\t=]\s*(-?[\d.,]+)\s*$/);
+    const value = match ? Number(match[2].replace(/,/g, '')) : NaN;
+    if (!match || !Number.isFinite(value)) {
+      errors.push(line.trim());
+      return;
+    }
+    values[match[1]] = value;
+  });
+  return { values, errors };
+}
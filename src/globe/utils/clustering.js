@@ -0,0 +1,111 @@
+// Zoom-aware grid clustering for globe markers
+// Events are bucketed into cells of roughly equal area whose size follows the camera distance,
+// so clusters split apart as the user zooms in.
+
+import { GLOBE_CONFIG } from './globeUtils.js';
+
+// Cell sizes (degrees of latitude) from closest to farthest zoom
+export const CLUSTER_CELL_SIZES = [1, 2, 4, 8, 16];
+
+// Degrees of cell size per unit of camera height above the surface
+const CELL_SIZE_PER_UNIT = 0.3;
+
+const toRadians = degrees => degrees * Math.PI / 180;
+const toDegrees = radians => radians * 180 / Math.PI;
+
+// Snap the camera height to one of CLUSTER_CELL_SIZES, so clustering only reruns when the
+// zoom crosses a level
+export function getClusterCellSize(cameraDistance) {
+  const height = Math.max(cameraDistance - GLOBE_CONFIG.radius, 0);
+  const target = height * CELL_SIZE_PER_UNIT;
+  return CLUSTER_CELL_SIZES.find(size => size >= target) || CLUSTER_CELL_SIZES[CLUSTER_CELL_SIZES.length - 1];
+}
+
+// Camera distance at which clustering switches to the given cell size (used to fly in far
+// enough for a cluster to split)
+export function getCameraDistanceForCellSize(cellSize) {
+  const previous = CLUSTER_CELL_SIZES[CLUSTER_CELL_SIZES.indexOf(cellSize) - 1] || 0;
+  const height = ((previous + cellSize) / 2) / CELL_SIZE_PER_UNIT;
+  return GLOBE_CONFIG.radius + height;
+}
+
+// Grid key for a position; longitude cells widen towards the poles to keep their area even
+function getCellKey(latitude, longitude, cellSize) {
+  const row = Math.floor((latitude + 90) / cellSize);
+  const rowCenter = -90 + (row + 0.5) * cellSize;
+  const columns = Math.max(1, Math.floor(360 * Math.cos(toRadians(rowCenter)) / cellSize));
+  const column = Math.min(columns - 1, Math.floor((longitude + 180) / 360 * columns));
+  return `${row}:${column}`;
+}
+
+// Mean position of the members, averaged on the unit sphere so clusters spanning the
+// antimeridian land in the right place
+function getCentroid(events) {
+  let x = 0;
+  let y = 0;
+  let z = 0;
+  events.forEach(({ latitude, longitude }) => {
+    const lat = toRadians(latitude);
+    const lng = toRadians(longitude);
+    x += Math.cos(lat) * Math.cos(lng);
+    y += Math.cos(lat) * Math.sin(lng);
+    z += Math.sin(lat);
+  });
+  return {
+    latitude: toDegrees(Math.atan2(z, Math.hypot(x, y))),
+    longitude: toDegrees(Math.atan2(y, x))
+  };
+}
+
+// Group events into clusters for the given cell size
+// Returns [{ id, latitude, longitude, count, events }]; single events come back as clusters of one
+export function clusterEvents(events, cellSize) {
+  const cells = new Map();
+
+  events.forEach(event => {
+    const { latitude, longitude } = event;
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return;
+
+    const key = getCellKey(latitude, longitude, cellSize);
+    if (!cells.has(key)) {
+      cells.set(key, []);
+    }
+    cells.get(key).push(event);
+  });
+
+  return Array.from(cells, ([key, members]) => ({
+    id: `cluster-${cellSize}-${key}`,
+    ...(members.length === 1
+      ? { latitude: members[0].latitude, longitude: members[0].longitude }
+      : getCentroid(members)),
+    count: members.length,
+    events: members
+  }));
+}
+
+// Positions for showing a cluster's members fanned out around its center ("spiderfy")
+// Members are spread over one or more rings, `spacing` degrees apart
+export function spiderfyPositions(cluster, spacing = 1.2) {
+  const { latitude, longitude, events } = cluster;
+  const lngScale = 1 / Math.max(Math.cos(toRadians(latitude)), 0.05);
+  const positions = [];
+  let ring = 1;
+  let index = 0;
+
+  while (index < events.length) {
+    // Each ring holds as many members as fit around its circumference
+    const capacity = Math.max(6, Math.floor(2 * Math.PI * ring));
+    const inRing = Math.min(capacity, events.length - index);
+    for (let i = 0; i < inRing; i++, index++) {
+      const angle = (2 * Math.PI * i) / inRing;
+      positions.push({
+        event: events[index],
+        latitude: latitude + Math.sin(angle) * spacing * ring,
+        longitude: longitude + Math.cos(angle) * spacing * ring * lngScale
+      });
+    }
+    ring += 1;
+  }
+
+  return positions;
+}
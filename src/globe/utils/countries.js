@@ -0,0 +1,144 @@
+// Country polygons with names and ISO codes
+// Loaded from public/countries-cleaned.json (Natural Earth admin-0) and shared by the globe's
+// border outlines, country highlights and PlotManager area highlights.
+
+import { loadGazetteer, normalizePlaceName } from './gazetteer.js';
+import { geometryContains } from './geoGeometry.js';
+
+const COUNTRIES_URL = '/countries-cleaned.json';
+
+// Natural Earth name columns worth matching against
+const NAME_FIELDS = ['NAME', 'NAME_LONG', 'NAME_EN', 'ADMIN', 'FORMAL_EN', 'NAME_ALT', 'BRK_NAME', 'GEOUNIT', 'SUBUNIT'];
+
+// Natural Earth marks a few codes as -99 (France, Norway) and fills them in the *_EH columns
+function isoCode(properties, field) {
+  const value = [properties[field], properties[`${field}_EH`]].find(code => code && code !== '-99');
+  return value || null;
+}
+
+// Keep the properties the app uses, under stable names
+function toCountryFeature(feature, index) {
+  const properties = feature.properties || {};
+  return {
+    type: 'Feature',
+    id: index,
+    properties: {
+      id: index,
+      name: properties.NAME || properties.ADMIN || `Country ${index}`,
+      longName: properties.NAME_LONG || properties.NAME || null,
+      iso2: isoCode(properties, 'ISO_A2'),
+      iso3: isoCode(properties, 'ISO_A3'),
+      isoNumeric: isoCode(properties, 'ISO_N3'),
+      continent: properties.CONTINENT || null,
+      subregion: properties.SUBREGION || null,
+      population: properties.POP_EST ?? null,
+      labelLatitude: properties.LABEL_Y ?? null,
+      labelLongitude: properties.LABEL_X ?? null
+    },
+    geometry: feature.geometry
+  };
+}
+
+// Index a country FeatureCollection by name and ISO code
+export function createCountryIndex(data) {
+  const features = (data.features || []).map(toCountryFeature);
+  const byKey = new Map();
+
+  data.features.forEach((feature, index) => {
+    const country = features[index];
+    const keys = [
+      ...NAME_FIELDS.map(field => feature.properties?.[field]),
+      country.properties.iso2,
+      country.properties.iso3
+    ];
+    keys.forEach(key => {
+      const normalized = normalizePlaceName(key);
+      if (normalized && !byKey.has(normalized)) {
+        byKey.set(normalized, country);
+      }
+    });
+  });
+
+  return {
+    featureCollection: { type: 'FeatureCollection', features },
+
+    // Country feature for a name or ISO alpha-2/alpha-3 code, or null
+    resolve(query) {
+      return byKey.get(normalizePlaceName(query)) || null;
+    },
+
+    // Country feature containing a point, or null at sea
+    locate(latitude, longitude) {
+      if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+      return features.find(feature => geometryContains(feature.geometry, [longitude, latitude])) || null;
+    }
+  };
+}
+
+// Country of a plotted position: the geocoder's country code when there is one, otherwise the
+// polygon containing the point (the 110m borders miss some coastal cities, hence the code first)
+export function findCountryFor(countries, { countryCode, latitude, longitude }) {
+  const byCode = countryCode && countries.resolve(countryCode);
+  return byCode || countries.locate(latitude, longitude);
+}
+
+// Events and arcs touching a country, for the country info panel
+// An arc touches a country when either of its ends lies in it
+export function getCountryActivity(countries, feature, events = [], arcs = []) {
+  const isCountry = position => findCountryFor(countries, position) === feature;
+  return {
+    events: events.filter(event => isCountry(event)),
+    arcs: arcs.filter(arc =>
+      isCountry({ countryCode: arc.fromCountryCode, latitude: arc.startLatLng?.lat, longitude: arc.startLatLng?.lng }) ||
+      isCountry({ countryCode: arc.toCountryCode, latitude: arc.endLatLng?.lat, longitude: arc.endLatLng?.lng })
+    )
+  };
+}
+
+let countriesPromise = null;
+let loadedCountries = null;
+
+// Fetch and index the country polygons (once per page load)
+export function loadCountries(url = COUNTRIES_URL) {
+  if (!countriesPromise) {
+    countriesPromise = fetch(url)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Failed to load country polygons: ${response.status} ${response.statusText}`);
+        }
+        return response.json();
+      })
+      .then(data => {
+        loadedCountries = createCountryIndex(data);
+        return loadedCountries;
+      })
+      .catch(error => {
+        // Allow a later call to retry
+        countriesPromise = null;
+        throw error;
+      });
+  }
+  return countriesPromise;
+}
+
+// The country index if it has already been loaded, for synchronous callers
+export function getLoadedCountries() {
+  return loadedCountries;
+}
+
+// Resolve a country name, alternate name or ISO code to its polygon feature
+// Names the polygons don't carry ("UK", "UAE") are looked up in the gazetteer first.
+// Resolves to null when the name isn't a country.
+export async function resolveCountry(query) {
+  const countries = await loadCountries();
+  const direct = countries.resolve(query);
+  if (direct) return direct;
+
+  try {
+    const gazetteer = await loadGazetteer();
+    const country = gazetteer.lookup(query).find(entry => entry.type === 'country');
+    return country ? countries.resolve(country.countryCode) : null;
+  } catch {
+    return null;
+  }
+}
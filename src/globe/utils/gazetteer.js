@@ -0,0 +1,232 @@
+// Offline gazetteer: countries, admin-1 regions, cities and named areas
+// The data ships as public/gazetteer.json and is fetched once, on the first lookup,
+// so it never weighs on the initial bundle.
+
+const GAZETTEER_URL = '/gazetteer.json';
+
+// Name and alternate-name matches rank by importance; ISO code matches come last
+const MATCH_RANK = { name: 0, alt: 0, code: 1 };
+
+// Countries and named areas outrank any city or region sharing their name
+const COUNTRY_IMPORTANCE = 1e10;
+const AREA_IMPORTANCE = 1e9;
+// Regions carry the summed population of their cities; damp it so a region
+// only wins over a city of the same name when it is far more populous
+const REGION_IMPORTANCE_FACTOR = 0.1;
+
+const MAX_SUGGESTIONS = 5;
+
+// Lowercase, strip accents and punctuation: "São Paulo" -> "sao paulo", "Xi'an" -> "xian"
+export function normalizePlaceName(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’.]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Edit distance, giving up as soon as it exceeds maxDistance
+function levenshtein(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return Infinity;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return Infinity;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Typos allowed for a query of this length
+function fuzzyThreshold(query) {
+  return Math.min(3, Math.max(1, Math.floor(query.length / 4)));
+}
+
+function compareMatches(a, b) {
+  return MATCH_RANK[a.via] - MATCH_RANK[b.via] || b.entry.importance - a.entry.importance;
+}
+
+// Build an in-memory index over the raw gazetteer rows
+export function createGazetteer(data) {
+  const entries = [];
+  const index = new Map();
+  const countries = new Map();
+  const regions = new Map();
+
+  function addKey(key, entry, via) {
+    const normalized = normalizePlaceName(key);
+    if (!normalized) return;
+    if (!index.has(normalized)) index.set(normalized, []);
+    const bucket = index.get(normalized);
+    if (!bucket.some(match => match.entry === entry)) {
+      bucket.push({ entry, via });
+    }
+  }
+
+  function addEntry(entry, { names = [], altNames = [], codes = [] }) {
+    entries.push(entry);
+    names.forEach(name => addKey(name, entry, 'name'));
+    altNames.forEach(name => addKey(name, entry, 'alt'));
+    codes.forEach(code => addKey(code, entry, 'code'));
+  }
+
+  for (const [iso2, iso3, name, latitude, longitude, altNames] of data.countries) {
+    const entry = {
+      name,
+      type: 'country',
+      latitude,
+      longitude,
+      countryCode: iso2,
+      countryName: name,
+      iso3,
+      formatted: name,
+      importance: COUNTRY_IMPORTANCE
+    };
+    countries.set(iso2, { entry, keys: [name, iso2, iso3, ...altNames].map(normalizePlaceName) });
+    addEntry(entry, { names: [name], altNames, codes: [iso2, iso3] });
+  }
+
+  for (const [countryCode, code, name, latitude, longitude, population, altNames = []] of data.regions) {
+    const countryName = countries.get(countryCode)?.entry.name || countryCode;
+    const entry = {
+      name,
+      type: 'region',
+      latitude,
+      longitude,
+      countryCode,
+      countryName,
+      regionCode: `${countryCode}-${code}`,
+      formatted: `${name}, ${countryName}`,
+      importance: population * REGION_IMPORTANCE_FACTOR
+    };
+    regions.set(entry.regionCode, { entry, keys: [name, ...altNames].map(normalizePlaceName) });
+    addEntry(entry, { names: [name], altNames, codes: [entry.regionCode] });
+  }
+
+  for (const [name, countryCode, region, latitude, longitude, population, altNames = []] of data.cities) {
+    const countryName = countries.get(countryCode)?.entry.name || countryCode;
+    const regionEntry = region ? regions.get(`${countryCode}-${region}`)?.entry : null;
+    const entry = {
+      name,
+      type: 'city',
+      latitude,
+      longitude,
+      countryCode,
+      countryName,
+      regionCode: regionEntry?.regionCode || null,
+      regionName: regionEntry?.name || null,
+      population,
+      formatted: [...new Set([name, regionEntry?.name, countryName].filter(Boolean))].join(', '),
+      importance: population
+    };
+    addEntry(entry, { names: [name], altNames });
+  }
+
+  for (const [name, latitude, longitude, altNames = []] of data.areas || []) {
+    addEntry({
+      name,
+      type: 'area',
+      latitude,
+      longitude,
+      countryCode: null,
+      countryName: null,
+      formatted: name,
+      importance: AREA_IMPORTANCE
+    }, { names: [name], altNames });
+  }
+
+  // Does a qualifier such as "France", "FR", "Texas" or "TX" describe this entry?
+  function matchesQualifier(entry, qualifier) {
+    if (countries.get(entry.countryCode)?.keys.includes(qualifier)) return true;
+    if (!entry.regionCode) return false;
+    const region = regions.get(entry.regionCode);
+    return region.keys.includes(qualifier) ||
+      normalizePlaceName(region.entry.regionCode.split('-').slice(1).join('-')) === qualifier;
+  }
+
+  // Split "Paris, Texas" into the place name and its qualifiers
+  function parseQuery(query) {
+    const [head, ...rest] = String(query || '').split(',');
+    return {
+      full: normalizePlaceName(query),
+      head: normalizePlaceName(head),
+      qualifiers: rest.map(normalizePlaceName).filter(Boolean)
+    };
+  }
+
+  function filterByQualifiers(matches, qualifiers) {
+    return matches.filter(({ entry }) => qualifiers.every(qualifier => matchesQualifier(entry, qualifier)));
+  }
+
+  return {
+    size: entries.length,
+
+    // Exact lookup; returns every matching entry, best first
+    lookup(query) {
+      const { full, head, qualifiers } = parseQuery(query);
+
+      // Names that legitimately contain commas ("Washington, D.C.") are indexed whole
+      const direct = index.get(full);
+      if (direct) {
+        return [...direct].sort(compareMatches).map(({ entry, via }) => ({ ...entry, matchedBy: via }));
+      }
+
+      const candidates = filterByQualifiers(index.get(head) || [], qualifiers);
+      return candidates.sort(compareMatches).map(({ entry, via }) => ({ ...entry, matchedBy: via }));
+    },
+
+    // Closest names to a query that has no exact match, best first
+    suggest(query, limit = MAX_SUGGESTIONS) {
+      const { head, qualifiers } = parseQuery(query);
+      if (!head) return [];
+
+      const maxDistance = fuzzyThreshold(head);
+      const scored = [];
+      for (const [key, matches] of index) {
+        const distance = levenshtein(head, key, maxDistance);
+        if (distance > maxDistance) continue;
+        for (const match of filterByQualifiers(matches, qualifiers)) {
+          scored.push({ ...match, distance });
+        }
+      }
+
+      const seen = new Set();
+      return scored
+        .sort((a, b) => a.distance - b.distance || compareMatches(a, b))
+        .filter(({ entry }) => !seen.has(entry) && seen.add(entry))
+        .slice(0, limit)
+        .map(({ entry, via, distance }) => ({ ...entry, matchedBy: via, distance }));
+    }
+  };
+}
+
+let gazetteerPromise = null;
+
+// Fetch and index the bundled gazetteer (once per page load)
+export function loadGazetteer(url = GAZETTEER_URL) {
+  if (!gazetteerPromise) {
+    gazetteerPromise = fetch(url)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Failed to load gazetteer: ${response.status} ${response.statusText}`);
+        }
+        return response.json();
+      })
+      .then(createGazetteer)
+      .catch(error => {
+        // Allow a later lookup to retry
+        gazetteerPromise = null;
+        throw error;
+      });
+  }
+  return gazetteerPromise;
+}
@@ -0,0 +1,166 @@
+import * as THREE from 'three';
+import { latLngToVector3 } from './globeUtils.js';
+
+// Longest triangle edge, in degrees, before a fill triangle is split
+// Keeps large countries from cutting under the curved surface
+const MAX_FILL_EDGE_DEGREES = 2;
+const MAX_SUBDIVISION_DEPTH = 6;
+
+// Call fn(rings) for every polygon of a GeoJSON Polygon or MultiPolygon
+export function forEachPolygon(geometry, fn) {
+  if (!geometry) return;
+  if (geometry.type === 'Polygon') {
+    fn(geometry.coordinates);
+  } else if (geometry.type === 'MultiPolygon') {
+    geometry.coordinates.forEach(fn);
+  }
+}
+
+// Whether a [lng, lat] point lies inside a GeoJSON Polygon or MultiPolygon
+// Planar even-odd test in lng/lat space, so ring winding doesn't matter (Natural Earth rings are
+// split at the antimeridian, which keeps the planar test valid)
+export function geometryContains(geometry, [lng, lat]) {
+  let inside = false;
+  forEachPolygon(geometry, rings => {
+    rings.forEach(ring => {
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+          inside = !inside;
+        }
+      }
+    });
+  });
+  return inside;
+}
+
+// Segment end points tracing every ring of the given GeoJSON geometries at `radius`,
+// as a flat [x1, y1, z1, x2, y2, z2, ...] array for fat line segments
+export function createOutlinePositions(geometries, radius) {
+  const vertices = [];
+
+  geometries.forEach(geometry => {
+    forEachPolygon(geometry, rings => {
+      rings.forEach(ring => {
+        for (let i = 0; i < ring.length - 1; i++) {
+          const [lng1, lat1] = ring[i];
+          const [lng2, lat2] = ring[i + 1];
+          const start = latLngToVector3(lat1, lng1, radius);
+          const end = latLngToVector3(lat2, lng2, radius);
+          vertices.push(start.x, start.y, start.z, end.x, end.y, end.z);
+        }
+      });
+    });
+  });
+
+  return new Float32Array(vertices);
+}
+
+// Drop the repeated closing point GeoJSON rings end with
+function openRing(ring) {
+  const [firstLng, firstLat] = ring[0];
+  const [lastLng, lastLat] = ring[ring.length - 1];
+  return firstLng === lastLng && firstLat === lastLat ? ring.slice(0, -1) : ring;
+}
+
+// Split a lng/lat triangle into four until its edges are short, then project it
+function pushSubdividedTriangle(vertices, a, b, c, radius, depth) {
+  const edge = (p, q) => Math.hypot(p[0] - q[0], p[1] - q[1]);
+  const longest = Math.max(edge(a, b), edge(b, c), edge(c, a));
+
+  if (longest > MAX_FILL_EDGE_DEGREES && depth < MAX_SUBDIVISION_DEPTH) {
+    const ab = [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+    const bc = [(b[0] + c[0]) / 2, (b[1] + c[1]) / 2];
+    const ca = [(c[0] + a[0]) / 2, (c[1] + a[1]) / 2];
+    pushSubdividedTriangle(vertices, a, ab, ca, radius, depth + 1);
+    pushSubdividedTriangle(vertices, ab, b, bc, radius, depth + 1);
+    pushSubdividedTriangle(vertices, ca, bc, c, radius, depth + 1);
+    pushSubdividedTriangle(vertices, ab, bc, ca, radius, depth + 1);
+    return;
+  }
+
+  [a, b, c].forEach(([lng, lat]) => {
+    const point = latLngToVector3(lat, lng, radius);
+    vertices.push(point.x, point.y, point.z);
+  });
+}
+
+// Triangulated mesh geometry covering a GeoJSON Polygon or MultiPolygon at `radius`
+// Rings are triangulated in lng/lat space (holes respected) and refined onto the sphere
+export function createFillGeometry(geojsonGeometry, radius) {
+  const vertices = [];
+
+  forEachPolygon(geojsonGeometry, rings => {
+    const [outer, ...holes] = rings.map(openRing).filter(ring => ring.length >= 3);
+    if (!outer) return;
+
+    const points = [outer, ...holes].flat();
+    const triangles = THREE.ShapeUtils.triangulateShape(
+      outer.map(([lng, lat]) => new THREE.Vector2(lng, lat)),
+      holes.map(hole => hole.map(([lng, lat]) => new THREE.Vector2(lng, lat)))
+    );
+
+    triangles.forEach(([i, j, k]) => {
+      pushSubdividedTriangle(vertices, points[i], points[j], points[k], radius, 0);
+    });
+  });
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+  geometry.computeVertexNormals();
+  return geometry;
+}
+
+// Mean Earth radius, matching calculateDistance in geocoding.js
+export const EARTH_RADIUS_KM = 6371;
+
+// [lng, lat] reached by travelling `distanceKm` from (lat, lng) along the great circle that
+// leaves at `bearing` degrees clockwise from north; longitude wrapped into [-180, 180)
+export function destinationPoint(lat, lng, bearing, distanceKm) {
+  const toRadians = Math.PI / 180;
+  const angle = distanceKm / EARTH_RADIUS_KM;
+  const lat1 = lat * toRadians;
+  const heading = bearing * toRadians;
+
+  const lat2 = Math.asin(
+    Math.sin(lat1) * Math.cos(angle) + Math.cos(lat1) * Math.sin(angle) * Math.cos(heading)
+  );
+  const lng2 = lng * toRadians + Math.atan2(
+    Math.sin(heading) * Math.sin(angle) * Math.cos(lat1),
+    Math.cos(angle) - Math.sin(lat1) * Math.sin(lat2)
+  );
+
+  return [((lng2 / toRadians) % 360 + 540) % 360 - 180, lat2 / toRadians];
+}
+
+// GeoJSON Polygon tracing every point `radiusKm` from (lat, lng): a geodesic circle, which
+// createOutlinePositions can draw. Rings crossing the antimeridian or a pole are fine for
+// outlines but not for createFillGeometry; use createCapGeometry to fill them.
+export function createGeodesicCircle(lat, lng, radiusKm, segments = 96) {
+  const ring = [];
+  for (let i = 0; i <= segments; i++) {
+    ring.push(destinationPoint(lat, lng, (i % segments) * 360 / segments, radiusKm));
+  }
+  return { type: 'Polygon', coordinates: [ring] };
+}
+
+// Mesh geometry for the part of the sphere between `innerKm` and `outerKm` from (lat, lng), at
+// `radius`: a filled disc (spherical cap) when innerKm is 0, otherwise a band around it
+export function createCapGeometry(lat, lng, innerKm, outerKm, radius, segments = 64) {
+  const innerAngle = innerKm / EARTH_RADIUS_KM;
+  const outerAngle = Math.min(outerKm / EARTH_RADIUS_KM, Math.PI);
+  // A sphere slice around +Y, turned so +Y points at the center
+  const geometry = new THREE.SphereGeometry(
+    radius,
+    segments,
+    Math.max(2, Math.ceil(segments * (outerAngle - innerAngle) / Math.PI)),
+    0,
+    Math.PI * 2,
+    innerAngle,
+    outerAngle - innerAngle
+  );
+  const center = latLngToVector3(lat, lng, 1);
+  geometry.applyQuaternion(new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), center));
+  return geometry;
+}
@@ -1,85 +1,230 @@
 import { geocodingService, validation } from '../../services/apiService.js';
+import { loadGazetteer, normalizePlaceName } from './gazetteer.js';
 
-// Static coordinate database for common locations to reduce API calls
-const STATIC_COORDINATES = {
-  // Major cities
-  'new york': { latitude: 40.7128, longitude: -74.0060, formatted: 'New York City, NY, USA' },
-  'london': { latitude: 51.5074, longitude: -0.1278, formatted: 'London, UK' },
-  'tokyo': { latitude: 35.6762, longitude: 139.6503, formatted: 'Tokyo, Japan' },
-  'paris': { latitude: 48.8566, longitude: 2.3522, formatted: 'Paris, France' },
-  'berlin': { latitude: 52.5200, longitude: 13.4050, formatted: 'Berlin, Germany' },
-  'moscow': { latitude: 55.7558, longitude: 37.6176, formatted: 'Moscow, Russia' },
-  'beijing': { latitude: 39.9042, longitude: 116.4074, formatted: 'Beijing, China' },
-  'sydney': { latitude: -33.8688, longitude: 151.2093, formatted: 'Sydney, Australia' },
-  'mumbai': { latitude: 19.0760, longitude: 72.8777, formatted: 'Mumbai, India' },
-  'cairo': { latitude: 30.0444, longitude: 31.2357, formatted: 'Cairo, Egypt' },
-  
-  // Countries (capital cities)
-  'iran': { latitude: 35.6892, longitude: 51.3890, formatted: 'Tehran, Iran' },
-  'iraq': { latitude: 33.3152, longitude: 44.3661, formatted: 'Baghdad, Iraq' },
-  'israel': { latitude: 31.7683, longitude: 35.2137, formatted: 'Jerusalem, Israel' },
-  'ukraine': { latitude: 50.4501, longitude: 30.5234, formatted: 'Kiev, Ukraine' },
-  'russia': { latitude: 55.7558, longitude: 37.6176, formatted: 'Moscow, Russia' },
-  'china': { latitude: 39.9042, longitude: 116.4074, formatted: 'Beijing, China' },
-  'india': { latitude: 28.6139, longitude: 77.2090, formatted: 'New Delhi, India' },
-  'japan': { latitude: 35.6762, longitude: 139.6503, formatted: 'Tokyo, Japan' },
-  'south korea': { latitude: 37.5665, longitude: 126.9780, formatted: 'Seoul, South Korea' },
-  'north korea': { latitude: 39.0392, longitude: 125.7625, formatted: 'Pyongyang, North Korea' },
-  
-  // US States (major cities)
-  'california': { latitude: 34.0522, longitude: -118.2437, formatted: 'Los Angeles, CA, USA' },
-  'texas': { latitude: 29.7604, longitude: -95.3698, formatted: 'Houston, TX, USA' },
-  'florida': { latitude: 25.7617, longitude: -80.1918, formatted: 'Miami, FL, USA' },
-  'new york state': { latitude: 40.7128, longitude: -74.0060, formatted: 'New York City, NY, USA' },
-  
-  // Geographic regions
-  'middle east': { latitude: 29.0, longitude: 47.0, formatted: 'Middle East Region' },
-  'europe': { latitude: 54.5260, longitude: 15.2551, formatted: 'Central Europe' },
-  'asia': { latitude: 34.0479, longitude: 100.6197, formatted: 'Central Asia' },
-  'africa': { latitude: -8.7832, longitude: 34.5085, formatted: 'Central Africa' },
-  'south america': { latitude: -8.7832, longitude: -55.4915, formatted: 'Central South America' },
-  'north america': { latitude: 45.0, longitude: -100.0, formatted: 'Central North America' }
+// Locations added at runtime; checked before the gazetteer
+const CUSTOM_COORDINATES = {};
+
+// A fuzzy match is only used without asking when it is a single-character typo
+// and every equally close suggestion shares its name (e.g. London, UK and London, Ontario)
+const AUTO_ACCEPT_DISTANCE = 1;
+
+// Below this confidence the top candidate should be confirmed by the user
+export const LOW_CONFIDENCE_THRESHOLD = 0.6;
+
+const MAX_CANDIDATES = 5;
+
+// How sharply score differences separate candidate confidences
+const CONFIDENCE_SHARPNESS = 3;
+
+// Same-named candidates closer than this are one place (Tokyo the city and Tokyo the prefecture)
+const DUPLICATE_DISTANCE_KM = 100;
+
+// Context bonuses added to a candidate's score
+const CONTEXT_WEIGHTS = {
+  countryMentioned: 1,
+  regionMentioned: 0.7,
+  typeHinted: 0.3,
+  relatedSameCountry: 0.7,
+  relatedNearby: 0.3
 };
+const NEARBY_DISTANCE_KM = 1500;
 
-// Normalize location name for lookup
-function normalizeLocationName(name) {
-  return name.toLowerCase()
-    .trim()
-    .replace(/[^\w\s]/g, '') // Remove special characters
-    .replace(/\s+/g, ' '); // Normalize whitespace
+// Words in the sentence that favour one kind of place over another
+const TYPE_HINTS = {
+  country: ['country', 'nation', 'government', 'president', 'border'],
+  region: ['state', 'province', 'region', 'prefecture', 'governor'],
+  city: ['city', 'town', 'capital', 'downtown', 'mayor']
+};
+
+// Shape a gazetteer entry like a geocoding API result
+function toCoordinates(entry) {
+  return {
+    latitude: entry.latitude,
+    longitude: entry.longitude,
+    formatted: entry.formatted,
+    name: entry.name,
+    type: entry.type,
+    countryCode: entry.countryCode,
+    countryName: entry.countryName,
+    regionName: entry.type === 'region' ? entry.name : entry.regionName || null,
+    source: 'gazetteer'
+  };
 }
 
-// Get coordinates from location name
-export async function geocodeLocation(locationName) {
+// Prominence of a gazetteer entry before any context: countries and named areas score 2,
+// cities and regions by population (100k -> 1.67, 1M -> 2, 10M -> 2.33)
+function gazetteerPrior(entry) {
+  if (entry.type === 'country' || entry.type === 'area') return 2;
+  return Math.log10(Math.max(entry.importance, 10)) / 3;
+}
+
+// The gazetteer is optional at runtime: if it cannot be loaded we fall back to the API alone
+async function getGazetteer() {
+  try {
+    return await loadGazetteer();
+  } catch (error) {
+    console.warn('Offline gazetteer unavailable:', error.message);
+    return null;
+  }
+}
+
+// Does the normalized sentence contain this place name as whole words?
+function mentions(paddedText, name) {
+  const normalized = normalizePlaceName(name);
+  return Boolean(normalized) && paddedText.includes(` ${normalized} `);
+}
+
+// Score and sort candidates, attaching a 0..1 `confidence` that sums to 1 across the list
+// `text` is the sentence the name came from; `related` are resolved coordinates of the
+// other locations in the same event
+export function rankCandidates(candidates, { query = '', text = '', related = [] } = {}) {
+  // Drop the place name itself so it doesn't count as evidence for its own namesake country
+  const queryWords = ` ${normalizePlaceName(query)} `;
+  const paddedText = ` ${normalizePlaceName(text)} `.split(queryWords).join(' ');
+
+  const unique = [];
+  for (const candidate of candidates) {
+    const duplicate = unique.some(kept =>
+      normalizePlaceName(kept.name) === normalizePlaceName(candidate.name) &&
+      calculateDistance(kept, candidate) < DUPLICATE_DISTANCE_KM
+    );
+    if (!duplicate) unique.push(candidate);
+  }
+
+  const scored = unique.map((candidate, index) => {
+    let score = candidate.prior ?? 2 - 0.25 * index;
+
+    if (candidate.type !== 'country' && mentions(paddedText, candidate.countryName)) {
+      score += CONTEXT_WEIGHTS.countryMentioned;
+    }
+    if (candidate.type !== 'region' && mentions(paddedText, candidate.regionName)) {
+      score += CONTEXT_WEIGHTS.regionMentioned;
+    }
+    if ((TYPE_HINTS[candidate.type] || []).some(word => paddedText.includes(` ${word} `))) {
+      score += CONTEXT_WEIGHTS.typeHinted;
+    }
+    for (const other of related) {
+      if (other.countryCode && other.countryCode === candidate.countryCode) {
+        score += CONTEXT_WEIGHTS.relatedSameCountry;
+      }
+      if (calculateDistance(other, candidate) < NEARBY_DISTANCE_KM) {
+        score += CONTEXT_WEIGHTS.relatedNearby;
+      }
+    }
+
+    return { candidate, score };
+  });
+
+  const weights = scored.map(({ score }) => Math.exp(score * CONFIDENCE_SHARPNESS));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+  return scored
+    .map(({ candidate }, index) => {
+      const ranked = { ...candidate, confidence: weights[index] / total };
+      delete ranked.prior;
+      return ranked;
+    })
+    .sort((a, b) => b.confidence - a.confidence);
+}
+
+// Unranked candidates for a name: custom entries, offline gazetteer, geocoding API,
+// then fuzzy suggestions. `fuzzy` marks suggestions that need confirmation.
+async function findCandidates(locationName) {
   // Validate input
   if (!validation.isValidLocation(locationName)) {
     throw new Error('Invalid location name provided');
   }
 
   const sanitized = validation.sanitizeInput(locationName);
-  const normalized = normalizeLocationName(sanitized);
+  const normalized = normalizePlaceName(sanitized);
+
+  if (CUSTOM_COORDINATES[normalized]) {
+    return { candidates: [CUSTOM_COORDINATES[normalized]], fuzzy: false };
+  }
 
-  // Check static database first
-  if (STATIC_COORDINATES[normalized]) {
-    console.log(`Static geocoding hit for: ${locationName}`);
-    return STATIC_COORDINATES[normalized];
+  const gazetteer = await getGazetteer();
+  const matches = gazetteer ? gazetteer.lookup(sanitized) : [];
+  if (matches.length > 0) {
+    console.log(`Gazetteer hit for: ${locationName} -> ${matches[0].formatted}`);
+    return {
+      candidates: matches.slice(0, MAX_CANDIDATES).map(entry => ({ ...toCoordinates(entry), prior: gazetteerPrior(entry) })),
+      fuzzy: false
+    };
   }
 
-  // Fallback to API geocoding service
+  let apiError;
   try {
-    return await geocodingService.geocodeLocation(sanitized);
+    return { candidates: await geocodingService.geocodeCandidates(sanitized), fuzzy: false };
   } catch (error) {
-    console.error(`Geocoding failed for "${locationName}":`, error);
-    
-    // Return null coordinates for unmappable locations
-    // This allows the system to continue functioning
+    apiError = error;
+  }
+
+  const suggestions = gazetteer ? gazetteer.suggest(sanitized) : [];
+  const [best] = suggestions;
+  const unambiguous = best && suggestions
+    .filter(s => s.distance === best.distance)
+    .every(s => s.name === best.name);
+  if (unambiguous && best.distance <= AUTO_ACCEPT_DISTANCE) {
+    console.log(`Fuzzy gazetteer match for: ${locationName} -> ${best.formatted}`);
+    return { candidates: [{ ...toCoordinates(best), matchedFrom: locationName }], fuzzy: false };
+  }
+
+  if (suggestions.length > 0) {
     return {
-      latitude: 0,
-      longitude: 0,
-      formatted: `Unknown Location: ${locationName}`,
-      error: error.message
+      candidates: suggestions.map(entry => ({ ...toCoordinates(entry), prior: gazetteerPrior(entry) - entry.distance })),
+      fuzzy: true
     };
   }
+
+  console.error(`Geocoding failed for "${locationName}":`, apiError);
+  const error = new Error(`Location not found: ${locationName}`);
+  error.suggestions = [];
+  error.cause = apiError;
+  throw error;
+}
+
+// Ranked candidates for a location name, using the sentence and the other locations
+// of the same event as context
+// Returns { query, candidates, ambiguous, fuzzy }; `ambiguous` means the user should confirm,
+// `fuzzy` that the name itself matched nothing and the candidates are spelling suggestions.
+export async function geocodeCandidates(locationName, { text = '', relatedLocations = [] } = {}) {
+  const { candidates, fuzzy } = await findCandidates(locationName);
+
+  const related = [];
+  for (const name of relatedLocations) {
+    if (!name || normalizePlaceName(name) === normalizePlaceName(locationName)) continue;
+    try {
+      const { candidates: [top], fuzzy: guessed } = await geocodeCandidates(name, { text });
+      if (!guessed) related.push(top);
+    } catch {
+      // An unresolvable neighbour just contributes no context
+    }
+  }
+
+  const ranked = rankCandidates(candidates, { query: locationName, text, related });
+  return {
+    query: locationName,
+    candidates: ranked,
+    ambiguous: fuzzy || ranked[0].confidence < LOW_CONFIDENCE_THRESHOLD,
+    fuzzy
+  };
+}
+
+// Get coordinates from location name
+// Resolves to the best-ranked candidate, with the full ranked list in `candidates`.
+// Unresolvable names throw with `error.suggestions` rather than plotting at 0,0.
+export async function geocodeLocation(locationName, context = {}) {
+  const { candidates, ambiguous, fuzzy } = await geocodeCandidates(locationName, context);
+
+  // Fuzzy suggestions are never used without confirmation, so report them instead
+  if (fuzzy) {
+    const hint = [...new Set(candidates.map(c => `"${c.formatted}"`))].join(', ');
+    const error = new Error(`Location not found: ${locationName}. Did you mean ${hint}?`);
+    error.suggestions = candidates;
+    throw error;
+  }
+
+  return { ...candidates[0], candidates, ambiguous };
 }
 
 // Batch geocode multiple locations
@@ -149,6 +294,11 @@ export function getIntermediatePoints(start, end, numPoints = 10) {
     Math.cos(lat1) * Math.cos(lat2) * Math.pow(Math.sin((lng1 - lng2) / 2), 2)
   ));
   
+  // Identical points have no great circle to follow
+  if (d === 0) {
+    return Array.from({ length: numPoints + 1 }, () => ({ latitude: start.latitude, longitude: start.longitude }));
+  }
+  
   for (let i = 0; i <= numPoints; i++) {
     const f = i / numPoints;
     const a = Math.sin((1 - f) * d) / Math.sin(d);
@@ -170,31 +320,48 @@ export function getIntermediatePoints(start, end, numPoints = 10) {
   return points;
 }
 
-// Add new static coordinates (useful for expanding the database)
+// Add or override a location (useful for places missing from the gazetteer)
 export function addStaticCoordinate(name, coordinates) {
-  const normalized = normalizeLocationName(name);
+  const normalized = normalizePlaceName(name);
   if (validation.isValidCoordinate(coordinates.latitude, coordinates.longitude)) {
-    STATIC_COORDINATES[normalized] = coordinates;
+    CUSTOM_COORDINATES[normalized] = coordinates;
     console.log(`Added static coordinate for: ${name}`);
   } else {
     throw new Error('Invalid coordinates provided');
   }
 }
 
-// Get all static coordinates (for debugging)
+// Get all runtime-added coordinates (for debugging)
 export function getStaticCoordinates() {
-  return { ...STATIC_COORDINATES };
+  return { ...CUSTOM_COORDINATES };
 }
 
 // Clear geocoding cache
 export function clearGeocodingCache() {
-  geocodingService.clearCache();
+  return geocodingService.clearCache();
 }
 
-// Get geocoding statistics
-export function getGeocodingStats() {
+// Get geocoding statistics, including persistent cache hits, misses, evictions and hit rate
+export async function getGeocodingStats() {
+  const gazetteer = await getGazetteer();
   return {
-    staticCoordinates: Object.keys(STATIC_COORDINATES).length,
-    ...geocodingService.getCacheStats()
+    staticCoordinates: Object.keys(CUSTOM_COORDINATES).length,
+    gazetteerEntries: gazetteer ? gazetteer.size : 0,
+    ...await getGeocodingCacheStats()
   };
-}
\ No newline at end of file
+}
+
+// Cache metrics alone, without loading the gazetteer
+export function getGeocodingCacheStats() {
+  return geocodingService.getCacheStats();
+}
+
+// Export the geocoding cache as JSON so a team can share a warm cache
+export function exportGeocodingCache() {
+  return geocodingService.exportCache();
+}
+
+// Import a cache exported with exportGeocodingCache; resolves to the number of entries added
+export function importGeocodingCache(json) {
+  return geocodingService.importCache(json);
+}
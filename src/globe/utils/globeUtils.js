@@ -1,4 +1,10 @@
 import * as THREE from 'three';
+import { Line2 } from 'three/examples/jsm/lines/Line2.js';
+import { LineGeometry } from 'three/examples/jsm/lines/LineGeometry.js';
+import { LineMaterial } from 'three/examples/jsm/lines/LineMaterial.js';
+import { LineSegments2 } from 'three/examples/jsm/lines/LineSegments2.js';
+import { LineSegmentsGeometry } from 'three/examples/jsm/lines/LineSegmentsGeometry.js';
+import { eventTaxonomy } from '../../services/eventTaxonomy.js';
 
 // Globe configuration constants
 export const GLOBE_CONFIG = {
@@ -26,6 +32,14 @@ export const GLOBE_CONFIG = {
   rotation: {
     speed: 0.005,
     enabled: true
+  },
+  
+  // Arc altitude: peak height is the great-circle distance (in globe units) times
+  // heightPerDistance, kept between minHeight (clear of the border lines) and maxHeight
+  arcs: {
+    minHeight: 0.1,
+    maxHeight: 2,
+    heightPerDistance: 0.25
   }
 };
 
@@ -46,28 +60,66 @@ export function vector3ToLatLng(vector, radius = GLOBE_CONFIG.radius) {
   const normalizedVector = vector.clone().normalize().multiplyScalar(radius);
   
   const lat = 90 - (Math.acos(normalizedVector.y / radius) * 180 / Math.PI);
-  const lng = ((Math.atan2(normalizedVector.z, -normalizedVector.x)) * 180 / Math.PI) - 180;
+  const theta = Math.atan2(normalizedVector.z, -normalizedVector.x) * 180 / Math.PI;
+  // atan2 gives theta in (-180, 180], so wrap the longitude back into [-180, 180)
+  const lng = ((theta - 180) % 360 + 540) % 360 - 180;
   
   return { lat, lng };
 }
 
+// Curve that follows the great circle between two surface points, lifted off the globe by
+// `height * sin(πt)` so it leaves and lands on the surface
+class GreatCircleArcCurve extends THREE.Curve {
+  constructor(startVector, endVector, height) {
+    super();
+    this.start = startVector.clone().normalize();
+    this.height = height;
+
+    // Rotate the start direction about `axis` by `angle * t` to walk the great circle
+    const cross = new THREE.Vector3().crossVectors(this.start, endVector);
+    this.angle = this.start.angleTo(endVector);
+    if (cross.lengthSq() > 1e-12) {
+      this.axis = cross.normalize();
+    } else if (this.start.dot(endVector) > 0) {
+      // Identical endpoints: a zero-length arc at the point
+      this.axis = new THREE.Vector3(0, 1, 0);
+      this.angle = 0;
+    } else {
+      // Antipodal endpoints: every great circle joins them, so take the one over the north side
+      // (or along the prime meridian when starting at a pole)
+      const up = Math.abs(this.start.y) > 0.999 ? new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 1, 0);
+      this.axis = new THREE.Vector3().crossVectors(this.start, up).normalize();
+      this.angle = Math.PI;
+    }
+  }
+
+  getPoint(t, optionalTarget = new THREE.Vector3()) {
+    return optionalTarget
+      .copy(this.start)
+      .applyAxisAngle(this.axis, this.angle * t)
+      .multiplyScalar(GLOBE_CONFIG.radius + this.height * Math.sin(Math.PI * t));
+  }
+}
+
+// Peak altitude of an arc between two surface points: proportional to their great-circle
+// distance, so short hops stay low and long-haul arcs clear the globe, capped at maxHeight
+export function getArcHeight(startVector, endVector, maxHeight = GLOBE_CONFIG.arcs.maxHeight) {
+  const { minHeight, heightPerDistance } = GLOBE_CONFIG.arcs;
+  const distance = startVector.angleTo(endVector) * GLOBE_CONFIG.radius;
+  return Math.min(Math.max(distance * heightPerDistance, minHeight), maxHeight);
+}
+
 // Create arc curve between two points on globe surface
-export function createArcCurve(startLatLng, endLatLng, arcHeight = 2) {
+// The arc follows the great circle; `maxHeight` caps its altitude (see getArcHeight)
+export function createArcCurve(startLatLng, endLatLng, maxHeight = GLOBE_CONFIG.arcs.maxHeight) {
   const startVector = latLngToVector3(startLatLng.lat, startLatLng.lng);
   const endVector = latLngToVector3(endLatLng.lat, endLatLng.lng);
   
-  // Calculate midpoint and add height for arc
-  const midVector = startVector.clone().add(endVector).multiplyScalar(0.5);
-  midVector.normalize().multiplyScalar(GLOBE_CONFIG.radius + arcHeight);
-  
-  // Create quadratic Bezier curve
-  const curve = new THREE.QuadraticBezierCurve3(startVector, midVector, endVector);
-  
-  return curve;
+  return new GreatCircleArcCurve(startVector, endVector, getArcHeight(startVector, endVector, maxHeight));
 }
 
 // Generate geometry for arc line
-export function createArcGeometry(startLatLng, endLatLng, arcHeight = 2, divisions = 50) {
+export function createArcGeometry(startLatLng, endLatLng, arcHeight = GLOBE_CONFIG.arcs.maxHeight, divisions = 50) {
   const curve = createArcCurve(startLatLng, endLatLng, arcHeight);
   const points = curve.getPoints(divisions);
   
@@ -98,13 +150,157 @@ export function createPulsingMarkerMaterial(color = '#ff0000', pulseSpeed = 2) {
 }
 
 // Create arc material with gradient effect
-export function createArcMaterial(startColor = '#ff0000', endColor = '#ffaa00', opacity = 0.8) {
-  return new THREE.LineBasicMaterial({
-    color: startColor,
+// Fat line, so lineWidth is in pixels. The gradient itself needs per-point colors on the
+// geometry (see GradientArc), so only the start color is used here.
+export function createArcMaterial(startColor = '#ff0000', endColor = '#ffaa00', opacity = 0.8, lineWidth = 3) {
+  const material = createAnimatedArcMaterial({ color: startColor, opacity, lineWidth });
+  material.uniforms.startTime.value = -1e9; // static: always fully drawn
+  return material;
+}
+
+// Arc animation styles understood by createAnimatedArcMaterial
+export const ARC_ANIMATION_MODES = {
+  draw: 0,  // line grows from start to end
+  dash: 1,  // fixed-length dash travels along a faint line
+  comet: 2  // bright head with a fading tail
+};
+
+// Fat-line arc geometry (for Line2) along the arc curve
+// Every segment also carries the `progress` (0 at the start, 1 at the end) of its two ends,
+// laid out like LineGeometry's own instanceStart/instanceEnd, for the animated arc shader.
+// `colors` optionally gives an [r, g, b] per point for per-vertex coloring.
+export function createArcLineGeometry(startLatLng, endLatLng, arcHeight = GLOBE_CONFIG.arcs.maxHeight, divisions = 50, colors = null) {
+  const points = createArcCurve(startLatLng, endLatLng, arcHeight).getPoints(divisions);
+  const geometry = new LineGeometry();
+  geometry.setPositions(points.flatMap(point => [point.x, point.y, point.z]));
+  if (colors) {
+    geometry.setColors(colors);
+  }
+
+  const progress = new Float32Array(divisions * 2);
+  for (let i = 0; i < divisions; i++) {
+    progress[i * 2] = i / divisions;
+    progress[i * 2 + 1] = (i + 1) / divisions;
+  }
+  const progressBuffer = new THREE.InstancedInterleavedBuffer(progress, 2, 1);
+  geometry.setAttribute('instanceProgressStart', new THREE.InterleavedBufferAttribute(progressBuffer, 1, 0));
+  geometry.setAttribute('instanceProgressEnd', new THREE.InterleavedBufferAttribute(progressBuffer, 1, 1));
+
+  return geometry;
+}
+
+// Visibility of a fragment at `vProgress` along the arc for the current animation state
+const ARC_ANIMATION_GLSL = `
+  uniform float time;
+  uniform float startTime;
+  uniform int animationMode;
+  uniform float duration;
+  uniform bool loop;
+  uniform float trailLength;
+  uniform float baseOpacity;
+  varying float vProgress;
+
+  float arcAlpha() {
+    float elapsed = max(time - startTime, 0.0) / duration;
+    float cycle = loop ? fract(elapsed) : min(elapsed, 1.0);
+
+    if (animationMode == 0) {
+      return step(vProgress, cycle);
+    }
+    if (!loop && elapsed >= 1.0) {
+      // One-shot dashes and comets settle into a solid line
+      return 1.0;
+    }
+
+    // The head runs past the end so the trail leaves the arc completely
+    float head = cycle * (1.0 + trailLength);
+    float behind = head - vProgress;
+    float inTrail = step(0.0, behind) * step(behind, trailLength);
+    float trail = animationMode == 1 ? inTrail : inTrail * (1.0 - behind / trailLength);
+    return max(trail, baseOpacity);
+  }
+`;
+
+// Fat-line material for arcs, animated entirely through uniforms
+// Widths are in screen pixels. Set `time` from the render clock every frame and `startTime`
+// when the arc appears; `loop` repeats the animation every `duration` seconds for ongoing flows.
+export function createAnimatedArcMaterial({
+  color = '#ff4444',
+  opacity = 0.8,
+  lineWidth = 2,
+  vertexColors = false,
+  dashed = false,
+  dashSize = 0.3,
+  gapSize = 0.15,
+  mode = 'draw',
+  duration = 2,
+  loop = false,
+  trailLength = 0.25,
+  baseOpacity = 0.15
+} = {}) {
+  const material = new LineMaterial({
+    color: vertexColors ? '#ffffff' : color,
+    linewidth: lineWidth,
+    vertexColors,
+    dashed,
+    dashSize,
+    gapSize,
     transparent: true,
-    opacity: opacity,
-    linewidth: 3 // Note: linewidth > 1 only works with WebGLRenderer in some browsers
+    opacity,
+    depthWrite: false
   });
+
+  Object.assign(material.uniforms, {
+    time: { value: 0 },
+    startTime: { value: 0 },
+    animationMode: { value: ARC_ANIMATION_MODES[mode] ?? ARC_ANIMATION_MODES.draw },
+    duration: { value: Math.max(duration, 0.01) },
+    loop: { value: loop },
+    trailLength: { value: trailLength },
+    baseOpacity: { value: baseOpacity }
+  });
+
+  material.onBeforeCompile = (shader) => {
+    shader.vertexShader = shader.vertexShader.replace('void main() {', `
+      attribute float instanceProgressStart;
+      attribute float instanceProgressEnd;
+      varying float vProgress;
+
+      void main() {
+        vProgress = ( position.y < 0.5 ) ? instanceProgressStart : instanceProgressEnd;
+    `);
+    shader.fragmentShader = shader.fragmentShader
+      .replace('uniform float linewidth;', `uniform float linewidth;\n${ARC_ANIMATION_GLSL}`)
+      .replace('gl_FragColor = vec4( diffuseColor.rgb, alpha );', `
+        alpha *= arcAlpha();
+        if ( alpha <= 0.0 ) discard;
+        gl_FragColor = vec4( diffuseColor.rgb, alpha );
+      `);
+  };
+
+  return material;
+}
+
+// Line2 for an arc with the animated arc material; dashed lines get their dash distances
+export function createArcLine(geometry, material) {
+  const line = new Line2(geometry, material);
+  if (material.dashed) {
+    line.computeLineDistances();
+  }
+  return line;
+}
+
+// Fat line segments (screen-space width in pixels) from a flat [x1, y1, z1, x2, y2, z2, ...]
+// array of segment end points, as built by createOutlinePositions
+export function createOutlineLines(positions, { color = '#ffffff', lineWidth = 1, opacity = 1 } = {}) {
+  const geometry = new LineSegmentsGeometry().setPositions(positions);
+  const material = new LineMaterial({
+    color,
+    linewidth: lineWidth,
+    transparent: opacity < 1,
+    opacity
+  });
+  return new LineSegments2(geometry, material);
 }
 
 // Create atmosphere effect
@@ -179,8 +375,9 @@ export class GlobeAnimationManager {
       duration,
       delay,
       startTime: this.clock.getElapsedTime() + delay,
-      originalGeometry: arc.geometry.clone()
+      vertexCount: arc.geometry.attributes.position.count
     });
+    arc.geometry.setDrawRange(0, 0);
   }
   
   // Update all animations
@@ -210,7 +407,7 @@ export class GlobeAnimationManager {
   }
   
   updateArcAnimation(animation, time) {
-    const { arc, duration, startTime, originalGeometry } = animation;
+    const { arc, duration, startTime, vertexCount } = animation;
     
     if (time < startTime) return;
     
@@ -218,20 +415,13 @@ export class GlobeAnimationManager {
     
     if (progress >= 1) {
       // Animation complete
+      arc.geometry.setDrawRange(0, Infinity);
       this.animations.delete(arc.uuid);
       return;
     }
     
-    // Animate arc drawing by updating geometry
-    const points = originalGeometry.attributes.position.array;
-    const animatedPoints = [];
-    const visiblePoints = Math.floor(points.length * progress);
-    
-    for (let i = 0; i < visiblePoints; i++) {
-      animatedPoints.push(points[i]);
-    }
-    
-    arc.geometry.setFromPoints(animatedPoints);
+    // Animate arc drawing by revealing more of the existing vertices
+    arc.geometry.setDrawRange(0, Math.floor(vertexCount * progress));
   }
   
   // Remove animation
@@ -245,49 +435,9 @@ export class GlobeAnimationManager {
   }
 }
 
-// Event type configurations for different visual styles
-export const EVENT_TYPES = {
-  earthquake: {
-    color: '#ff4444',
-    size: 0.08,
-    pulseSpeed: 3,
-    icon: '🌍'
-  },
-  volcano: {
-    color: '#ff8800',
-    size: 0.1,
-    pulseSpeed: 2,
-    icon: '🌋'
-  },
-  storm: {
-    color: '#4488ff',
-    size: 0.06,
-    pulseSpeed: 4,
-    icon: '⛈️'
-  },
-  conflict: {
-    color: '#ff0000',
-    size: 0.05,
-    pulseSpeed: 2.5,
-    icon: '⚡'
-  },
-  trade: {
-    color: '#00ff88',
-    size: 0.04,
-    pulseSpeed: 1,
-    icon: '💹'
-  },
-  political: {
-    color: '#8844ff',
-    size: 0.06,
-    pulseSpeed: 1.5,
-    icon: '🏛️'
-  }
-};
-
-// Helper function to get event configuration
+// Drawing style for an event type (color, size, pulseSpeed, icon, ...) from the event taxonomy
 export function getEventConfig(eventType) {
-  return EVENT_TYPES[eventType] || EVENT_TYPES.earthquake;
+  return eventTaxonomy.getStyle(eventType);
 }
 
 // Create event marker with specific styling
@@ -0,0 +1,120 @@
+// Magnitude scaling: how an event's magnitude becomes its marker size, pulse speed, color and
+// impact ring radius. Each event type picks a scale in the event taxonomy; markers, the legend
+// and PlotManager all go through scaleMagnitude so they agree.
+
+// Scale kinds, each mapping a magnitude to a level between 0 and 1 over the type's range
+export const MAGNITUDE_SCALES = {
+  linear: { label: 'Linear' },
+  log: { label: 'Logarithmic' },
+  energy: { label: 'Richter energy' },
+  breakpoints: { label: 'Breakpoints' }
+};
+
+export const DEFAULT_MAGNITUDE_RANGE = [0, 10];
+
+// Visual ranges from the lowest to the highest level
+const SIZE_FACTORS = [0.6, 2.5];
+const PULSE_FACTORS = [0.75, 1.5];
+const RING_RADIUS_KM = [25, 1000];
+// Low levels are drawn this far towards white
+const PALE_MIX = 0.6;
+
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+function lerp([from, to], t) {
+  return from + (to - from) * t;
+}
+
+function mixColor(hex, otherHex, amount) {
+  const channels = value => [1, 3, 5].map(i => parseInt(value.slice(i, i + 2), 16));
+  const [a, b] = [channels(hex), channels(otherHex)];
+  return `#${a.map((channel, i) => Math.round(channel + (b[i] - channel) * amount).toString(16).padStart(2, '0')).join('')}`;
+}
+
+// "1:0.2, 3:0.6, 5:1" → [[1, 0.2], [3, 0.6], [5, 1]]: magnitude → level, sorted by magnitude
+// Throws on anything that isn't magnitude:level pairs with levels between 0 and 1
+export function parseBreakpoints(text) {
+  const pairs = String(text ?? '').split(',').map(part => part.trim()).filter(Boolean).map(part => {
+    const match = part.match(/^(-?\d+(?:\.\d+)?)\s*:\s*(\d+(?:\.\d+)?)$/);
+    if (!match) {
+      throw new Error(`"${part}" is not magnitude:level`);
+    }
+    const level = Number(match[2]);
+    if (level > 1) {
+      throw new Error(`Level ${level} in "${part}" is above 1`);
+    }
+    return [Number(match[1]), level];
+  });
+  if (pairs.length < 2) {
+    throw new Error('Breakpoints need at least two magnitude:level pairs');
+  }
+  return pairs.sort((a, b) => a[0] - b[0]);
+}
+
+export function formatBreakpoints(breakpoints) {
+  return (breakpoints || []).map(([magnitude, level]) => `${magnitude}:${level}`).join(', ');
+}
+
+// Magnitude → level (0-1) for a type's { scale, magnitudeRange, breakpoints }
+export function createMagnitudeScale({ scale = 'linear', magnitudeRange = DEFAULT_MAGNITUDE_RANGE, breakpoints = [] } = {}) {
+  if (scale === 'breakpoints' && breakpoints.length >= 2) {
+    return magnitude => {
+      if (magnitude <= breakpoints[0][0]) return breakpoints[0][1];
+      const upper = breakpoints.findIndex(([point]) => point >= magnitude);
+      if (upper === -1) return breakpoints[breakpoints.length - 1][1];
+      const [[m0, l0], [m1, l1]] = [breakpoints[upper - 1], breakpoints[upper]];
+      return l0 + (l1 - l0) * (magnitude - m0) / (m1 - m0);
+    };
+  }
+
+  const [min, max] = magnitudeRange;
+  const span = max - min || 1;
+  const normalize = magnitude => clamp01((magnitude - min) / span);
+
+  if (scale === 'log') {
+    // Compresses the top of the range: each step up adds less than the one before
+    return magnitude => Math.log1p(9 * normalize(magnitude)) / Math.log(10);
+  }
+  if (scale === 'energy') {
+    // Grows with the cube root of the energy released (10^1.5 per magnitude step), so the
+    // largest events stand out
+    const top = 10 ** (0.5 * span) - 1;
+    return magnitude => (10 ** (0.5 * normalize(magnitude) * span) - 1) / top;
+  }
+  return normalize;
+}
+
+// Visual properties for a magnitude under a type's style (see eventTaxonomy.getStyle):
+// { magnitude, level, sizeFactor, size, pulseSpeed, color, ringRadiusKm }
+// Without a magnitude the type's default magnitude is used.
+export function scaleMagnitude(style, magnitude) {
+  const value = Number.isFinite(magnitude) ? magnitude : style.defaultMagnitude;
+  const level = Number.isFinite(value) ? clamp01(createMagnitudeScale(style)(value)) : 0.5;
+  const sizeFactor = lerp(SIZE_FACTORS, level);
+  return {
+    magnitude: value,
+    level,
+    sizeFactor,
+    size: style.size * sizeFactor,
+    pulseSpeed: style.pulseSpeed * lerp(PULSE_FACTORS, level),
+    color: mixColor(style.color, '#ffffff', PALE_MIX * (1 - level)),
+    ringRadiusKm: RING_RADIUS_KM[0] * (RING_RADIUS_KM[1] / RING_RADIUS_KM[0]) ** level
+  };
+}
+
+// Radius in km of the area an event affects: its own `radiusKm` when the report gave one,
+// otherwise the impact radius its magnitude has on its type's scale
+export function getImpactRadiusKm(style, event) {
+  return event.radiusKm > 0 ? event.radiusKm : scaleMagnitude(style, event.magnitude).ringRadiusKm;
+}
+
+// Magnitudes to show in a legend: the breakpoints, or the ends and middle of the range
+export function getLegendMagnitudes(style) {
+  if (style.scale === 'breakpoints' && style.breakpoints?.length >= 2) {
+    return style.breakpoints.map(([magnitude]) => magnitude);
+  }
+  const [min, max] = style.magnitudeRange || DEFAULT_MAGNITUDE_RANGE;
+  return [min, (min + max) / 2, max].map(value => Math.round(value * 10) / 10);
+}
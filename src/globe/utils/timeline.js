@@ -0,0 +1,81 @@
+// Timeline helpers: item times, the histogram under the scrubber and time-window visibility
+// A time range is { start, end } in milliseconds; a null range means "show everything".
+
+// Items whose time window has just passed fade out over this share of the window's length
+const FADE_FRACTION = 0.25;
+
+// Item time in milliseconds, or null when it has no usable timestamp
+export function getItemTime(item) {
+  const time = Date.parse(item?.timestamp);
+  return Number.isFinite(time) ? time : null;
+}
+
+// Earliest and latest item times; a single instant is widened to an hour so it can be scrubbed
+export function getTimeExtent(items) {
+  let start = Infinity;
+  let end = -Infinity;
+  items.forEach(item => {
+    const time = getItemTime(item);
+    if (time === null) return;
+    start = Math.min(start, time);
+    end = Math.max(end, time);
+  });
+
+  if (start === Infinity) return null;
+  if (start === end) {
+    return { start: start - 30 * 60 * 1000, end: end + 30 * 60 * 1000 };
+  }
+  return { start, end };
+}
+
+// Item counts in `binCount` equal slices of the extent
+// Returns [{ start, end, count }]
+export function createTimeHistogram(items, extent, binCount = 60) {
+  if (!extent) return [];
+
+  const step = (extent.end - extent.start) / binCount;
+  const bins = Array.from({ length: binCount }, (_, i) => ({
+    start: extent.start + step * i,
+    end: extent.start + step * (i + 1),
+    count: 0
+  }));
+
+  items.forEach(item => {
+    const time = getItemTime(item);
+    if (time === null) return;
+    const index = Math.min(binCount - 1, Math.max(0, Math.floor((time - extent.start) / step)));
+    bins[index].count += 1;
+  });
+
+  return bins;
+}
+
+// Opacity of an item at `time` for the selected range: 1 inside it, fading out once the range
+// has moved past it, 0 before it happens. Items without a time are always shown.
+export function getTimeOpacity(time, range) {
+  if (!range || time === null) return 1;
+  if (time > range.end) return 0;
+  if (time >= range.start) return 1;
+
+  const fade = (range.end - range.start) * FADE_FRACTION;
+  return fade > 0 ? Math.max(0, 1 - (range.start - time) / fade) : 0;
+}
+
+// Items inside the range (and items without a time), without the fade of passed items
+export function filterTimeWindow(items, range) {
+  if (!range) return items;
+  return items.filter(item => getTimeOpacity(getItemTime(item), range) === 1);
+}
+
+// Items visible in the range, each with its `timeOpacity`
+export function applyTimeWindow(items, range) {
+  if (!range) return items;
+
+  return items.reduce((visible, item) => {
+    const timeOpacity = getTimeOpacity(getItemTime(item), range);
+    if (timeOpacity > 0) {
+      visible.push(timeOpacity === 1 ? item : { ...item, timeOpacity });
+    }
+    return visible;
+  }, []);
+}
@@ -0,0 +1,14 @@
+import { useState, useEffect } from 'react';
+import { eventTaxonomy } from '../services/eventTaxonomy.js';
+
+// Current event taxonomy categories; components re-render when the settings change it
+export function useEventTaxonomy() {
+  const [categories, setCategories] = useState(() => eventTaxonomy.getCategories());
+
+  useEffect(() => {
+    setCategories(eventTaxonomy.getCategories());
+    return eventTaxonomy.subscribe(setCategories);
+  }, []);
+
+  return categories;
+}
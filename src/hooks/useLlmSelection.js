@@ -0,0 +1,14 @@
+import { useState, useEffect } from 'react';
+import { openaiService } from '../services/apiService.js';
+
+// Current { provider, model } LLM selection; components re-render when it changes
+export function useLlmSelection() {
+  const [selection, setSelection] = useState(() => openaiService.getSelection());
+
+  useEffect(() => {
+    setSelection(openaiService.getSelection());
+    return openaiService.subscribe(setSelection);
+  }, []);
+
+  return selection;
+}
@@ -0,0 +1,55 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { feedIngestor } from '../services/feedIngestion.js';
+
+// Articles kept in the feed; older ones drop off the end
+const MAX_ARTICLES = 200;
+
+// Live articles from a FeedIngestor
+// The feed opens with the articles the ingestor already has, or else is filled by the first
+// poll. Later arrivals wait in `incoming` until showNew() is
+// called, so the list doesn't shift under the reader; `newCount` drives the "N new" banner.
+export function useNewsFeed({ ingestor = feedIngestor, initialArticles = [] } = {}) {
+  const [articles, setArticles] = useState(
+    () => [...ingestor.getArticles(), ...initialArticles].slice(0, MAX_ARTICLES)
+  );
+  const [incoming, setIncoming] = useState([]);
+  const [status, setStatus] = useState(() => ingestor.getStatus());
+  const loadedRef = useRef(null);
+  if (loadedRef.current === null) {
+    loadedRef.current = ingestor.hasPolled();
+  }
+
+  useEffect(() => {
+    const unsubscribe = ingestor.subscribe((newArticles, feedStatus) => {
+      setStatus(feedStatus);
+      if (!loadedRef.current) {
+        loadedRef.current = true;
+        setArticles(prev => [...newArticles, ...prev].slice(0, MAX_ARTICLES));
+      } else if (newArticles.length > 0) {
+        setIncoming(prev => [...newArticles, ...prev]);
+      }
+    });
+    ingestor.start();
+    return () => {
+      unsubscribe();
+      ingestor.stop();
+    };
+  }, [ingestor]);
+
+  const showNew = useCallback(() => {
+    setArticles(prev => [...incoming, ...prev].slice(0, MAX_ARTICLES));
+    setIncoming([]);
+  }, [incoming]);
+
+  const refresh = useCallback(() => {
+    ingestor.poll().catch(error => console.error('Feed poll failed:', error));
+  }, [ingestor]);
+
+  return {
+    articles,
+    newCount: incoming.length,
+    showNew,
+    status,
+    refresh
+  };
+}
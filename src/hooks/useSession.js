@@ -0,0 +1,186 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { sessionStore } from '../services/sessionStore.js';
+
+// Delay before changes are written, so a burst of plotted items is saved once
+const AUTOSAVE_DELAY_MS = 1000;
+
+// First session per app while none is saved yet, shared so it is only created once even when
+// the opening effect runs twice (StrictMode mounts components twice in development)
+const firstSessions = new Map();
+
+function createFirstSession(app, state) {
+  if (!firstSessions.has(app)) {
+    const creation = sessionStore.create(app, 'Session 1', state);
+    firstSessions.set(app, creation);
+    creation.catch(() => firstSessions.delete(app));
+  }
+  return firstSessions.get(app);
+}
+
+// Same keys as `state`, every list empty
+function emptyState(state) {
+  return Object.fromEntries(Object.keys(state).map(key => [key, []]));
+}
+
+// Automatic session persistence for an app's plotted data
+// `state` is a memoized object of arrays ({ events, arcs, areas, chatHistory }); `onRestore`
+// receives such an object when a session is opened, cleared or undone and must set the app's
+// state from it. The last used session is reopened on load.
+// Pass `view` and `onViewChange` to ViewPersistence inside the Canvas so the camera is saved too.
+export function useSession(app, { state, onRestore }) {
+  const [sessions, setSessions] = useState([]);
+  const [activeKey, setActiveKey] = useState(null);
+  const [view, setView] = useState(null);
+  const [undoState, setUndoState] = useState(null);
+  const stateRef = useRef(state);
+  const viewRef = useRef(null);
+  const activeKeyRef = useRef(null);
+  const restoringRef = useRef(false);
+  const onRestoreRef = useRef(onRestore);
+
+  stateRef.current = state;
+  activeKeyRef.current = activeKey;
+  onRestoreRef.current = onRestore;
+
+  const refreshList = useCallback(async () => {
+    setSessions(await sessionStore.list(app));
+  }, [app]);
+
+  // Write the open session now
+  const save = useCallback(async () => {
+    const key = activeKeyRef.current;
+    if (!key) return;
+    await sessionStore.update(key, { state: stateRef.current, view: viewRef.current });
+  }, []);
+
+  // Show a session's data; the next state change is the restore itself, not an edit to save
+  const applySession = useCallback((record) => {
+    restoringRef.current = true;
+    viewRef.current = record.view || null;
+    setActiveKey(record.key);
+    setView(record.view || null);
+    setUndoState(null);
+    onRestoreRef.current({ ...emptyState(stateRef.current), ...record.state });
+  }, []);
+
+  // Reopen the most recent session, or start the first one from the current state
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      const [latest] = await sessionStore.list(app);
+      if (cancelled) return;
+      const record = latest
+        ? await sessionStore.get(latest.key)
+        : await createFirstSession(app, stateRef.current);
+      if (cancelled) return;
+      applySession(record);
+      refreshList();
+    })().catch(error => console.error('Failed to open session:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [app, applySession, refreshList]);
+
+  // Autosave after changes
+  useEffect(() => {
+    if (!activeKey) return undefined;
+    if (restoringRef.current) {
+      restoringRef.current = false;
+      return undefined;
+    }
+    const timer = setTimeout(() => {
+      save().then(refreshList).catch(error => console.error('Failed to save session:', error));
+    }, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [state, activeKey, save, refreshList]);
+
+  // Flush when the page is hidden or closed
+  useEffect(() => {
+    const handleHide = () => {
+      if (document.visibilityState === 'hidden') {
+        save().catch(() => {});
+      }
+    };
+    document.addEventListener('visibilitychange', handleHide);
+    window.addEventListener('pagehide', handleHide);
+    return () => {
+      document.removeEventListener('visibilitychange', handleHide);
+      window.removeEventListener('pagehide', handleHide);
+    };
+  }, [save]);
+
+  // Camera moves are saved with the next autosave (or right away when `final`, on unmount)
+  const handleViewChange = useCallback((nextView, final = false) => {
+    viewRef.current = nextView;
+    if (final) {
+      setView(nextView);
+    }
+    save().catch(error => console.error('Failed to save session view:', error));
+  }, [save]);
+
+  const switchTo = useCallback(async (key) => {
+    if (key === activeKeyRef.current) return;
+    await save();
+    const record = await sessionStore.get(key);
+    if (record) {
+      applySession(record);
+    }
+    await refreshList();
+  }, [save, applySession, refreshList]);
+
+  const create = useCallback(async (name) => {
+    await save();
+    const record = await sessionStore.create(app, name || `Session ${sessions.length + 1}`, emptyState(stateRef.current));
+    applySession(record);
+    await refreshList();
+  }, [app, sessions.length, save, applySession, refreshList]);
+
+  const rename = useCallback(async (name) => {
+    if (!activeKeyRef.current || !name) return;
+    await sessionStore.update(activeKeyRef.current, { name });
+    await refreshList();
+  }, [refreshList]);
+
+  // Delete the open session and move to the next one (or a fresh one)
+  const remove = useCallback(async () => {
+    const key = activeKeyRef.current;
+    if (!key) return;
+    await sessionStore.remove(key);
+    const [next] = await sessionStore.list(app);
+    applySession(next
+      ? await sessionStore.get(next.key)
+      : await sessionStore.create(app, 'Session 1', emptyState(stateRef.current)));
+    await refreshList();
+  }, [app, applySession, refreshList]);
+
+  // Empty every list, keeping what was there for undoClear
+  const clearAll = useCallback(() => {
+    setUndoState(stateRef.current);
+    onRestoreRef.current(emptyState(stateRef.current));
+  }, []);
+
+  // Bring back what Clear All removed, keeping anything added since
+  const undoClear = useCallback(() => {
+    if (!undoState) return;
+    const current = stateRef.current;
+    onRestoreRef.current(Object.fromEntries(Object.keys(current).map(key => [
+      key,
+      [...(undoState[key] || []), ...current[key]]
+    ])));
+    setUndoState(null);
+  }, [undoState]);
+
+  return {
+    sessions,
+    activeKey,
+    view,
+    onViewChange: handleViewChange,
+    switchTo,
+    create,
+    rename,
+    remove,
+    clearAll,
+    undoClear,
+    canUndoClear: undoState !== null
+  };
+}
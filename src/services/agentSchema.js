@@ -0,0 +1,256 @@
+// Structured-output contract for the event interpreter agent
+// The schema is sent to the model in the system prompt and used to validate every response
+
+import { AGENT_CONFIG } from '../agentConfig.js';
+
+const nullableString = { type: ['string', 'null'] };
+
+// Schema for a single action returned by the agent
+export const AGENT_ACTION_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'AgentAction',
+  type: 'object',
+  properties: {
+    action: { type: 'string', enum: AGENT_CONFIG.supportedActions },
+    eventType: nullableString,
+    location: nullableString,
+    from: nullableString,
+    to: nullableString,
+    magnitude: { type: ['number', 'null'] },
+    metadata: { type: ['object', 'null'] },
+    message: { type: 'string' }
+  },
+  required: ['action'],
+  allOf: [
+    {
+      if: { required: ['action'], properties: { action: { enum: ['plot_event', 'highlight_area'] } } },
+      then: {
+        required: ['location'],
+        properties: { location: { type: 'string', minLength: 1 } }
+      }
+    },
+    {
+      if: { required: ['action'], properties: { action: { const: 'plot_arc' } } },
+      then: {
+        required: ['from', 'to'],
+        properties: {
+          from: { type: 'string', minLength: 1 },
+          to: { type: 'string', minLength: 1 }
+        }
+      }
+    },
+    {
+      if: { required: ['action'], properties: { action: { enum: ['get_info', 'error'] } } },
+      then: {
+        required: ['message'],
+        properties: { message: { type: 'string', minLength: 1 } }
+      }
+    }
+  ]
+};
+
+// Envelope returned in JSON mode (the API requires an object at the top level)
+export const AGENT_RESPONSE_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'AgentResponse',
+  type: 'object',
+  properties: {
+    events: {
+      type: 'array',
+      minItems: 1,
+      items: AGENT_ACTION_SCHEMA
+    }
+  },
+  required: ['events']
+};
+
+// Check a value against a JSON Schema type name
+function matchesType(value, type) {
+  switch (type) {
+    case 'null':
+      return value === null;
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+function joinPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+// Minimal JSON Schema validator covering the keywords used by the agent schemas
+// Returns a list of { path, message } errors, empty when the value is valid
+export function validateAgainstSchema(value, schema, path = '') {
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path, message: `must be ${types.join(' or ')}` });
+      return errors;
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+  }
+
+  if (typeof value === 'string' && schema.minLength != null && value.trim().length < schema.minLength) {
+    errors.push({ path, message: 'must not be empty' });
+  }
+
+  if (matchesType(value, 'object')) {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push({ path: joinPath(path, key), message: 'is required' });
+      }
+    });
+
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        errors.push(...validateAgainstSchema(value[key], propertySchema, joinPath(path, key)));
+      }
+    });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      errors.push({ path, message: `must contain at least ${schema.minItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateAgainstSchema(item, schema.items, joinPath(path, index)));
+      });
+    }
+  }
+
+  (schema.allOf || []).forEach(subschema => {
+    if (subschema.if) {
+      const conditionHolds = validateAgainstSchema(value, subschema.if, path).length === 0;
+      if (conditionHolds && subschema.then) {
+        errors.push(...validateAgainstSchema(value, subschema.then, path));
+      }
+    } else {
+      errors.push(...validateAgainstSchema(value, subschema, path));
+    }
+  });
+
+  // The same required key can be reported by several branches
+  return errors.filter((error, index) =>
+    errors.findIndex(other => other.path === error.path && other.message === error.message) === index
+  );
+}
+
+// Format validation errors as human-readable field messages
+export function formatSchemaErrors(errors) {
+  return errors.map(({ path, message }) => `${path || 'response'} ${message}`);
+}
+
+// Find the first complete JSON object or array in free text, respecting strings and nesting
+function extractBalancedJson(text) {
+  const start = text.search(/[[{]/);
+  if (start === -1) return null;
+
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+
+    if (char === '"') inString = true;
+    else if (char === '{' || char === '[') stack.push(char === '{' ? '}' : ']');
+    else if (char === '}' || char === ']') {
+      if (stack.pop() !== char) return null;
+      if (stack.length === 0) return text.slice(start, i + 1);
+    }
+  }
+
+  return null;
+}
+
+// Parse raw model output into JSON, tolerating code fences and surrounding prose
+export function parseAgentJson(content) {
+  if (typeof content !== 'string' || !content.trim()) {
+    throw new Error('Empty response from agent');
+  }
+
+  const unfenced = content.replace(/```(?:json)?/gi, '').trim();
+
+  try {
+    return JSON.parse(unfenced);
+  } catch {
+    const candidate = extractBalancedJson(unfenced);
+    if (!candidate) {
+      throw new Error('Response does not contain JSON');
+    }
+    try {
+      return JSON.parse(candidate);
+    } catch (error) {
+      throw new Error(`Response contains malformed JSON: ${error.message}`);
+    }
+  }
+}
+
+// Unwrap the accepted response shapes ({events: [...]}, [...], or a single action) into a list
+function unwrapActions(parsed) {
+  if (Array.isArray(parsed)) return parsed;
+  if (matchesType(parsed, 'object') && Array.isArray(parsed.events)) return parsed.events;
+  if (matchesType(parsed, 'object') && parsed.action !== undefined) return [parsed];
+  return null;
+}
+
+// Parse and validate a full agent response
+// Returns { actions, invalid, parseError } where invalid items carry their field errors
+export function evaluateAgentResponse(content) {
+  let parsed;
+  try {
+    parsed = parseAgentJson(content);
+  } catch (error) {
+    return { actions: [], invalid: [], parseError: error.message };
+  }
+
+  const items = unwrapActions(parsed);
+  if (!items || items.length === 0) {
+    return {
+      actions: [],
+      invalid: [],
+      parseError: formatSchemaErrors(validateAgainstSchema(parsed, AGENT_RESPONSE_SCHEMA)).join('; ') ||
+        'Response contains no events'
+    };
+  }
+
+  const actions = [];
+  const invalid = [];
+
+  items.forEach((item, index) => {
+    const errors = validateAgainstSchema(item, AGENT_ACTION_SCHEMA);
+    if (errors.length === 0) {
+      actions.push(item);
+    } else {
+      invalid.push({ index, item, errors: formatSchemaErrors(errors) });
+    }
+  });
+
+  return { actions, invalid, parseError: null };
+}
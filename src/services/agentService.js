@@ -0,0 +1,85 @@
+// Event interpreter agent: sends user input to the LLM in JSON mode and validates the response
+
+import { openaiService } from './apiService.js';
+import { AGENT_CONFIG } from '../agentConfig.js';
+import { AGENT_RESPONSE_SCHEMA, evaluateAgentResponse } from './agentSchema.js';
+import { eventTaxonomy } from './eventTaxonomy.js';
+
+// System prompt, the event types from the taxonomy and the machine-readable contract the
+// response must satisfy
+const buildSystemPrompt = () => `${AGENT_CONFIG.systemPrompt}
+
+${eventTaxonomy.describeForPrompt()}
+
+Your response must be a single JSON object that validates against this JSON Schema:
+${JSON.stringify(AGENT_RESPONSE_SCHEMA)}`;
+
+// Follow-up message asking the model to fix its previous response
+const buildRepairPrompt = (result) => {
+  const problems = result.parseError
+    ? [result.parseError]
+    : result.invalid.map(({ index, errors }) => `events[${index}]: ${errors.join('; ')}`);
+
+  return `Your previous response did not match the required JSON Schema:
+${problems.map(problem => `- ${problem}`).join('\n')}
+Respond again with the complete corrected JSON object only.`;
+};
+
+async function requestContent(messages) {
+  const response = await openaiService.chatCompletion(messages, {
+    temperature: AGENT_CONFIG.temperature,
+    response_format: AGENT_CONFIG.responseFormat
+  });
+  return response.choices?.[0]?.message?.content ?? '';
+}
+
+export const agentService = {
+  // Interpret natural language input into validated agent actions
+  // Returns { actions, invalid, repaired, diagnostics }; invalid items carry field-level error
+  // messages, and diagnostics ({ type, text }) report a repair request that failed
+  async interpret(input) {
+    const messages = [
+      { role: 'system', content: buildSystemPrompt() },
+      { role: 'user', content: input }
+    ];
+
+    const content = await requestContent(messages);
+    let result = evaluateAgentResponse(content);
+    let repaired = false;
+    let repairError = null;
+
+    // One repair round-trip before giving up on invalid output; if the request itself fails,
+    // the valid items from the first response are still used
+    if (result.parseError || result.invalid.length > 0) {
+      try {
+        const repairedContent = await requestContent([
+          ...messages,
+          { role: 'assistant', content },
+          { role: 'user', content: buildRepairPrompt(result) }
+        ]);
+        const repairedResult = evaluateAgentResponse(repairedContent);
+
+        if (!repairedResult.parseError) {
+          result = repairedResult;
+          repaired = true;
+        }
+      } catch (error) {
+        repairError = error;
+      }
+    }
+
+    if (result.parseError) {
+      const reason = repairError ? ` (repair request failed: ${repairError.message})` : '';
+      throw new Error(`Could not parse AI response: ${result.parseError}${reason}`);
+    }
+
+    return {
+      actions: result.actions,
+      invalid: result.invalid,
+      repaired,
+      diagnostics: repairError
+        ? [{ type: 'error', text: `⚠️ Could not ask the AI to fix its response: ${repairError.message}` }]
+        : []
+    };
+  }
+};
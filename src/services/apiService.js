@@ -1,23 +1,26 @@
 // Secure API service that hides API keys from frontend
 // This would typically be a backend service, but for development we'll use environment variables
 
+import { LLM_PROVIDERS, DEFAULT_LLM_PROVIDER } from './llmProviders.js';
+import { GeocodeCache } from './geocodeCache.js';
+
 const API_CONFIG = {
-  openai: {
-    key: import.meta.env.VITE_OPENAI_API_KEY,
-    url: import.meta.env.VITE_OPENAI_API_URL || 'https://api.openai.com/v1/chat/completions'
-  },
   opencage: {
     key: import.meta.env.VITE_OPENCAGE_API_KEY,
-    url: import.meta.env.VITE_OPENCAGE_BASE_URL || 'https://api.opencagedata.com/geocode/v1/json'
+    url: import.meta.env.VITE_OPENCAGE_BASE_URL || 'https://api.opencagedata.com/geocode/v1/json',
+    candidateLimit: 5
   }
 };
 
+const isOpenCageConfigured = () => Boolean(API_CONFIG.opencage.key) && !API_CONFIG.opencage.key.includes('your_');
+
 // Validate that API keys are configured
 const validateApiKeys = () => {
-  if (!API_CONFIG.openai.key || API_CONFIG.openai.key.includes('your_')) {
-    console.warn('OpenAI API key not configured properly');
+  const provider = LLM_PROVIDERS[DEFAULT_LLM_PROVIDER];
+  if (!provider.isConfigured()) {
+    console.warn(`${provider.label} API key not configured properly`);
   }
-  if (!API_CONFIG.opencage.key || API_CONFIG.opencage.key.includes('your_')) {
+  if (!isOpenCageConfigured()) {
     console.warn('OpenCage API key not configured properly');
   }
 };
@@ -25,57 +28,167 @@ const validateApiKeys = () => {
 // Initialize validation on module load
 validateApiKeys();
 
-// OpenAI API service
+// Runtime LLM selection, persisted so a reload keeps the chosen provider and model
+const LLM_SELECTION_KEY = 'asterisk-globe.llm-selection';
+
+const loadLlmSelection = () => {
+  try {
+    const stored = JSON.parse(globalThis.localStorage?.getItem(LLM_SELECTION_KEY) || 'null');
+    if (stored && LLM_PROVIDERS[stored.provider]) {
+      return stored;
+    }
+  } catch {
+    // Ignore unreadable selections and fall back to the default provider
+  }
+  return { provider: DEFAULT_LLM_PROVIDER, model: LLM_PROVIDERS[DEFAULT_LLM_PROVIDER].defaultModel };
+};
+
+const saveLlmSelection = (selection) => {
+  try {
+    globalThis.localStorage?.setItem(LLM_SELECTION_KEY, JSON.stringify(selection));
+  } catch {
+    // Persistence is best-effort
+  }
+};
+
+// LLM chat service: delegates to the selected provider (OpenAI, Anthropic, local servers or mock)
 export const openaiService = {
+  selection: loadLlmSelection(),
+  recordings: [],
+  listeners: new Set(),
+
   async chatCompletion(messages, options = {}) {
-    if (!API_CONFIG.openai.key || API_CONFIG.openai.key.includes('your_')) {
-      throw new Error('OpenAI API key not configured. Please set VITE_OPENAI_API_KEY in your .env file');
+    const provider = this.getProvider();
+    const response = await provider.chatCompletion(messages, {
+      ...options,
+      model: options.model || this.selection.model || provider.defaultModel
+    });
+
+    // Keep real responses so they can be replayed by the mock provider
+    if (provider.id !== 'mock') {
+      const input = messages.find(message => message.role === 'user')?.content;
+      const content = response.choices?.[0]?.message?.content;
+      if (input && content && !this.recordings.some(recording => recording.input === input)) {
+        this.recordings.push({ input, response: content });
+      }
     }
 
-    const body = {
-      model: options.model || 'gpt-3.5-turbo',
-      messages,
-      temperature: options.temperature || 0.7,
-      ...options
-    };
-
-    const response = await fetch(API_CONFIG.openai.url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${API_CONFIG.openai.key}`
-      },
-      body: JSON.stringify(body)
-    });
+    return response;
+  },
+
+  // Check the selected provider is reachable with its key, without a paid completion
+  checkConnection() {
+    return this.getProvider().checkConnection();
+  },
+
+  // Currently selected provider
+  getProvider() {
+    return LLM_PROVIDERS[this.selection.provider];
+  },
+
+  // Current { provider, model } selection
+  getSelection() {
+    return { ...this.selection };
+  },
+
+  // Available providers for the selector UI
+  listProviders() {
+    return Object.values(LLM_PROVIDERS).map(({ id, label, models, defaultModel, keyEnvVar }) => ({
+      id,
+      label,
+      models,
+      defaultModel,
+      keyEnvVar,
+      configured: LLM_PROVIDERS[id].isConfigured()
+    }));
+  },
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(`OpenAI API error: ${response.status} - ${errorData.error?.message || response.statusText}`);
+  // Switch provider; the model resets to the provider default unless given
+  setProvider(providerId, model) {
+    const provider = LLM_PROVIDERS[providerId];
+    if (!provider) {
+      throw new Error(`Unknown LLM provider: ${providerId}`);
     }
+    this.selection = { provider: providerId, model: model || provider.defaultModel };
+    saveLlmSelection(this.selection);
+    this.listeners.forEach(listener => listener(this.getSelection()));
+  },
+
+  setModel(model) {
+    this.setProvider(this.selection.provider, model);
+  },
+
+  // Subscribe to selection changes; returns an unsubscribe function
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  },
 
-    return response.json();
+  // Recorded responses in the format used by llmRecordings.js
+  exportRecordings() {
+    return JSON.stringify(this.recordings, null, 2);
   }
 };
 
+// OpenCage component types folded into the place types used by the gazetteer
+const OPENCAGE_PLACE_TYPES = {
+  country: 'country',
+  state: 'region',
+  state_district: 'region',
+  county: 'region',
+  city: 'city',
+  town: 'city',
+  village: 'city',
+  hamlet: 'city',
+  suburb: 'city',
+  neighbourhood: 'city',
+  continent: 'area',
+  body_of_water: 'area'
+};
+
 // Geocoding service
 export const geocodingService = {
-  cache: new Map(),
+  cache: new GeocodeCache(),
+
+  isConfigured() {
+    return isOpenCageConfigured();
+  },
+
+  // Reach OpenCage with the key, bypassing the cache (a warm cache works without a key, so a
+  // cache hit says nothing about the API); resolves true or throws
+  async checkConnection() {
+    await this.geocodeCandidates('London', { useCache: false });
+    return true;
+  },
   
+  // Best match only, for callers that don't need alternatives
   async geocodeLocation(locationName) {
-    if (!API_CONFIG.opencage.key || API_CONFIG.opencage.key.includes('your_')) {
-      throw new Error('OpenCage API key not configured. Please set VITE_OPENCAGE_API_KEY in your .env file');
-    }
+    const [best] = await this.geocodeCandidates(locationName);
+    return best;
+  },
 
-    // Check cache first
+  // Top matches in OpenCage's relevance order
+  // Each candidate carries its country code and a coarse place type (country, region, city, ...)
+  // `useCache: false` always asks the API (results are still cached)
+  async geocodeCandidates(locationName, { useCache = true } = {}) {
+    // Check cache first; a shared warm cache is usable even without an API key
     const cacheKey = locationName.toLowerCase().trim();
-    if (this.cache.has(cacheKey)) {
+    const cached = useCache ? await this.cache.get(cacheKey) : null;
+    if (cached?.notFound) {
+      throw new Error(cached.notFound);
+    }
+    if (cached) {
       console.log(`Geocoding cache hit for: ${locationName}`);
-      return this.cache.get(cacheKey);
+      return cached.value;
+    }
+
+    if (!isOpenCageConfigured()) {
+      throw new Error('OpenCage API key not configured. Please set VITE_OPENCAGE_API_KEY in your .env file');
     }
 
     try {
       const encodedLocation = encodeURIComponent(locationName);
-      const url = `${API_CONFIG.opencage.url}?q=${encodedLocation}&key=${API_CONFIG.opencage.key}&limit=1&no_annotations=1`;
+      const url = `${API_CONFIG.opencage.url}?q=${encodedLocation}&key=${API_CONFIG.opencage.key}&limit=${API_CONFIG.opencage.candidateLimit}&no_annotations=1`;
       
       const response = await fetch(url);
       if (!response.ok) {
@@ -85,21 +198,30 @@ export const geocodingService = {
       const data = await response.json();
       
       if (data.results && data.results.length > 0) {
-        const result = data.results[0];
-        const coords = {
+        const candidates = data.results.map(result => ({
           latitude: result.geometry.lat,
           longitude: result.geometry.lng,
           formatted: result.formatted,
-          confidence: result.confidence
-        };
+          name: result.formatted.split(',')[0],
+          type: OPENCAGE_PLACE_TYPES[result.components?._type] || result.components?._type || 'place',
+          countryCode: result.components?.country_code?.toUpperCase() || null,
+          countryName: result.components?.country || null,
+          regionName: result.components?.state || null,
+          // OpenCage "confidence" describes bounding-box precision, not match certainty
+          precision: result.confidence,
+          source: 'opencage'
+        }));
         
         // Cache the result
-        this.cache.set(cacheKey, coords);
-        console.log(`Geocoded "${locationName}" -> ${coords.formatted}`);
+        await this.cache.set(cacheKey, candidates);
+        console.log(`Geocoded "${locationName}" -> ${candidates[0].formatted} (${candidates.length} candidates)`);
         
-        return coords;
+        return candidates;
       } else {
-        throw new Error(`Location not found: ${locationName}`);
+        // Remember misses too, so repeated lookups don't spend quota
+        const message = `Location not found: ${locationName}`;
+        await this.cache.setNotFound(cacheKey, message);
+        throw new Error(message);
       }
     } catch (error) {
       console.error('Geocoding error:', error);
@@ -109,15 +231,23 @@ export const geocodingService = {
 
   // Clear cache if needed
   clearCache() {
-    this.cache.clear();
+    return this.cache.clear();
+  },
+
+  // Get cache stats: size, hit/miss/eviction counters and hit rate
+  async getCacheStats() {
+    await this.cache.load();
+    return this.cache.getStats();
+  },
+
+  // Cache contents as JSON, for sharing a warm cache
+  exportCache() {
+    return this.cache.export();
   },
 
-  // Get cache stats
-  getCacheStats() {
-    return {
-      size: this.cache.size,
-      keys: Array.from(this.cache.keys())
-    };
+  // Merge a JSON export into the cache; resolves to the number of entries imported
+  importCache(json) {
+    return this.cache.import(json);
   }
 };
 
@@ -0,0 +1,341 @@
+// Entity tagging for news articles: locations, actors, actions, event types and magnitudes
+// Produces the `tags` NewsFeed and articleTagParser read ({ entity, type, confidence, source }),
+// through the LLM when a provider is configured and otherwise (or when it fails) through
+// keyword rules with place names checked against the offline gazetteer.
+// Tags are in text order, so the first two places of "Iran sends missiles to Iraq" read as
+// origin and destination.
+
+import { openaiService } from './apiService.js';
+import { loadGazetteer } from '../globe/utils/gazetteer.js';
+import { eventTaxonomy } from './eventTaxonomy.js';
+import { AGENT_CONFIG } from '../agentConfig.js';
+
+const env = import.meta.env || {};
+
+export const TAGGER_CONFIG = {
+  // 'auto' uses the LLM when the selected provider is configured, 'llm' always tries it first,
+  // 'rules' never calls it
+  mode: env.VITE_ENTITY_TAGGER || 'auto',
+  // Tags below this confidence are dropped
+  minConfidence: 0.5
+};
+
+export const TAG_TYPES = ['country', 'city', 'location', 'actor', 'action', 'event', 'magnitude'];
+
+// Tag types that name a place
+const PLACE_TAG_TYPES = ['country', 'city', 'location'];
+
+// Articles whose tags are kept, so a remounted or repeated article isn't tagged (and, through the
+// LLM, paid for) again
+const TAG_CACHE_SIZE = 500;
+
+// Gazetteer entry types → tag types
+const PLACE_TYPES = { country: 'country', city: 'city', region: 'location', area: 'location' };
+
+// Capitalized words that start sentences or name dates rather than places or actors
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'in', 'on', 'at', 'of', 'for', 'to', 'from', 'with', 'by',
+  'as', 'after', 'before', 'during', 'over', 'under', 'near', 'off', 'about', 'against', 'between',
+  'into', 'while', 'when', 'where', 'who', 'what', 'which', 'this', 'that', 'these', 'those', 'it',
+  'its', 'their', 'his', 'her', 'they', 'he', 'she', 'we', 'you', 'i', 'there', 'here', 'no', 'not',
+  'new', 'more', 'some', 'several', 'all', 'breaking', 'update', 'live', 'report', 'reports',
+  'officials', 'authorities', 'residents', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday',
+  'saturday', 'sunday', 'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august',
+  'september', 'october', 'november', 'december'
+]);
+
+// Lowercase words allowed inside a multi-word name ("Gulf of Mexico", "Rio de Janeiro")
+const NAME_CONNECTORS = new Set(['of', 'de', 'del', 'la', 'da', 'do', 'al', 'el', 'and']);
+
+// Only part of a place name on their own ("North Korea", but not "North" for Cameroon's region)
+const DIRECTION_WORDS = new Set([
+  'north', 'south', 'east', 'west', 'northern', 'southern', 'eastern', 'western', 'central'
+]);
+
+// Words that mark a multi-word name as an organisation
+const ORGANISATION_WORDS = new Set([
+  'army', 'forces', 'ministry', 'government', 'agency', 'council', 'party', 'police', 'navy',
+  'guard', 'bank', 'union', 'organization', 'organisation', 'authority', 'airlines', 'company',
+  'corporation', 'group', 'committee', 'court', 'parliament', 'military'
+]);
+
+// Action verbs, optionally followed by their object ("sends missiles", "signed a trade agreement")
+const ACTION_VERBS = [
+  'launch', 'launches', 'launched', 'fire', 'fires', 'fired', 'send', 'sends', 'sent', 'strike',
+  'strikes', 'struck', 'attack', 'attacks', 'attacked', 'invade', 'invades', 'invaded', 'ship',
+  'ships', 'shipped', 'export', 'exports', 'exported', 'import', 'imports', 'imported', 'deploy',
+  'deploys', 'deployed', 'sign', 'signs', 'signed', 'sanction', 'sanctions', 'sanctioned',
+  'evacuate', 'evacuates', 'evacuated', 'resume', 'resumes', 'resumed', 'bomb', 'bombs', 'bombed'
+];
+const ACTION_PATTERN = new RegExp(
+  `\\b(${ACTION_VERBS.join('|')})\\b((?:\\s+(?:a|an|the|new|several|daily))*(?:\\s+(?!(?:to|from|in|on|at|with|by|near|off|between|across|over|into|after|for|of|and|as)\\b)[a-z]+){0,2})`,
+  'gi'
+);
+
+const MAGNITUDE_PATTERNS = [
+  /\bmagnitude[-\s]+(\d+(?:\.\d+)?)/i,
+  /\b(\d+(?:\.\d+)?)[-\s]+magnitude\b/i,
+  /\bM\s?(\d\.\d)\b/
+];
+
+// Tokens with their offsets; apostrophes and hyphens stay inside words
+function tokenize(text) {
+  return Array.from(text.matchAll(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu), match => ({
+    word: match[0],
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+}
+
+function isCapitalized(word) {
+  return /^\p{Lu}/u.test(word);
+}
+
+function isAcronym(word) {
+  return /^\p{Lu}{2,6}$/u.test(word);
+}
+
+// Does the token start a sentence (so its capital letter says nothing)?
+function atSentenceStart(text, token) {
+  return /(^|[.!?:]\s+|\n\s*)$/.test(text.slice(Math.max(0, token.start - 3), token.start));
+}
+
+// Runs of capitalized tokens, allowing lowercase connectors between capitalized words
+function nameSpans(text, tokens) {
+  const spans = [];
+  let current = null;
+  tokens.forEach((token, index) => {
+    const next = tokens[index + 1];
+    const connector = current && NAME_CONNECTORS.has(token.word) && next && isCapitalized(next.word) &&
+      text.slice(token.end, next.start).trim() === '';
+    const joined = current && text.slice(current.tokens[current.tokens.length - 1].end, token.start).trim() === '';
+    if (isCapitalized(token.word) || connector) {
+      if (current && joined) {
+        current.tokens.push(token);
+      } else {
+        current = { tokens: [token] };
+        spans.push(current);
+      }
+    } else {
+      current = null;
+    }
+  });
+  return spans.map(span => span.tokens);
+}
+
+function placeConfidence(entry) {
+  if (entry.type === 'country' || entry.type === 'area') return 0.9;
+  if (entry.type === 'region') return 0.75;
+  if (entry.population >= 1e6) return 0.85;
+  if (entry.population >= 1e5) return 0.7;
+  return 0.55;
+}
+
+// Longest gazetteer match starting at tokens[start], as { entry, length }
+function matchPlace(text, tokens, start, gazetteer) {
+  for (let length = Math.min(4, tokens.length - start); length >= 1; length--) {
+    const words = tokens.slice(start, start + length);
+    if (NAME_CONNECTORS.has(words[words.length - 1].word)) continue;
+    if (length === 1 && DIRECTION_WORDS.has(words[0].word.toLowerCase())) continue;
+    const name = text.slice(words[0].start, words[words.length - 1].end);
+    const [entry] = gazetteer.lookup(name);
+    // ISO codes only count when written as codes ("US", not "Us" or "It")
+    if (!entry || (entry.matchedBy === 'code' && !(length === 1 && isAcronym(name)))) continue;
+    return { entry, length, name };
+  }
+  return null;
+}
+
+function tag(entity, type, confidence, start) {
+  return { entity, type, confidence: Math.round(confidence * 100) / 100, source: 'rules', start };
+}
+
+// Places and actors from the capitalized names in the text
+function extractNames(text, gazetteer) {
+  const tags = [];
+  const tokens = tokenize(text);
+  let previousPlace = null;
+
+  nameSpans(text, tokens).forEach(span => {
+    let index = 0;
+    let actorTokens = [];
+
+    const flushActor = () => {
+      const words = actorTokens.filter(token => !STOP_WORDS.has(token.word.toLowerCase()));
+      actorTokens = [];
+      if (!words.length) return;
+      const name = text.slice(words[0].start, words[words.length - 1].end);
+      const isOrganisation = words.some(token => ORGANISATION_WORDS.has(token.word.toLowerCase()));
+      const isGeographic = DIRECTION_WORDS.has(words[0].word.toLowerCase());
+      // Unmatched names led by a direction ("North Atlantic") are geography, not actors
+      const confidence = isOrganisation ? 0.7
+        : isGeographic ? 0.3
+          : words.length === 1 && isAcronym(name) ? 0.6
+            : words.length > 1 ? 0.55
+              : atSentenceStart(text, words[0]) ? 0.3 : 0.45;
+      tags.push(tag(name, 'actor', confidence, words[0].start));
+    };
+
+    while (index < span.length) {
+      const token = span[index];
+      const isStopWord = STOP_WORDS.has(token.word.toLowerCase()) && !isAcronym(token.word);
+      const match = isStopWord ? null : matchPlace(text, span, index, gazetteer);
+      if (!match) {
+        actorTokens.push(token);
+        index++;
+        continue;
+      }
+
+      flushActor();
+      const { entry, length, name } = match;
+      const start = span[index].start;
+      const single = length === 1;
+
+      // "Tokyo, Japan": the country only qualifies the place before it
+      const qualifies = previousPlace && entry.type === 'country' &&
+        previousPlace.entry.countryCode === entry.countryCode &&
+        /^\s*,\s*$/.test(text.slice(previousPlace.end, start));
+      if (!qualifies) {
+        const penalty = single && atSentenceStart(text, token) ? 0.15 : 0;
+        tags.push(tag(entry.name, PLACE_TYPES[entry.type] || 'location', placeConfidence(entry) - penalty, start));
+      }
+      previousPlace = { entry, end: start + name.length };
+      index += length;
+    }
+    flushActor();
+  });
+
+  return tags;
+}
+
+// Mentions of event types from the event taxonomy (names and aliases)
+function extractEvents(text) {
+  return eventTaxonomy.findMentions(text)
+    .map(mention => tag(mention.text.toLowerCase(), 'event', 0.8, mention.start));
+}
+
+function extractActions(text) {
+  return Array.from(text.matchAll(ACTION_PATTERN), match => {
+    const phrase = `${match[1]}${match[2]}`.toLowerCase().replace(/\s+/g, ' ').trim();
+    return tag(phrase, 'action', match[2].trim() ? 0.75 : 0.6, match.index);
+  });
+}
+
+function extractMagnitude(text) {
+  for (const pattern of MAGNITUDE_PATTERNS) {
+    const match = pattern.exec(text);
+    if (match) return [tag(`magnitude ${match[1]}`, 'magnitude', 0.9, match.index)];
+  }
+  return [];
+}
+
+// Same entity and type once (magnitude once per article), keeping the first and most confident
+export function mergeTags(...tagLists) {
+  const merged = [];
+  tagLists.flat().filter(Boolean).forEach(item => {
+    const key = item.type === 'magnitude' ? 'magnitude' : `${item.type}:${String(item.entity).toLowerCase()}`;
+    const existing = merged.find(other =>
+      (other.type === 'magnitude' ? 'magnitude' : `${other.type}:${String(other.entity).toLowerCase()}`) === key
+    );
+    if (!existing) {
+      merged.push({ ...item });
+    } else if ((item.confidence ?? 1) > (existing.confidence ?? 1)) {
+      existing.confidence = item.confidence;
+    }
+  });
+  return merged;
+}
+
+// Rule-based tags for a text, with place names resolved through `gazetteer`
+export function extractTags(text, gazetteer, { minConfidence = TAGGER_CONFIG.minConfidence } = {}) {
+  const tags = [
+    ...extractNames(text, gazetteer),
+    ...extractEvents(text),
+    ...extractActions(text),
+    ...extractMagnitude(text)
+  ]
+    .filter(item => item.confidence >= minConfidence)
+    .sort((a, b) => a.start - b.start);
+
+  return mergeTags(tags).map(item => {
+    const result = { ...item };
+    delete result.start;
+    return result;
+  });
+}
+
+function articleText(article) {
+  return [article.title, article.summary || article.content].filter(Boolean).join('.\n');
+}
+
+// Tags from the LLM; throws when the response has none that are usable
+async function requestLlmTags(article) {
+  const response = await openaiService.chatCompletion([
+    { role: 'system', content: AGENT_CONFIG.taggingPrompt },
+    { role: 'user', content: `${article.title || ''}\n\n${article.summary || article.content || ''}` }
+  ], {
+    temperature: AGENT_CONFIG.temperature,
+    response_format: AGENT_CONFIG.responseFormat
+  });
+
+  const content = response.choices?.[0]?.message?.content ?? '';
+  const parsed = JSON.parse(content);
+  const tags = (Array.isArray(parsed?.tags) ? parsed.tags : [])
+    .filter(item => typeof item?.entity === 'string' && item.entity.trim() && TAG_TYPES.includes(item.type))
+    .map(item => ({
+      entity: item.entity.trim(),
+      type: item.type,
+      confidence: Number.isFinite(item.confidence) ? Math.min(1, Math.max(0, item.confidence)) : 0.7,
+      source: 'llm'
+    }))
+    .filter(item => item.confidence >= TAGGER_CONFIG.minConfidence);
+
+  if (!tags.length) {
+    throw new Error('The LLM returned no tags');
+  }
+  return mergeTags(tags);
+}
+
+function shouldUseLlm(mode) {
+  if (mode === 'rules') return false;
+  if (mode === 'llm') return true;
+  return openaiService.getProvider().isConfigured() && openaiService.getProvider().id !== 'mock';
+}
+
+// Does the article still need tagging before it can be plotted? Not when it names a place, or
+// when it was already tagged (`tagged`, set by feed ingestion) and no place was found
+export function needsTags(article) {
+  return !article.tagged && !(article.tags || []).some(item => PLACE_TAG_TYPES.includes(item.type));
+}
+
+async function runTagging(article, useLlm) {
+  if (useLlm) {
+    try {
+      return await requestLlmTags(article);
+    } catch (error) {
+      console.warn('LLM tagging failed, using rules:', error.message);
+    }
+  }
+  return extractTags(articleText(article), await loadGazetteer());
+}
+
+// Tagging in progress or done, by article content and whether the LLM was used
+const tagCache = new Map();
+
+// Tags for an article's title and summary: LLM first (see TAGGER_CONFIG.mode), rules otherwise
+// Results are kept per article (contentHash, else articleId, else its text); concurrent calls for
+// the same article share one request.
+export function tagArticle(article, { mode = TAGGER_CONFIG.mode } = {}) {
+  const useLlm = shouldUseLlm(mode);
+  const key = `${useLlm ? 'llm' : 'rules'}:${article.contentHash || article.articleId || articleText(article)}`;
+
+  if (!tagCache.has(key)) {
+    const tagging = runTagging(article, useLlm);
+    tagCache.set(key, tagging);
+    tagging.catch(() => tagCache.delete(key));
+    if (tagCache.size > TAG_CACHE_SIZE) {
+      tagCache.delete(tagCache.keys().next().value);
+    }
+  }
+  return tagCache.get(key);
+}
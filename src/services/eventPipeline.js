@@ -0,0 +1,402 @@
+// Headless event-ingestion pipeline: parse → geocode → date → style → normalized events and arcs
+// Shared by every UI so chat input and news articles produce identical globe objects.
+// Each stage is pluggable, and nothing here depends on React.
+
+import { agentService } from './agentService.js';
+import { geocodeCandidates } from '../globe/utils/geocoding.js';
+import { resolveCountry } from '../globe/utils/countries.js';
+import { parseEventTime, getDefaultTimeZone } from './eventTime.js';
+import { tagArticle, mergeTags, needsTags } from './entityTagger.js';
+import { eventTaxonomy, VISUAL_EFFECTS } from './eventTaxonomy.js';
+import { AGENT_CONFIG } from '../agentConfig.js';
+
+// Arcs of types the taxonomy doesn't know
+const DEFAULT_ARC_STYLE = {
+  color: '#4488ff',
+  animation: 'draw',
+  loop: false
+};
+
+// Default highlight for whole-country events
+const AREA_STYLE = {
+  color: '#ffaa00',
+  mode: 'fill',
+  opacity: 0.35
+};
+
+const LOCATION_TAG_TYPES = ['location', 'country'];
+const EVENT_LOCATION_TAG_TYPES = ['location', 'country', 'city'];
+
+// Taxonomy type id mentioned in free text, or null
+export function inferEventType(text) {
+  return eventTaxonomy.infer(text)?.id ?? null;
+}
+
+let idCounter = 0;
+
+// Ids must stay unique when several items are built in the same millisecond
+export function createId(prefix) {
+  idCounter += 1;
+  return `${prefix}-${Date.now()}-${idCounter}`;
+}
+
+// Parser stage: free text goes through the LLM agent
+export async function agentParser(text) {
+  const { actions, invalid, diagnostics } = await agentService.interpret(text);
+  return {
+    actions,
+    invalid,
+    diagnostics,
+    context: { source: 'chat', description: text }
+  };
+}
+
+// Parser stage: news articles are turned into agent-style actions from their tags
+export async function articleTagParser(article) {
+  const tags = article.tags || [];
+  const content = `${article.title || ''} ${article.summary || ''}`;
+  const locationTags = tags.filter(tag => LOCATION_TAG_TYPES.includes(tag.type));
+  const magnitudeTag = tags.find(tag => tag.type === 'magnitude');
+  const magnitude = magnitudeTag ? parseFloat(String(magnitudeTag.entity).replace(/[^\d.-]/g, '')) : null;
+
+  const context = {
+    source: 'news',
+    title: article.title,
+    description: article.summary,
+    timestamp: article.publishedAt || article.timestamp,
+    article
+  };
+
+  if (locationTags.length >= 2) {
+    return {
+      actions: [{
+        action: 'plot_arc',
+        eventType: inferEventType(content),
+        from: locationTags[0].entity,
+        to: locationTags[1].entity,
+        magnitude: Number.isFinite(magnitude) ? magnitude : null
+      }],
+      invalid: [],
+      context
+    };
+  }
+
+  const eventTag = tags.find(tag => EVENT_LOCATION_TAG_TYPES.includes(tag.type));
+  if (!eventTag) {
+    return {
+      actions: [],
+      invalid: [{ index: 0, item: article, errors: ['No location found in article'] }],
+      context
+    };
+  }
+
+  return {
+    actions: [{
+      action: 'plot_event',
+      eventType: inferEventType(content),
+      location: eventTag.entity,
+      magnitude: Number.isFinite(magnitude) ? magnitude : null
+    }],
+    invalid: [],
+    context
+  };
+}
+
+// Default parser: strings go to the agent, objects are treated as news articles
+export function defaultParser(input) {
+  return typeof input === 'string' ? agentParser(input) : articleTagParser(input);
+}
+
+// Geocoder stage: offline gazetteer first, then the geocoding API
+// Resolves to the best candidate plus the ranked `candidates` and an `ambiguous` flag;
+// ambiguous names (including spelling suggestions) are held back for the user to confirm.
+export async function defaultGeocoder(locationName, context = {}) {
+  const { candidates, ambiguous } = await geocodeCandidates(locationName, context);
+  return { ...candidates[0], candidates, ambiguous };
+}
+
+// Affected radius in km reported in an action's metadata ("radiusKm" or "radius_km"), else null
+function readRadiusKm(metadata) {
+  const radius = Number(metadata?.radiusKm ?? metadata?.radius_km);
+  return Number.isFinite(radius) && radius > 0 ? radius : null;
+}
+
+// Styler stage: visual properties for events, arcs and highlighted areas
+// Types are resolved through the event taxonomy ("missile launch" → missile); names it doesn't
+// know are kept as given and drawn in neutral styles.
+export const defaultStyler = {
+  event(action) {
+    const type = eventTaxonomy.resolve(action.eventType);
+    return {
+      type: type?.id || action.eventType || AGENT_CONFIG.defaults.eventType,
+      magnitude: action.magnitude ?? type?.defaultMagnitude ?? AGENT_CONFIG.defaults.magnitude,
+      radiusKm: readRadiusKm(action.metadata)
+    };
+  },
+
+  arc(action) {
+    const type = eventTaxonomy.resolve(action.eventType);
+    const effect = type ? VISUAL_EFFECTS[type.effect] : DEFAULT_ARC_STYLE;
+    return {
+      type: type?.id || action.eventType || AGENT_CONFIG.defaults.arcType,
+      color: type?.color || DEFAULT_ARC_STYLE.color,
+      animated: true,
+      animation: effect.animation,
+      loop: effect.loop,
+      magnitude: action.magnitude ?? type?.defaultMagnitude ?? AGENT_CONFIG.defaults.magnitude
+    };
+  },
+
+  area(action) {
+    const type = eventTaxonomy.resolve(action.eventType);
+    return {
+      type: type?.id || action.eventType || AGENT_CONFIG.defaults.eventType,
+      ...AREA_STYLE,
+      color: type?.color || AREA_STYLE.color
+    };
+  }
+};
+
+// Create a pipeline with optional custom stages
+// `timeParser(text, { referenceDate, timeZone })` resolves `metadata.time` expressions; relative
+// times are read in `timeZone` against the article's publication time, or now for chat input.
+// `tagger(article)` tags articles that arrive without any place tags, before parsing.
+export function createEventPipeline({
+  tagger = tagArticle,
+  parser = defaultParser,
+  geocoder = defaultGeocoder,
+  countryResolver = resolveCountry,
+  timeParser = parseEventTime,
+  styler = defaultStyler,
+  timeZone = getDefaultTimeZone()
+} = {}) {
+  // When the event happened (occurredAt, null if unknown) and when it was plotted
+  // `timestamp` stays the time to sort and filter by: the event time when known
+  function resolveTimes(action, context) {
+    const plottedAt = new Date().toISOString();
+    const published = Date.parse(context.timestamp);
+    const publishedAt = Number.isFinite(published) ? new Date(published).toISOString() : null;
+    const parsed = timeParser(action.metadata?.time, {
+      referenceDate: publishedAt || plottedAt,
+      timeZone
+    });
+    const occurredAt = parsed?.occurredAt || publishedAt;
+    return {
+      occurredAt,
+      occurredAtPrecision: parsed?.precision || (occurredAt ? 'exact' : null),
+      plottedAt,
+      timestamp: occurredAt || plottedAt
+    };
+  }
+
+  // Geocode each [field, name] pair, using the sentence and the other names as context
+  // Fields already confirmed by the user are taken from `resolved`.
+  // Stops at the first ambiguous name and returns it as `unresolved`.
+  async function resolveLocations(fields, context, resolved) {
+    const coords = {};
+    for (const [field, name] of fields) {
+      if (resolved[field]) {
+        coords[field] = resolved[field];
+        continue;
+      }
+
+      const result = await geocoder(name, {
+        text: [context.title, context.description].filter(Boolean).join('. '),
+        relatedLocations: fields.filter(([other]) => other !== field).map(([, other]) => other)
+      });
+      if (result.ambiguous) {
+        return { unresolved: { field, query: name, candidates: result.candidates } };
+      }
+      coords[field] = result;
+    }
+    return { coords };
+  }
+
+  async function buildEvent(action, context, resolved) {
+    const { coords: resolvedCoords, unresolved } =
+      await resolveLocations([['location', action.location]], context, resolved);
+    if (unresolved) return { unresolved };
+
+    const coords = resolvedCoords.location;
+    const event = {
+      id: createId('event'),
+      latitude: coords.latitude,
+      longitude: coords.longitude,
+      ...styler.event(action, context),
+      ...resolveTimes(action, context),
+      title: context.title || coords.formatted || action.location,
+      location: action.location,
+      countryCode: coords.countryCode || null,
+      description: context.description,
+      source: context.source
+    };
+    if (context.article) {
+      event.originalArticle = context.article;
+    }
+    return { event, coords };
+  }
+
+  async function buildArc(action, context, resolved) {
+    const { coords, unresolved } =
+      await resolveLocations([['from', action.from], ['to', action.to]], context, resolved);
+    if (unresolved) return { unresolved };
+
+    const { from: fromCoords, to: toCoords } = coords;
+    const arc = {
+      id: createId('arc'),
+      startLatLng: { lat: fromCoords.latitude, lng: fromCoords.longitude },
+      endLatLng: { lat: toCoords.latitude, lng: toCoords.longitude },
+      ...styler.arc(action, context),
+      ...resolveTimes(action, context),
+      title: context.title || `${action.from} → ${action.to}`,
+      from: action.from,
+      to: action.to,
+      fromCountryCode: fromCoords.countryCode || null,
+      toCountryCode: toCoords.countryCode || null,
+      description: context.description,
+      source: context.source
+    };
+    if (context.article) {
+      arc.originalArticle = context.article;
+    }
+    return { arc };
+  }
+
+  // Whole-country highlight; the name must resolve to a country polygon
+  async function buildArea(action, context) {
+    const country = await countryResolver(action.location);
+    if (!country) {
+      throw new Error(`${action.location} is not a country that can be highlighted`);
+    }
+
+    const { name, iso2, iso3 } = country.properties;
+    return {
+      id: createId('area'),
+      countryCode: iso2 || iso3 || name,
+      name,
+      ...styler.area(action, context),
+      ...resolveTimes(action, context),
+      title: context.title || name,
+      location: action.location,
+      description: context.description,
+      source: context.source
+    };
+  }
+
+  // Hold an action back until the user picks one of the candidates
+  function deferAction(result, { action, index, context, resolved, unresolved }) {
+    const confidence = Math.round((unresolved.candidates[0]?.confidence || 0) * 100);
+    result.pending.push({
+      id: createId('pending'),
+      action,
+      index,
+      context,
+      resolved,
+      ...unresolved
+    });
+    result.diagnostics.push({
+      type: 'system',
+      index,
+      text: `❓ "${unresolved.query}" is ambiguous (best match ${confidence}% confident) - did you mean:`
+    });
+  }
+
+  // Build one action into `result`, given any locations the user already confirmed
+  async function applyAction(result, action, index, context, resolved = {}) {
+    try {
+      switch (action.action) {
+        case 'plot_event': {
+          const { event, coords, unresolved } = await buildEvent(action, context, resolved);
+          if (unresolved) {
+            deferAction(result, { action, index, context, resolved, unresolved });
+            break;
+          }
+          result.events.push(event);
+          result.diagnostics.push({ type: 'success', index, text: `✅ Event plotted at ${coords.formatted}` });
+          break;
+        }
+
+        case 'plot_arc': {
+          const { arc, unresolved } = await buildArc(action, context, resolved);
+          if (unresolved) {
+            deferAction(result, { action, index, context, resolved, unresolved });
+            break;
+          }
+          result.arcs.push(arc);
+          result.diagnostics.push({ type: 'success', index, text: `🟠 Arc plotted: ${action.from} → ${action.to}` });
+          break;
+        }
+
+        case 'highlight_area': {
+          const area = await buildArea(action, context);
+          result.areas.push(area);
+          result.diagnostics.push({ type: 'success', index, text: `🗺️ Highlighted ${area.name}` });
+          break;
+        }
+
+        case 'get_info':
+          // Information request - the agent message is already reported
+          break;
+
+        case 'error':
+          result.diagnostics.push({ type: 'error', index, text: `❌ Error: ${action.message || 'Unknown error occurred'}` });
+          break;
+
+        default:
+          result.diagnostics.push({ type: 'error', index, text: `❌ Error: Unknown action type: ${action.action}` });
+      }
+    } catch (error) {
+      result.diagnostics.push({ type: 'error', index, text: `❌ Error: ${error.message}` });
+    }
+  }
+
+  return {
+    // Process free text or a news article
+    // Returns { events, arcs, areas, diagnostics, pending }; diagnostics use the chat message types,
+    // and `pending` lists actions waiting on a location choice (see `confirm`)
+    async process(input) {
+      const result = { events: [], arcs: [], areas: [], diagnostics: [], pending: [] };
+
+      const article = typeof input === 'object' && needsTags(input)
+        ? { ...input, tags: mergeTags(input.tags || [], await tagger(input)) }
+        : input;
+      const { actions, invalid = [], diagnostics = [], context = {} } = await parser(article);
+
+      result.diagnostics.push(...diagnostics);
+      invalid.forEach(({ index, errors }) => {
+        result.diagnostics.push({ type: 'error', index, text: `⚠️ Skipped item ${index + 1}: ${errors.join('; ')}` });
+      });
+
+      for (const [index, action] of actions.entries()) {
+        if (action.message) {
+          result.diagnostics.push({ type: 'agent', index, text: action.message });
+        }
+        await applyAction(result, action, index, context);
+      }
+
+      return result;
+    },
+
+    // Resume a pending action with the candidate the user picked
+    // Returns the same shape as `process`; an arc can come back pending again for its other end
+    async confirm(pending, candidate) {
+      const result = { events: [], arcs: [], areas: [], diagnostics: [], pending: [] };
+      const resolved = { ...pending.resolved, [pending.field]: candidate };
+      await applyAction(result, pending.action, pending.index, pending.context, resolved);
+      return result;
+    }
+  };
+}
+
+// Shared pipeline instance with the default stages
+export const eventPipeline = createEventPipeline();
+
+// Chat messages for a `process` or `confirm` result:
+// diagnostics first, then a location picker message per pending action
+export function toChatMessages({ diagnostics, pending = [] }) {
+  const timestamp = new Date();
+  return [
+    ...diagnostics.map(({ type, text }) => ({ type, text, timestamp })),
+    ...pending.map(item => ({ type: 'choice', pending: item, timestamp }))
+  ];
+}
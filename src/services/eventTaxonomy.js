@@ -0,0 +1,331 @@
+// Event taxonomy: the one list of event types every part of the app uses
+// It decides which type free text, agent output and imported files map to (by id, label or
+// alias), how each type is drawn (icon, color, visual effect), its default magnitude, and which
+// types the agent is told about. Defaults come from EVENT_TAXONOMY in agentConfig.js; edits from
+// the settings screen are validated here and kept in localStorage.
+
+import { EVENT_TAXONOMY, AGENT_CONFIG } from '../agentConfig.js';
+import {
+  MAGNITUDE_SCALES,
+  DEFAULT_MAGNITUDE_RANGE,
+  parseBreakpoints,
+  formatBreakpoints
+} from '../globe/utils/magnitudeScale.js';
+
+const TAXONOMY_STORAGE_KEY = 'asterisk-globe.event-taxonomy';
+
+// How a type is drawn: marker size and pulse, and the animation of arcs of that type
+export const VISUAL_EFFECTS = {
+  pulse: { label: 'Pulse', size: 0.08, pulseSpeed: 3, animation: 'draw', loop: false },
+  flash: { label: 'Fast flash', size: 0.07, pulseSpeed: 5, animation: 'comet', loop: false },
+  glow: { label: 'Slow glow', size: 0.09, pulseSpeed: 1.5, animation: 'draw', loop: false },
+  comet: { label: 'Comet strike', size: 0.06, pulseSpeed: 4, animation: 'comet', loop: false },
+  flow: { label: 'Flowing route', size: 0.05, pulseSpeed: 1, animation: 'dash', loop: true },
+  steady: { label: 'Steady', size: 0.06, pulseSpeed: 0, animation: 'draw', loop: false }
+};
+
+// Style for types the taxonomy doesn't know; they keep their own name
+const FALLBACK_TYPE = {
+  id: AGENT_CONFIG.defaults.eventType,
+  label: 'Other event',
+  aliases: [],
+  icon: '📍',
+  color: '#cccccc',
+  defaultMagnitude: AGENT_CONFIG.defaults.magnitude,
+  severity: 0,
+  effect: 'pulse',
+  scale: 'linear',
+  magnitudeRange: DEFAULT_MAGNITUDE_RANGE,
+  breakpoints: [],
+  impactArea: false,
+  category: null,
+  categoryLabel: 'Other'
+};
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Lowercase with spaces for hyphens, underscores and runs of whitespace ("Missile-Launch" → "missile launch")
+export function normalizeTypeName(name) {
+  return String(name ?? '').toLowerCase().replace(/[\s_-]+/g, ' ').trim();
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// [min, max] from numbers or numeric strings; the default range when unset
+function readMagnitudeRange(range, id) {
+  if (!range) return DEFAULT_MAGNITUDE_RANGE;
+  const [min, max] = range.map(value => (value === '' ? NaN : Number(value)));
+  if (!Number.isFinite(min) || !Number.isFinite(max) || min >= max) {
+    throw new Error(`Type "${id}": magnitude range must be two numbers, lowest first`);
+  }
+  return [min, max];
+}
+
+function readAliases(aliases) {
+  const list = typeof aliases === 'string' ? aliases.split(',') : aliases || [];
+  return [...new Set(list.map(alias => String(alias).trim()).filter(Boolean))];
+}
+
+// Validated copy of a taxonomy with defaults filled in; throws on the first problem found
+export function normalizeTaxonomy(categories) {
+  if (!Array.isArray(categories)) {
+    throw new Error('The event taxonomy must be a list of categories');
+  }
+
+  const categoryIds = new Set();
+  const typeIds = new Set();
+
+  return categories.map((category, categoryIndex) => {
+    const categoryId = String(category?.id ?? '').trim();
+    if (!categoryId) {
+      throw new Error(`Category ${categoryIndex + 1} needs an id`);
+    }
+    if (categoryIds.has(normalizeTypeName(categoryId))) {
+      throw new Error(`There are two categories with the id "${categoryId}"`);
+    }
+    categoryIds.add(normalizeTypeName(categoryId));
+    const categoryColor = category.color || FALLBACK_TYPE.color;
+    if (!COLOR_PATTERN.test(categoryColor)) {
+      throw new Error(`Category "${categoryId}": color must look like #rrggbb`);
+    }
+
+    const subtypes = (category.subtypes || []).map((subtype, subtypeIndex) => {
+      const id = String(subtype?.id ?? '').trim();
+      if (!id) {
+        throw new Error(`Category "${categoryId}": type ${subtypeIndex + 1} needs an id`);
+      }
+      if (typeIds.has(normalizeTypeName(id))) {
+        throw new Error(`There are two event types with the id "${id}"`);
+      }
+      typeIds.add(normalizeTypeName(id));
+
+      const color = subtype.color || '';
+      if (color && !COLOR_PATTERN.test(color)) {
+        throw new Error(`Type "${id}": color must look like #rrggbb`);
+      }
+      const effect = subtype.effect || 'pulse';
+      if (!VISUAL_EFFECTS[effect]) {
+        throw new Error(`Type "${id}": unknown effect "${effect}"`);
+      }
+      const defaultMagnitude = subtype.defaultMagnitude === '' || subtype.defaultMagnitude == null
+        ? AGENT_CONFIG.defaults.magnitude
+        : Number(subtype.defaultMagnitude);
+      if (!Number.isFinite(defaultMagnitude)) {
+        throw new Error(`Type "${id}": default magnitude must be a number`);
+      }
+      const severity = subtype.severity === '' || subtype.severity == null ? 0 : Number(subtype.severity);
+      if (!Number.isFinite(severity)) {
+        throw new Error(`Type "${id}": severity must be a number`);
+      }
+      const scale = subtype.scale || 'linear';
+      if (!MAGNITUDE_SCALES[scale]) {
+        throw new Error(`Type "${id}": unknown magnitude scale "${scale}"`);
+      }
+      let breakpoints = [];
+      if (scale === 'breakpoints') {
+        try {
+          breakpoints = parseBreakpoints(Array.isArray(subtype.breakpoints) ? formatBreakpoints(subtype.breakpoints) : subtype.breakpoints);
+        } catch (error) {
+          throw new Error(`Type "${id}": ${error.message}`);
+        }
+      }
+
+      return {
+        id,
+        label: String(subtype.label || '').trim() || id,
+        aliases: readAliases(subtype.aliases),
+        icon: subtype.icon || '',
+        color,
+        defaultMagnitude,
+        severity,
+        effect,
+        scale,
+        // Breakpoints set their own range
+        magnitudeRange: scale === 'breakpoints'
+          ? [breakpoints[0][0], breakpoints[breakpoints.length - 1][0]]
+          : readMagnitudeRange(subtype.magnitudeRange, id),
+        breakpoints,
+        impactArea: Boolean(subtype.impactArea)
+      };
+    });
+
+    return {
+      id: categoryId,
+      label: String(category.label || '').trim() || categoryId,
+      icon: category.icon || '',
+      color: categoryColor,
+      subtypes
+    };
+  });
+}
+
+// Subtypes as flat entries, with icon and color inherited from the category when unset
+export function flattenTaxonomy(categories) {
+  return categories.flatMap(category => category.subtypes.map(subtype => ({
+    ...subtype,
+    icon: subtype.icon || category.icon || FALLBACK_TYPE.icon,
+    color: subtype.color || category.color,
+    category: category.id,
+    categoryLabel: category.label
+  })));
+}
+
+// Lookup tables for a taxonomy: exact names (ids before labels before aliases) and, for
+// finding types in free text, every name as a whole-word pattern, longest first
+function buildIndex(categories) {
+  const types = flattenTaxonomy(categories);
+  const byName = new Map();
+  [
+    type => [type.id],
+    type => [type.label],
+    type => type.aliases
+  ].forEach(namesOf => types.forEach(type => {
+    namesOf(type).forEach(name => {
+      const key = normalizeTypeName(name);
+      if (key && !byName.has(key)) byName.set(key, type);
+    });
+  }));
+
+  const matchers = Array.from(byName, ([name, type]) => ({
+    name,
+    type,
+    pattern: new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(name).replace(/ /g, '[\\s_-]+')}(?:s|es)?(?![\\p{L}\\p{N}])`, 'iu')
+  })).sort((a, b) => b.name.length - a.name.length);
+
+  return { types, byName, matchers };
+}
+
+// Saved taxonomy as { categories, customized }, or the defaults when none is saved or it is invalid
+function loadTaxonomy() {
+  try {
+    const stored = JSON.parse(globalThis.localStorage?.getItem(TAXONOMY_STORAGE_KEY) || 'null');
+    if (stored) {
+      return { categories: normalizeTaxonomy(stored), customized: true };
+    }
+  } catch (error) {
+    console.warn('Ignoring the saved event taxonomy:', error.message);
+  }
+  return { categories: normalizeTaxonomy(EVENT_TAXONOMY), customized: false };
+}
+
+function saveTaxonomy(categories) {
+  try {
+    if (categories) {
+      globalThis.localStorage?.setItem(TAXONOMY_STORAGE_KEY, JSON.stringify(categories));
+    } else {
+      globalThis.localStorage?.removeItem(TAXONOMY_STORAGE_KEY);
+    }
+  } catch {
+    // Persistence is best-effort
+  }
+}
+
+export const eventTaxonomy = {
+  categories: [],
+  index: null,
+  isCustomized: false,
+  listeners: new Set(),
+
+  init() {
+    const { categories, customized } = loadTaxonomy();
+    this.apply(categories, customized);
+  },
+
+  apply(categories, customized) {
+    this.categories = categories;
+    this.index = buildIndex(categories);
+    this.isCustomized = customized;
+    this.listeners.forEach(listener => listener(categories));
+  },
+
+  getCategories() {
+    return this.categories;
+  },
+
+  // Every subtype, flattened (see flattenTaxonomy)
+  getTypes() {
+    return this.index.types;
+  },
+
+  // Type named exactly by `name`, or else the most specific type mentioned in it
+  // ("missile launch from Iran" → missile); null when nothing matches
+  resolve(name) {
+    const key = normalizeTypeName(name);
+    if (!key) return null;
+    return this.index.byName.get(key) || this.infer(key);
+  },
+
+  // Drawing style for a type name; unknown names get the neutral fallback, not another type's look
+  getStyle(name) {
+    const type = this.resolve(name) || { ...FALLBACK_TYPE, id: name || FALLBACK_TYPE.id };
+    return { ...VISUAL_EFFECTS[type.effect], ...type };
+  },
+
+  // Type whose longest name appears in free text; on equal length the earliest mention wins
+  infer(text) {
+    if (!text) return null;
+    let best = null;
+    for (const matcher of this.index.matchers) {
+      if (best && matcher.name.length < best.name.length) break;
+      const match = matcher.pattern.exec(text);
+      if (match && (!best || match.index < best.index)) {
+        best = { name: matcher.name, type: matcher.type, index: match.index };
+      }
+    }
+    return best ? best.type : null;
+  },
+
+  // Every type mention in the text as { type, text, start }, without overlaps, in text order
+  findMentions(text) {
+    const mentions = [];
+    const taken = [];
+    this.index.matchers.forEach(matcher => {
+      const pattern = new RegExp(matcher.pattern.source, 'giu');
+      for (const match of text.matchAll(pattern)) {
+        const start = match.index;
+        const end = start + match[0].length;
+        if (taken.some(([from, to]) => start < to && end > from)) continue;
+        taken.push([start, end]);
+        mentions.push({ type: matcher.type, text: match[0], start });
+      }
+    });
+    return mentions.sort((a, b) => a.start - b.start);
+  },
+
+  // Event type section of the agent's system prompt
+  describeForPrompt() {
+    const lines = this.categories.map(category => {
+      const names = category.subtypes.map(subtype =>
+        normalizeTypeName(subtype.label) === normalizeTypeName(subtype.id)
+          ? subtype.id
+          : `${subtype.id} (${subtype.label})`
+      );
+      return `- ${category.label}: ${names.join(', ')}`;
+    });
+    return `Event types: set "eventType" to one of these ids. For an event that fits none of them, use a short lowercase name for it.
+${lines.join('\n')}`;
+  },
+
+  // Replace the taxonomy (validated; throws on invalid input) and save it
+  update(categories) {
+    const normalized = normalizeTaxonomy(categories);
+    saveTaxonomy(normalized);
+    this.apply(normalized, true);
+  },
+
+  // Back to the defaults in agentConfig.js
+  reset() {
+    saveTaxonomy(null);
+    this.apply(normalizeTaxonomy(EVENT_TAXONOMY), false);
+  },
+
+  // Subscribe to taxonomy changes; returns an unsubscribe function
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+};
+
+eventTaxonomy.init();
@@ -0,0 +1,312 @@
+// Natural-language event times: "yesterday 3pm UTC", "last Tuesday", "2023-02-06 04:17"
+// Expressions are resolved against a reference date in a time zone (IANA name, or the browser's
+// zone by default). No date library; time-zone offsets come from Intl.
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Fixed offsets (minutes east of UTC) for zone abbreviations seen in news text
+const ZONE_ABBREVIATIONS = {
+  utc: 0, gmt: 0, z: 0,
+  est: -300, edt: -240, cst: -360, cdt: -300, mst: -420, mdt: -360, pst: -480, pdt: -420,
+  bst: 60, cet: 60, cest: 120, eet: 120, eest: 180, msk: 180, ist: 330, jst: 540, aest: 600
+};
+
+// Representative hours for vague parts of the day
+const DAY_PARTS = {
+  morning: 9,
+  afternoon: 15,
+  evening: 19,
+  night: 22,
+  tonight: 22
+};
+
+const UNIT_MS = {
+  minute: MINUTE,
+  hour: HOUR,
+  day: DAY,
+  week: 7 * DAY
+};
+
+const MONTH_PATTERN = '(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+
+export function getDefaultTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+// Offset of `zone` from UTC in minutes at the given instant
+// `zone` is a fixed offset in minutes or an IANA time-zone name
+function getZoneOffset(zone, time) {
+  if (typeof zone === 'number') return zone;
+
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: zone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(new Date(time)).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+  const wallTime = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((wallTime - Math.floor(time / 1000) * 1000) / MINUTE);
+}
+
+// Calendar date ({ year, month, day }, month 0-based) of an instant in the zone
+function getZonedDate(time, zone) {
+  const wall = new Date(time + getZoneOffset(zone, time) * MINUTE);
+  return { year: wall.getUTCFullYear(), month: wall.getUTCMonth(), day: wall.getUTCDate() };
+}
+
+// Instant for a wall-clock time in the zone (Date.UTC normalizes overflowing days and months)
+function toInstant({ year, month, day }, { hour = 0, minute = 0, second = 0 }, zone) {
+  const wallTime = Date.UTC(year, month, day, hour, minute, second);
+  const guess = wallTime - getZoneOffset(zone, wallTime) * MINUTE;
+  // Re-check once so times next to a daylight-saving change use the offset in force then
+  return wallTime - getZoneOffset(zone, guess) * MINUTE;
+}
+
+function shiftDays(date, days) {
+  const shifted = new Date(Date.UTC(date.year, date.month, date.day + days));
+  return { year: shifted.getUTCFullYear(), month: shifted.getUTCMonth(), day: shifted.getUTCDate() };
+}
+
+// Same day `months` earlier, or the month's last day when it is shorter (31 March → 28/29 February)
+function shiftMonthsBack(date, months) {
+  const first = new Date(Date.UTC(date.year, date.month - months, 1));
+  const year = first.getUTCFullYear();
+  const month = first.getUTCMonth();
+  const monthLength = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return { year, month, day: Math.min(date.day, monthLength) };
+}
+
+function parseMonth(name) {
+  return MONTHS.indexOf(name.slice(0, 3));
+}
+
+// Pull an explicit zone off the text: "UTC", "GMT+3", "04:17 +05:30", "EST"
+// Returns { zone, rest } where zone is an offset in minutes, or null if none was given
+function extractZone(text) {
+  const named = text.match(/\b(utc|gmt)\s*(?:([+-])(\d{1,2})(?::?(\d{2}))?)?\b/);
+  // Bare numeric offsets only count straight after a time ("04:17+0530")
+  const numeric = named ? null : text.match(/(?<=\d)\s*([+-])(\d{2}):?(\d{2})\b/);
+  if (named || numeric) {
+    const [sign, hours, minutes] = named ? named.slice(2) : numeric.slice(1);
+    const offset = Number(hours || 0) * 60 + Number(minutes || 0);
+    return {
+      zone: sign === '-' ? -offset : offset,
+      rest: text.replace((named || numeric)[0], ' ')
+    };
+  }
+
+  const abbreviation = Object.keys(ZONE_ABBREVIATIONS).find(name =>
+    new RegExp(`(^|[\\s\\d])${name}\\b`).test(text)
+  );
+  if (abbreviation) {
+    return {
+      zone: ZONE_ABBREVIATIONS[abbreviation],
+      rest: text.replace(new RegExp(`(^|[\\s\\d])${abbreviation}\\b`), '$1 ')
+    };
+  }
+
+  return { zone: null, rest: text };
+}
+
+// Clock time in the text: "3pm", "3:30 p.m.", "15:00", "04:17:30", "noon", "midnight"
+function extractClockTime(text) {
+  if (/\bnoon\b|\bmidday\b/.test(text)) return { hour: 12, minute: 0 };
+  if (/\bmidnight\b/.test(text)) return { hour: 0, minute: 0 };
+
+  const twelveHour = text.match(/\b(\d{1,2})(?::(\d{2}))?\s*([ap])\.?m\b\.?/);
+  if (twelveHour) {
+    const hour = Number(twelveHour[1]);
+    if (hour >= 1 && hour <= 12) {
+      return {
+        hour: (hour % 12) + (twelveHour[3] === 'p' ? 12 : 0),
+        minute: Number(twelveHour[2] || 0)
+      };
+    }
+  }
+
+  const twentyFourHour = text.match(/\b(\d{1,2}):(\d{2})(?::(\d{2}))?\b/);
+  if (twentyFourHour && Number(twentyFourHour[1]) < 24 && Number(twentyFourHour[2]) < 60) {
+    return {
+      hour: Number(twentyFourHour[1]),
+      minute: Number(twentyFourHour[2]),
+      second: Number(twentyFourHour[3] || 0)
+    };
+  }
+
+  return null;
+}
+
+// Calendar date in the text, relative to `today`
+// Returns { date, dayPart } or null; dayPart is the hour for "this morning", "last night", ...
+function extractDate(text, today, referenceWeekday) {
+  let match = text.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+  if (match) {
+    return { date: { year: Number(match[1]), month: Number(match[2]) - 1, day: Number(match[3]) } };
+  }
+
+  // "6 February 2023", "6th Feb"
+  match = text.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_PATTERN}(?:,?\\s+(\\d{4}))?`));
+  if (match) {
+    return { date: withYear(Number(match[3]), parseMonth(match[2]), Number(match[1]), today) };
+  }
+
+  // "February 6, 2023", "Feb 6th"
+  match = text.match(new RegExp(`\\b${MONTH_PATTERN}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4}))?`));
+  if (match) {
+    return { date: withYear(Number(match[3]), parseMonth(match[1]), Number(match[2]), today) };
+  }
+
+  if (/\bday before yesterday\b/.test(text)) return { date: shiftDays(today, -2) };
+  if (/\blast night\b/.test(text)) return { date: shiftDays(today, -1), dayPart: DAY_PARTS.night };
+  if (/\byesterday\b/.test(text)) {
+    return { date: shiftDays(today, -1), dayPart: getDayPart(text) };
+  }
+  if (/\btomorrow\b/.test(text)) {
+    return { date: shiftDays(today, 1), dayPart: getDayPart(text) };
+  }
+  if (/\b(today|tonight|this (morning|afternoon|evening))\b/.test(text)) {
+    return { date: today, dayPart: getDayPart(text) };
+  }
+
+  // "last Tuesday" is the most recent Tuesday before today; a bare "Tuesday" can be today
+  match = text.match(/\b(last|on|this past)?\s*(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/);
+  if (match) {
+    const weekday = WEEKDAYS.indexOf(match[2]);
+    let daysBack = (referenceWeekday - weekday + 7) % 7;
+    if (daysBack === 0 && match[1] === 'last') daysBack = 7;
+    return { date: shiftDays(today, -daysBack), dayPart: getDayPart(text) };
+  }
+
+  return null;
+}
+
+// A date without a year is taken as the latest one not after today
+function withYear(year, month, day, today) {
+  if (year) return { year, month, day };
+  const isAfterToday = month > today.month || (month === today.month && day > today.day);
+  return { year: isAfterToday ? today.year - 1 : today.year, month, day };
+}
+
+function getDayPart(text) {
+  const match = text.match(/\b(morning|afternoon|evening|night|tonight)\b/);
+  return match ? DAY_PARTS[match[1]] : undefined;
+}
+
+// "3 hours ago", "an hour ago", "half an hour ago", "2 weeks ago", "last month"
+// Returns { ms, precision } for minutes and hours, { days } or { months } for longer spans
+function extractElapsed(text) {
+  if (/\bhalf an hour ago\b/.test(text)) return { ms: 30 * MINUTE, precision: 'exact' };
+
+  const match = text.match(/\b(\d+|an?|a few|several)\s+(minute|min|hour|hr|day|week|month|year)s?\s+ago\b/);
+  if (match) {
+    const vague = !/^(\d+|an?)$/.test(match[1]);
+    const count = vague ? 3 : (Number(match[1]) || 1);
+    const unit = { min: 'minute', hr: 'hour' }[match[2]] || match[2];
+    if (unit === 'minute' || unit === 'hour') {
+      return { ms: count * UNIT_MS[unit], precision: vague ? 'approximate' : 'exact' };
+    }
+    if (unit === 'day' || unit === 'week') return { days: count * (unit === 'week' ? 7 : 1) };
+    return { months: count * (unit === 'year' ? 12 : 1) };
+  }
+
+  const last = text.match(/\blast (week|month|year)\b/);
+  if (last) {
+    return last[1] === 'week' ? { days: 7 } : { months: last[1] === 'year' ? 12 : 1 };
+  }
+
+  return null;
+}
+
+// Resolve a time expression to an absolute instant
+// Returns { occurredAt: ISO string, precision } or null when the text holds no usable time
+// ("reported", "recently"). precision is 'exact' (a clock time or an ISO instant), 'approximate'
+// (a part of the day such as "this morning") or 'day' (a date only, stored as its midnight).
+// Options: referenceDate (default now) and timeZone (IANA name, default the browser's zone);
+// a zone written in the text ("UTC", "EST", "+05:30") wins over the option.
+export function parseEventTime(text, { referenceDate = new Date(), timeZone = getDefaultTimeZone() } = {}) {
+  if (typeof text !== 'string' || !text.trim()) return null;
+
+  const reference = new Date(referenceDate).getTime();
+  if (!Number.isFinite(reference)) {
+    throw new Error(`Invalid reference date: ${referenceDate}`);
+  }
+
+  const trimmed = text.trim();
+
+  // Full ISO 8601 instants carry their own zone
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i.test(trimmed)) {
+    return { occurredAt: new Date(trimmed).toISOString(), precision: 'exact' };
+  }
+
+  const lower = ` ${trimmed.toLowerCase().replace(/(\d)t(\d)/, '$1 $2')} `;
+  if (/\b(just now|right now|now|moments? ago)\b/.test(lower)) {
+    return { occurredAt: new Date(reference).toISOString(), precision: 'exact' };
+  }
+
+  const { zone: explicitZone, rest } = extractZone(lower);
+  const zone = explicitZone ?? timeZone;
+  const today = getZonedDate(reference, zone);
+  const referenceWeekday = new Date(Date.UTC(today.year, today.month, today.day)).getUTCDay();
+
+  const elapsed = extractElapsed(rest);
+  if (elapsed?.ms) {
+    return { occurredAt: new Date(reference - elapsed.ms).toISOString(), precision: elapsed.precision };
+  }
+  if (elapsed) {
+    const date = elapsed.days
+      ? shiftDays(today, -elapsed.days)
+      : shiftMonthsBack(today, elapsed.months);
+    return { occurredAt: new Date(toInstant(date, {}, zone)).toISOString(), precision: 'day' };
+  }
+
+  const dated = extractDate(rest, today, referenceWeekday);
+  // Leave the date out of the clock-time search so "2023-02-06" isn't read as a time
+  const clock = extractClockTime(rest.replace(/\b\d{4}-\d{1,2}-\d{1,2}\b/, ' '));
+
+  if (!dated && !clock) return null;
+
+  if (!dated) {
+    // A clock time alone is today's, or yesterday's if that would be in the future
+    let instant = toInstant(today, clock, zone);
+    if (instant > reference) {
+      instant = toInstant(shiftDays(today, -1), clock, zone);
+    }
+    return { occurredAt: new Date(instant).toISOString(), precision: 'exact' };
+  }
+
+  // Reports are about the past: a time later today ("tonight" in the afternoon) is read as
+  // happening now
+  const isToday = dated.date.year === today.year && dated.date.month === today.month && dated.date.day === today.day;
+  const timed = (instant, precision) => (isToday && instant > reference
+    ? { occurredAt: new Date(reference).toISOString(), precision: 'approximate' }
+    : { occurredAt: new Date(instant).toISOString(), precision });
+
+  if (clock) {
+    return timed(toInstant(dated.date, clock, zone), 'exact');
+  }
+  if (dated.dayPart !== undefined) {
+    return timed(toInstant(dated.date, { hour: dated.dayPart }, zone), 'approximate');
+  }
+  return { occurredAt: new Date(toInstant(dated.date, {}, zone)).toISOString(), precision: 'day' };
+}
+
+// Display string for an occurredAt value at its precision ('year' comes from imported bare years)
+export function formatEventTime(occurredAt, precision = 'exact') {
+  const date = new Date(occurredAt);
+  if (!Number.isFinite(date.getTime())) return '';
+  if (precision === 'year') return String(date.getUTCFullYear());
+  if (precision === 'day') return date.toLocaleDateString();
+  return `${precision === 'approximate' ? '~' : ''}${date.toLocaleString()}`;
+}
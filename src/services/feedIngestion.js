@@ -0,0 +1,381 @@
+// News ingestion from RSS/Atom feeds: fetch → parse → normalize → de-duplicate → tag
+// Feeds are polled on an interval and only articles not seen before (by URL or by content) are
+// passed on, in the { articleId, title, summary, tags } shape NewsFeed and the event pipeline use.
+// The fetcher is pluggable, so feeds can be served from local fixture files, and parsing needs
+// no DOM, so it also runs outside the browser.
+
+import { tagArticle, mergeTags, needsTags } from './entityTagger.js';
+
+const env = import.meta.env || {};
+
+// Sample feeds under public/feeds, used when VITE_NEWS_FEEDS is not set
+const SAMPLE_FEEDS = ['/feeds/world-news.xml', '/feeds/alerts.atom'];
+
+export const FEED_CONFIG = {
+  feeds: env.VITE_NEWS_FEEDS
+    ? env.VITE_NEWS_FEEDS.split(',').map(url => url.trim()).filter(Boolean)
+    : SAMPLE_FEEDS,
+  // Prefix for cross-origin feed URLs (most feeds don't allow CORS), e.g. https://proxy.example/?url=
+  proxy: env.VITE_FEED_PROXY || '',
+  pollIntervalMs: (Number(env.VITE_FEED_POLL_SECONDS) || 300) * 1000,
+  // Seen URLs and hashes remembered for de-duplication
+  maxSeen: 5000,
+  // Recent articles kept for feeds that open after the first poll
+  maxArticles: 200,
+  // Articles tagged at once, so a first poll of hundreds of entries stays within LLM rate limits
+  tagConcurrency: 4
+};
+
+// Tag types an RSS <category domain="..."> can carry, as used by articleTagParser
+const CATEGORY_TAG_TYPES = ['country', 'city', 'location', 'action', 'event', 'magnitude', 'category'];
+
+// Query parameters that only track the click and don't change the article
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|mc_cid|mc_eid)$/i;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Elements named `name` (a qualified name such as "item" or "dc:date") as { attributes, content }
+function findElements(xml, name) {
+  const pattern = new RegExp(`<${name}(?=[\\s/>])([^>]*?)(?:/>|>([\\s\\S]*?)</${name}\\s*>)`, 'g');
+  return Array.from(xml.matchAll(pattern), match => ({
+    attributes: readAttributes(match[1]),
+    content: match[2] || ''
+  }));
+}
+
+function readAttributes(text) {
+  const attributes = {};
+  for (const match of text.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    attributes[match[1]] = decodeEntities(match[2] ?? match[3]);
+  }
+  return attributes;
+}
+
+// Text of an element: CDATA kept verbatim, entities decoded
+function elementText(content) {
+  const escaped = content.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (match, data) => escapeXml(data));
+  return decodeEntities(escaped.replace(/<[^>]*>/g, '')).trim();
+}
+
+// Text of the first of `names` present in `xml`
+function firstText(xml, names) {
+  for (const name of names) {
+    const [element] = findElements(xml, name);
+    if (element) {
+      const text = elementText(element.content);
+      if (text) return text;
+    }
+  }
+  return '';
+}
+
+// Plain text from an HTML fragment (feed summaries are often HTML)
+function stripHtml(html) {
+  return decodeEntities(html.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+// Entries of an RSS 2.0/1.0 or Atom document as { title, link, guid, summary, date, categories }
+export function parseFeed(xml) {
+  const isAtom = /<feed[\s>]/.test(xml) && /<entry[\s>]/.test(xml);
+  if (!isAtom && !/<item[\s>]/.test(xml)) {
+    if (!/<(rss|feed|rdf:RDF)[\s>]/.test(xml)) {
+      throw new Error('Not an RSS or Atom feed');
+    }
+    return [];
+  }
+
+  if (isAtom) {
+    return findElements(xml, 'entry').map(({ content }) => {
+      const links = findElements(content, 'link');
+      const link = links.find(item => !item.attributes.rel || item.attributes.rel === 'alternate');
+      return {
+        title: firstText(content, ['title']),
+        link: link?.attributes.href || '',
+        guid: firstText(content, ['id']),
+        summary: firstText(content, ['summary', 'content']),
+        date: firstText(content, ['published', 'updated']),
+        categories: findElements(content, 'category').map(({ attributes }) => ({
+          name: attributes.label || attributes.term || '',
+          domain: attributes.scheme || ''
+        }))
+      };
+    });
+  }
+
+  return findElements(xml, 'item').map(({ content }) => ({
+    title: firstText(content, ['title']),
+    link: firstText(content, ['link']),
+    guid: firstText(content, ['guid']),
+    summary: firstText(content, ['description', 'content:encoded']),
+    date: firstText(content, ['pubDate', 'dc:date']),
+    categories: findElements(content, 'category').map(({ attributes, content: name }) => ({
+      name: elementText(name),
+      domain: attributes.domain || ''
+    }))
+  }));
+}
+
+// Canonical form of an article URL: no fragment, tracking parameters or trailing slash
+export function normalizeUrl(url) {
+  if (!url) return '';
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    Array.from(parsed.searchParams.keys())
+      .filter(key => TRACKING_PARAMS.test(key))
+      .forEach(key => parsed.searchParams.delete(key));
+    if (parsed.pathname.length > 1) {
+      parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+    }
+    return parsed.toString();
+  } catch {
+    return url.trim();
+  }
+}
+
+// FNV-1a, enough to tell articles apart (not for security)
+export function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// Hash of the title and summary with case, punctuation and spacing removed, so the same story
+// syndicated under different URLs is recognised
+export function contentHash(title, summary) {
+  const normalize = text => text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  return hashText(`${normalize(title)}\n${normalize(summary).slice(0, 500)}`);
+}
+
+// fn(item) for every item with at most `limit` calls running at once; results in item order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Feed categories as tags; a category domain naming a tag type
+// (<category domain="country">Japan</category>) sets the tag's type
+export function categoryTagger(article, entry) {
+  return entry.categories
+    .filter(category => category.name)
+    .map(category => {
+      const domain = category.domain.toLowerCase();
+      return {
+        entity: category.name,
+        type: CATEGORY_TAG_TYPES.includes(domain) ? domain : 'category'
+      };
+    });
+}
+
+// Feed categories, plus entities extracted from the title and summary when the categories name
+// no place
+export async function defaultTagger(article, entry) {
+  const tags = categoryTagger(article, entry);
+  if (!needsTags({ tags })) return tags;
+  return mergeTags(tags, await tagArticle(article));
+}
+
+// Article in the NewsFeed shape, without tags
+export function normalizeEntry(entry, feedUrl) {
+  const url = normalizeUrl(entry.link || (/^https?:/.test(entry.guid) ? entry.guid : ''));
+  const title = stripHtml(entry.title);
+  const summary = stripHtml(entry.summary);
+  const hash = contentHash(title, summary);
+  const published = Date.parse(entry.date);
+  return {
+    articleId: `feed-${hashText(url || entry.guid || hash)}`,
+    title,
+    summary,
+    url,
+    publishedAt: Number.isFinite(published) ? new Date(published).toISOString() : null,
+    feedUrl,
+    contentHash: hash,
+    tags: []
+  };
+}
+
+export async function defaultFetcher(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`${url} returned ${response.status}`);
+  }
+  return response.text();
+}
+
+// Fetcher that serves feed URLs from local files instead of the network
+// `fixtures` maps each feed URL to a path; `readFile(path)` loads it (fetch by default, so paths
+// under public/ work in the app; pass fs.promises.readFile-based reader elsewhere).
+export function createFixtureFetcher(fixtures, readFile = defaultFetcher) {
+  return async (url) => {
+    if (!fixtures[url]) {
+      throw new Error(`No fixture for ${url}`);
+    }
+    return readFile(fixtures[url]);
+  };
+}
+
+// Polls a list of feeds and reports articles it hasn't seen before
+// `tagger(article, entry)` returns the article's tags (may be async); listeners added with
+// subscribe(listener) get listener(newArticles, status) after every poll, newest article first.
+// The ingestor can be shared: start() and stop() are counted, and polling only stops when every
+// start() has been matched by a stop(). Articles already reported stay in getArticles().
+export class FeedIngestor {
+  constructor(options = {}) {
+    const config = { ...FEED_CONFIG, ...options };
+    this.feeds = config.feeds;
+    this.proxy = config.proxy;
+    this.pollIntervalMs = config.pollIntervalMs;
+    this.maxSeen = config.maxSeen;
+    this.maxArticles = config.maxArticles;
+    this.tagConcurrency = Math.max(1, config.tagConcurrency);
+    this.fetcher = options.fetcher || defaultFetcher;
+    this.tagger = options.tagger || defaultTagger;
+    this.seenUrls = new Set();
+    this.seenHashes = new Set();
+    this.status = {};
+    this.articles = [];
+    this.lastPolledAt = null;
+    this.listeners = new Set();
+    this.starts = 0;
+    this.timer = null;
+    this.polling = null;
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  // Last poll result per feed: { url, lastFetched, articleCount, error }
+  getStatus() {
+    return this.feeds.map(url => this.status[url] || { url, lastFetched: null, articleCount: 0, error: null });
+  }
+
+  // Articles from every poll so far, newest first (up to maxArticles)
+  getArticles() {
+    return this.articles;
+  }
+
+  // Whether a poll has finished, so getArticles() holds what the first poll found
+  hasPolled() {
+    return this.lastPolledAt !== null;
+  }
+
+  // Keep the seen sets bounded; Sets iterate in insertion order, so the oldest go first
+  remember(set, value) {
+    if (!value) return;
+    set.add(value);
+    if (set.size > this.maxSeen) {
+      set.delete(set.values().next().value);
+    }
+  }
+
+  isDuplicate(article) {
+    return (article.url && this.seenUrls.has(article.url)) || this.seenHashes.has(article.contentHash);
+  }
+
+  async fetchFeed(url) {
+    const target = this.proxy && /^https?:/.test(url) ? `${this.proxy}${encodeURIComponent(url)}` : url;
+    return parseFeed(await this.fetcher(target));
+  }
+
+  // Fetch every feed once; concurrent calls share the poll in progress
+  poll() {
+    if (!this.polling) {
+      this.polling = this.runPoll().finally(() => {
+        this.polling = null;
+      });
+    }
+    return this.polling;
+  }
+
+  async runPoll() {
+    const results = await Promise.allSettled(this.feeds.map(url => this.fetchFeed(url)));
+    const fresh = [];
+
+    for (const [index, result] of results.entries()) {
+      const url = this.feeds[index];
+      if (result.status === 'rejected') {
+        this.status[url] = { ...this.getStatus()[index], error: result.reason.message };
+        continue;
+      }
+
+      let articleCount = 0;
+      for (const entry of result.value) {
+        const article = normalizeEntry(entry, url);
+        if (!article.title || this.isDuplicate(article)) continue;
+        this.remember(this.seenUrls, article.url);
+        this.remember(this.seenHashes, article.contentHash);
+        fresh.push({ article, entry });
+        articleCount++;
+      }
+      this.status[url] = { url, lastFetched: new Date().toISOString(), articleCount, error: null };
+    }
+
+    // Tag only what is new, a few at a time; a failing tagger leaves the article untagged, so
+    // NewsFeed tries again
+    const articles = await mapWithConcurrency(fresh, this.tagConcurrency, async ({ article, entry }) => {
+      try {
+        return { ...article, tags: (await this.tagger(article, entry)) || [], tagged: true };
+      } catch (error) {
+        console.warn('Failed to tag article:', article.title, error.message);
+        return article;
+      }
+    });
+    articles.sort((a, b) => (Date.parse(b.publishedAt) || 0) - (Date.parse(a.publishedAt) || 0));
+
+    this.articles = [...articles, ...this.articles].slice(0, this.maxArticles);
+    this.lastPolledAt = new Date().toISOString();
+    const status = this.getStatus();
+    this.listeners.forEach(listener => listener(articles, status));
+    return articles;
+  }
+
+  // Poll now and then every pollIntervalMs until the matching stop()
+  start() {
+    this.starts++;
+    if (this.timer) return;
+    this.poll().catch(error => console.error('Feed poll failed:', error));
+    this.timer = setInterval(() => {
+      this.poll().catch(error => console.error('Feed poll failed:', error));
+    }, this.pollIntervalMs);
+  }
+
+  // Polling stops once every start() has been matched
+  stop() {
+    this.starts = Math.max(0, this.starts - 1);
+    if (this.starts > 0) return;
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+// Shared ingestor for the configured feeds
+export const feedIngestor = new FeedIngestor();
@@ -0,0 +1,144 @@
+// Scene export: events and arcs as GeoJSON or CSV for reports and GIS tools, and whole-scene
+// snapshots that fileImport reads back without loss. Snapshots keep every item as plotted
+// (styling included), plus the camera view and the timeline filter.
+
+export const SNAPSHOT_FORMAT = 'asterisk-globe-snapshot';
+export const SNAPSHOT_VERSION = 1;
+
+const CSV_COLUMNS = [
+  'kind', 'id', 'title', 'type', 'magnitude', 'latitude', 'longitude', 'end_latitude', 'end_longitude',
+  'time', 'time_precision', 'plotted_at', 'location', 'description', 'source'
+];
+
+// Fields added for display only, never exported
+function stripDisplayFields(item) {
+  const exported = { ...item };
+  delete exported.timeOpacity;
+  return exported;
+}
+
+// Shared GeoJSON/CSV fields; occurredAt is exported as `time`, which fileImport reads back
+function commonProperties(item) {
+  return {
+    id: item.id,
+    title: item.title,
+    type: item.type,
+    magnitude: item.magnitude,
+    time: item.occurredAt || null,
+    timePrecision: item.occurredAtPrecision || null,
+    plottedAt: item.plottedAt || null,
+    description: item.description || null,
+    source: item.source || null
+  };
+}
+
+// FeatureCollection of events (Points) and arcs (LineStrings, through every waypoint of a path)
+export function toGeoJson({ events = [], arcs = [] }) {
+  const eventFeatures = events.map(event => ({
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [event.longitude, event.latitude] },
+    properties: {
+      kind: 'event',
+      ...commonProperties(event),
+      location: event.location || null,
+      countryCode: event.countryCode || null
+    }
+  }));
+
+  const arcFeatures = arcs.map(arc => ({
+    type: 'Feature',
+    geometry: {
+      type: 'LineString',
+      coordinates: (arc.waypoints || [arc.startLatLng, arc.endLatLng]).map(({ lat, lng }) => [lng, lat])
+    },
+    properties: {
+      kind: 'arc',
+      ...commonProperties(arc),
+      from: arc.from || null,
+      to: arc.to || null,
+      color: arc.color || null,
+      animation: arc.animation || null
+    }
+  }));
+
+  return { type: 'FeatureCollection', features: [...eventFeatures, ...arcFeatures] };
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per event or arc; arcs use latitude/longitude for the origin and end_* for the target
+export function toCsv({ events = [], arcs = [] }) {
+  const rows = [
+    ...events.map(event => ({
+      kind: 'event',
+      ...commonProperties(event),
+      latitude: event.latitude,
+      longitude: event.longitude,
+      location: event.location
+    })),
+    ...arcs.map(arc => ({
+      kind: arc.waypoints ? 'path' : 'arc',
+      ...commonProperties(arc),
+      latitude: arc.startLatLng.lat,
+      longitude: arc.startLatLng.lng,
+      end_latitude: arc.endLatLng.lat,
+      end_longitude: arc.endLatLng.lng,
+      location: arc.from && arc.to ? `${arc.from} → ${arc.to}` : null
+    }))
+  ].map(row => ({ ...row, time_precision: row.timePrecision, plotted_at: row.plottedAt }));
+
+  return [
+    CSV_COLUMNS.join(','),
+    ...rows.map(row => CSV_COLUMNS.map(column => csvValue(row[column])).join(','))
+  ].join('\r\n');
+}
+
+// Versioned snapshot of the scene; `view` is what ViewPersistence captures and `timeRange` the
+// timeline selection (null for everything)
+export function createSnapshot({ events = [], arcs = [], areas = [], view = null, timeRange = null }) {
+  return {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    createdAt: new Date().toISOString(),
+    view,
+    filters: { timeRange },
+    events: events.map(stripDisplayFields),
+    arcs: arcs.map(stripDisplayFields),
+    areas: areas.map(stripDisplayFields)
+  };
+}
+
+export function isSnapshot(data) {
+  return data?.format === SNAPSHOT_FORMAT;
+}
+
+// Items and settings from a parsed snapshot; throws on snapshots from a newer version
+export function readSnapshot(data) {
+  if (!isSnapshot(data)) {
+    throw new Error('Not a globe snapshot');
+  }
+  if (!Number.isInteger(data.version) || data.version > SNAPSHOT_VERSION) {
+    throw new Error(`Snapshot version ${data.version} is newer than this app supports (${SNAPSHOT_VERSION})`);
+  }
+  return {
+    events: Array.isArray(data.events) ? data.events : [],
+    arcs: Array.isArray(data.arcs) ? data.arcs : [],
+    areas: Array.isArray(data.areas) ? data.areas : [],
+    view: data.view || null,
+    timeRange: data.filters?.timeRange || null
+  };
+}
+
+// Save text as a file through a temporary download link
+export function downloadFile(text, fileName, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
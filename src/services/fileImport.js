@@ -0,0 +1,493 @@
+// File import: GeoJSON, CSV and KML files → events, arcs and areas for the globe
+// Parsing is separate from committing so the UI can preview the result first. Every converter
+// returns { events, arcs, areas, errors, rowLabel }; each error is { row, message } for a row or
+// feature that was skipped (row is the CSV line number, or the feature/placemark number).
+
+import { createId, defaultStyler } from './eventPipeline.js';
+import { parseEventTime } from './eventTime.js';
+import { isSnapshot, readSnapshot } from './fileExport.js';
+
+// Columns the CSV mapping dialog asks for, with header names recognised automatically
+export const CSV_FIELDS = [
+  { key: 'latitude', label: 'Latitude', required: true, aliases: ['lat', 'latitude', 'y'] },
+  { key: 'longitude', label: 'Longitude', required: true, aliases: ['lng', 'lon', 'long', 'longitude', 'x'] },
+  { key: 'type', label: 'Type', aliases: ['type', 'event_type', 'eventtype', 'category', 'kind'] },
+  { key: 'magnitude', label: 'Magnitude', aliases: ['magnitude', 'mag', 'size', 'value'] },
+  { key: 'time', label: 'Time', aliases: ['time', 'timestamp', 'date', 'datetime', 'occurred_at', 'occurredat'] },
+  { key: 'title', label: 'Title', aliases: ['title', 'name', 'place', 'location', 'label'] }
+];
+
+// GeoJSON/KML property names read for each field (compared case-insensitively)
+const PROPERTY_KEYS = {
+  type: ['type', 'eventType', 'event_type', 'category', 'kind'],
+  magnitude: ['magnitude', 'mag', 'size', 'value'],
+  time: ['time', 'timestamp', 'date', 'datetime', 'occurredAt', 'when', 'begin'],
+  title: ['title', 'name', 'place', 'location', 'label'],
+  description: ['description', 'summary', 'details']
+};
+
+// Snapshots are JSON too; they are told apart from GeoJSON by their content
+const FORMAT_EXTENSIONS = {
+  geojson: ['geojson', 'json'],
+  csv: ['csv', 'tsv', 'txt'],
+  kml: ['kml']
+};
+
+function emptyResult(rowLabel) {
+  return { events: [], arcs: [], areas: [], errors: [], rowLabel };
+}
+
+// Format from the file extension, or from the content when the extension is unknown
+export function detectImportFormat(fileName, text) {
+  const extension = (fileName.split('.').pop() || '').toLowerCase();
+  const byExtension = Object.keys(FORMAT_EXTENSIONS)
+    .find(format => FORMAT_EXTENSIONS[format].includes(extension));
+  if (byExtension) return byExtension;
+
+  const start = text.trimStart();
+  if (start.startsWith('{')) return 'geojson';
+  if (start.startsWith('<')) return 'kml';
+  return 'csv';
+}
+
+function readNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = typeof value === 'number' ? value : Number(String(value).trim());
+  return Number.isFinite(number) ? number : NaN;
+}
+
+// Event time fields, as the pipeline sets them; throws on a time that can't be read
+// Accepts epoch milliseconds or seconds (9 digits or more), a bare 4-digit year (year precision),
+// ISO timestamps and anything parseEventTime reads.
+function resolveImportTime(value, plottedAt) {
+  const untimed = { occurredAt: null, occurredAtPrecision: null, plottedAt, timestamp: plottedAt };
+  if (value === null || value === undefined || String(value).trim() === '') return untimed;
+
+  const text = String(value).trim();
+  let time = null;
+  let precision = 'exact';
+  if (/^\d{4}$/.test(text)) {
+    time = Date.UTC(Number(text), 0, 1);
+    precision = 'year';
+  } else if (/^-?\d{9,}(\.\d+)?$/.test(text)) {
+    const number = Number(text);
+    time = Math.abs(number) < 1e11 ? number * 1000 : number;
+  } else if (/^-?\d+(\.\d+)?$/.test(text)) {
+    // Too short for an epoch time and not a year
+    time = NaN;
+  } else if (/^\d{4}-\d{2}-\d{2}T/.test(text)) {
+    time = Date.parse(text);
+  } else {
+    const parsed = parseEventTime(text, { referenceDate: plottedAt });
+    if (parsed) {
+      time = Date.parse(parsed.occurredAt);
+      precision = parsed.precision;
+    } else {
+      time = Date.parse(text);
+    }
+  }
+
+  if (!Number.isFinite(time)) {
+    throw new Error(`Time "${text}" is not a date`);
+  }
+  const occurredAt = new Date(time).toISOString();
+  return { occurredAt, occurredAtPrecision: precision, plottedAt, timestamp: occurredAt };
+}
+
+// Fields shared by every imported item, from a record of { type, magnitude, time, title, description }
+function readRecord(record, plottedAt) {
+  const magnitude = readNumber(record.magnitude);
+  if (Number.isNaN(magnitude)) {
+    throw new Error(`Magnitude "${record.magnitude}" is not a number`);
+  }
+  const type = record.type ? String(record.type).trim().toLowerCase() : null;
+  return {
+    action: { eventType: type || null, magnitude: magnitude ?? undefined },
+    times: resolveImportTime(record.time, plottedAt),
+    title: record.title ? String(record.title).trim() : null,
+    description: record.description ? String(record.description).trim() : undefined
+  };
+}
+
+function checkCoordinate(value, label, limit) {
+  const number = readNumber(value);
+  if (number === null) {
+    throw new Error(`${label} is missing`);
+  }
+  if (Number.isNaN(number)) {
+    throw new Error(`${label} "${value}" is not a number`);
+  }
+  if (Math.abs(number) > limit) {
+    throw new Error(`${label} ${number} is not between -${limit} and ${limit}`);
+  }
+  return number;
+}
+
+function checkPosition(position) {
+  if (!Array.isArray(position) || position.length < 2) {
+    throw new Error('Position must be [longitude, latitude]');
+  }
+  return [
+    checkCoordinate(position[0], 'Longitude', 180),
+    checkCoordinate(position[1], 'Latitude', 90)
+  ];
+}
+
+function buildEvent([lng, lat], { action, times, title, description }) {
+  const location = title || `${lat.toFixed(2)}, ${lng.toFixed(2)}`;
+  return {
+    id: createId('event'),
+    latitude: lat,
+    longitude: lng,
+    ...defaultStyler.event(action),
+    ...times,
+    title: location,
+    location,
+    description,
+    source: 'import'
+  };
+}
+
+// Two positions make an arc; more make a path drawn through every waypoint
+function buildArc(positions, { action, times, title, description }) {
+  const waypoints = positions.map(position => {
+    const [lng, lat] = checkPosition(position);
+    return { lat, lng };
+  });
+  if (waypoints.length < 2) {
+    throw new Error('A line needs at least two positions');
+  }
+  const start = waypoints[0];
+  const end = waypoints[waypoints.length - 1];
+  const arc = {
+    id: createId('arc'),
+    startLatLng: start,
+    endLatLng: end,
+    ...defaultStyler.arc(action),
+    ...times,
+    title: title || 'Imported path',
+    description,
+    source: 'import'
+  };
+  if (waypoints.length > 2) {
+    arc.waypoints = waypoints;
+  }
+  return arc;
+}
+
+// Area highlight drawn from its own polygon rather than a country outline
+function buildArea(geometry, { action, times, title, description }) {
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  polygons.forEach(rings => {
+    if (!Array.isArray(rings) || !rings.length) {
+      throw new Error('Polygon has no rings');
+    }
+    rings.forEach(ring => {
+      if (!Array.isArray(ring) || ring.length < 4) {
+        throw new Error('Polygon rings need at least four positions');
+      }
+      ring.forEach(checkPosition);
+    });
+  });
+  const name = title || 'Imported area';
+  return {
+    id: createId('area'),
+    countryCode: null,
+    geometry,
+    name,
+    ...defaultStyler.area(action),
+    ...times,
+    title: name,
+    description,
+    source: 'import'
+  };
+}
+
+// Property lookup ignoring case, skipping empty values
+function pickProperty(properties, names) {
+  const keys = Object.keys(properties);
+  for (const name of names) {
+    const key = keys.find(candidate => candidate.toLowerCase() === name.toLowerCase());
+    if (key !== undefined && properties[key] !== null && properties[key] !== '') {
+      return properties[key];
+    }
+  }
+  return undefined;
+}
+
+function addGeometry(result, geometry, fields) {
+  switch (geometry.type) {
+    case 'Point':
+      result.events.push(buildEvent(checkPosition(geometry.coordinates), fields));
+      break;
+    case 'MultiPoint':
+      geometry.coordinates.forEach(position => result.events.push(buildEvent(checkPosition(position), fields)));
+      break;
+    case 'LineString':
+      result.arcs.push(buildArc(geometry.coordinates, fields));
+      break;
+    case 'MultiLineString':
+      geometry.coordinates.forEach(line => result.arcs.push(buildArc(line, fields)));
+      break;
+    case 'Polygon':
+    case 'MultiPolygon':
+      result.areas.push(buildArea(geometry, fields));
+      break;
+    case 'GeometryCollection':
+      geometry.geometries.forEach(part => addGeometry(result, part, fields));
+      break;
+    default:
+      throw new Error(`Unsupported geometry type "${geometry.type}"`);
+  }
+}
+
+// Points → events, LineStrings → arcs or paths, Polygons → area highlights
+// Feature properties supply the type, magnitude, time, title and description.
+export function geoJsonToItems(geojson, { rowLabel = 'Feature' } = {}) {
+  let features;
+  if (geojson?.type === 'FeatureCollection' && Array.isArray(geojson.features)) {
+    features = geojson.features;
+  } else if (geojson?.type === 'Feature') {
+    features = [geojson];
+  } else if (typeof geojson?.type === 'string' && (geojson.coordinates || geojson.geometries)) {
+    features = [{ type: 'Feature', geometry: geojson, properties: {} }];
+  } else {
+    throw new Error('Not a GeoJSON object');
+  }
+
+  const result = emptyResult(rowLabel);
+  const plottedAt = new Date().toISOString();
+  features.forEach((feature, index) => {
+    const properties = feature?.properties || {};
+    try {
+      if (!feature?.geometry) {
+        throw new Error('Feature has no geometry');
+      }
+      const fields = readRecord({
+        type: pickProperty(properties, PROPERTY_KEYS.type),
+        magnitude: pickProperty(properties, PROPERTY_KEYS.magnitude),
+        time: pickProperty(properties, PROPERTY_KEYS.time),
+        title: pickProperty(properties, PROPERTY_KEYS.title),
+        description: pickProperty(properties, PROPERTY_KEYS.description)
+      }, plottedAt);
+      // Build into a scratch result so a bad part skips the whole feature
+      const featureItems = emptyResult(rowLabel);
+      addGeometry(featureItems, feature.geometry, fields);
+      result.events.push(...featureItems.events);
+      result.arcs.push(...featureItems.arcs);
+      result.areas.push(...featureItems.areas);
+    } catch (error) {
+      result.errors.push({ row: index + 1, message: error.message });
+    }
+  });
+  return result;
+}
+
+// Split CSV text into rows of values (quoted fields, escaped quotes and CRLF supported)
+// The delimiter is whichever of comma, semicolon or tab appears most in the header line.
+export function parseCsv(text) {
+  const firstLine = text.slice(0, text.indexOf('\n') === -1 ? text.length : text.indexOf('\n'));
+  const delimiter = [',', ';', '\t']
+    .map(candidate => [candidate, firstLine.split(candidate).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+
+  const rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endValue = () => {
+    row.push(value);
+    value = '';
+  };
+  const endRow = () => {
+    endValue();
+    if (row.some(cell => cell.trim() !== '')) {
+      rows.push({ line: rowLine, values: row });
+    }
+    row = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        value += char;
+      }
+    } else if (char === '"' && value.trim() === '') {
+      quoted = true;
+      value = '';
+    } else if (char === delimiter) {
+      endValue();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      value += char;
+    }
+  }
+  if (value !== '' || row.length) {
+    endRow();
+  }
+
+  const [header, ...body] = rows;
+  if (!header) {
+    throw new Error('The CSV file is empty');
+  }
+  return { headers: header.values.map(name => name.trim()), rows: body };
+}
+
+// Column index for each CSV field, matched on header names in alias order (null when none match)
+export function guessCsvMapping(headers) {
+  const normalized = headers.map(header => header.toLowerCase().replace(/[\s-]+/g, '_'));
+  return Object.fromEntries(CSV_FIELDS.map(field => {
+    const alias = field.aliases.find(name => normalized.includes(name));
+    return [field.key, alias ? normalized.indexOf(alias) : null];
+  }));
+}
+
+// One event per CSV row, using `mapping` from field key to column index
+export function csvToItems({ rows }, mapping) {
+  const result = emptyResult('Row');
+  const missing = CSV_FIELDS.filter(field => field.required && mapping[field.key] == null);
+  if (missing.length) {
+    result.errors.push({
+      row: 1,
+      message: `Choose a column for ${missing.map(field => field.label).join(' and ')}`
+    });
+    return result;
+  }
+
+  const plottedAt = new Date().toISOString();
+  const cell = (values, key) => (mapping[key] == null ? undefined : values[mapping[key]]);
+  rows.forEach(({ line, values }) => {
+    try {
+      const position = checkPosition([cell(values, 'longitude'), cell(values, 'latitude')]);
+      const fields = readRecord({
+        type: cell(values, 'type'),
+        magnitude: cell(values, 'magnitude'),
+        time: cell(values, 'time'),
+        title: cell(values, 'title')
+      }, plottedAt);
+      result.events.push(buildEvent(position, fields));
+    } catch (error) {
+      result.errors.push({ row: line, message: error.message });
+    }
+  });
+  return result;
+}
+
+function childElements(node, name) {
+  return Array.from(node.children).filter(child => child.localName === name);
+}
+
+function childText(node, name) {
+  return childElements(node, name)[0]?.textContent.trim();
+}
+
+function parseKmlCoordinates(text = '') {
+  return text.trim().split(/\s+/).filter(Boolean)
+    .map(tuple => tuple.split(',').map(Number));
+}
+
+function kmlRingCoordinates(boundary) {
+  const ring = childElements(boundary, 'LinearRing')[0];
+  return parseKmlCoordinates(ring && childText(ring, 'coordinates'));
+}
+
+function kmlGeometry(node) {
+  switch (node.localName) {
+    case 'Point':
+      return { type: 'Point', coordinates: parseKmlCoordinates(childText(node, 'coordinates'))[0] };
+    case 'LineString':
+      return { type: 'LineString', coordinates: parseKmlCoordinates(childText(node, 'coordinates')) };
+    case 'Polygon':
+      return {
+        type: 'Polygon',
+        coordinates: [
+          ...childElements(node, 'outerBoundaryIs').map(kmlRingCoordinates),
+          ...childElements(node, 'innerBoundaryIs').map(kmlRingCoordinates)
+        ]
+      };
+    case 'MultiGeometry':
+      return {
+        type: 'GeometryCollection',
+        geometries: Array.from(node.children).map(kmlGeometry).filter(Boolean)
+      };
+    default:
+      return null;
+  }
+}
+
+// KML placemarks as a GeoJSON FeatureCollection
+// Name, description, TimeStamp/TimeSpan and ExtendedData values become feature properties.
+export function kmlToGeoJson(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) {
+    throw new Error('Not a valid KML file');
+  }
+
+  const features = Array.from(doc.getElementsByTagNameNS('*', 'Placemark')).map(placemark => {
+    const properties = {};
+    Array.from(placemark.getElementsByTagNameNS('*', 'Data')).forEach(data => {
+      properties[data.getAttribute('name')] = childText(data, 'value');
+    });
+    Array.from(placemark.getElementsByTagNameNS('*', 'SimpleData')).forEach(data => {
+      properties[data.getAttribute('name')] = data.textContent.trim();
+    });
+
+    const timeStamp = childElements(placemark, 'TimeStamp')[0];
+    const timeSpan = childElements(placemark, 'TimeSpan')[0];
+    const time = (timeStamp && childText(timeStamp, 'when')) || (timeSpan && childText(timeSpan, 'begin'));
+    Object.assign(properties, {
+      name: childText(placemark, 'name'),
+      description: childText(placemark, 'description'),
+      ...(time ? { time } : {})
+    });
+
+    const geometry = Array.from(placemark.children).map(kmlGeometry).find(Boolean) || null;
+    return { type: 'Feature', geometry, properties };
+  });
+
+  return { type: 'FeatureCollection', features };
+}
+
+// Read a dropped file: { format, fileName, table } for CSV, which still needs a column mapping,
+// or { format, fileName, result } for GeoJSON and KML. Snapshots also carry `snapshot`
+// ({ view, timeRange }) and are imported as-is. Throws when the file can't be parsed.
+export function parseImportFile(fileName, text) {
+  const format = detectImportFormat(fileName, text);
+  if (format === 'csv') {
+    return { format, fileName, table: parseCsv(text) };
+  }
+  if (format === 'kml') {
+    return { format, fileName, result: geoJsonToItems(kmlToGeoJson(text), { rowLabel: 'Placemark' }) };
+  }
+
+  let geojson;
+  try {
+    geojson = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not valid JSON: ${error.message}`);
+  }
+  if (isSnapshot(geojson)) {
+    const { events, arcs, areas, view, timeRange } = readSnapshot(geojson);
+    return {
+      format: 'snapshot',
+      fileName,
+      result: { events, arcs, areas, errors: [], rowLabel: 'Item' },
+      snapshot: { view, timeRange }
+    };
+  }
+  return { format, fileName, result: geoJsonToItems(geojson) };
+}
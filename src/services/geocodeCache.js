@@ -0,0 +1,199 @@
+// Persistent cache for geocoding API results
+// An in-memory tier (a Map kept in least-recently-used order) is mirrored to IndexedDB so
+// lookups survive reloads. Entries expire after a TTL, "Location not found" answers are cached
+// as negative entries with a shorter TTL, and the least recently used entries are evicted
+// once the cache grows past maxEntries.
+
+import { createIndexedDbStore } from './indexedDbStore.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const GEOCODE_CACHE_DEFAULTS = {
+  dbName: 'asterisk-globe-geocode-cache',
+  ttlMs: 30 * DAY_MS,
+  negativeTtlMs: DAY_MS,
+  maxEntries: 2000
+};
+
+// Identifies exported cache files so unrelated JSON is rejected on import
+const EXPORT_FORMAT = 'asterisk-globe.geocode-cache';
+const EXPORT_VERSION = 1;
+
+export class GeocodeCache {
+  constructor(options = {}) {
+    const { dbName, ttlMs, negativeTtlMs, maxEntries } = { ...GEOCODE_CACHE_DEFAULTS, ...options };
+    this.ttlMs = ttlMs;
+    this.negativeTtlMs = negativeTtlMs;
+    this.maxEntries = maxEntries;
+    this.store = options.store || createIndexedDbStore({ dbName });
+    this.persistent = true;
+    this.entries = new Map(); // oldest access first
+    this.counters = { hits: 0, negativeHits: 0, misses: 0, expired: 0, evictions: 0 };
+    this.ready = null;
+  }
+
+  // Load persisted entries once; if IndexedDB is unusable the cache carries on in memory
+  load() {
+    if (!this.ready) {
+      this.ready = this.store.getAll()
+        .then(records => {
+          const now = Date.now();
+          const stale = [];
+          records
+            .sort((a, b) => a.lastAccessed - b.lastAccessed)
+            .forEach(record => {
+              if (record.expiresAt > now) {
+                this.entries.set(record.key, record);
+              } else {
+                stale.push(record.key);
+              }
+            });
+          if (stale.length > 0) {
+            this.persist(store => store.deleteAll(stale));
+          }
+          this.evict();
+        })
+        .catch(error => {
+          this.persistent = false;
+          console.warn('Geocoding cache is memory-only:', error.message);
+        });
+    }
+    return this.ready;
+  }
+
+  // Fire-and-forget write to IndexedDB; the memory tier is always authoritative
+  persist(operation) {
+    if (!this.persistent) return;
+    operation(this.store).catch(error => {
+      console.warn('Failed to persist geocoding cache:', error.message);
+    });
+  }
+
+  // Returns { value } for a hit, { notFound } (the cached error message) for a negative hit,
+  // or null on a miss
+  async get(key) {
+    await this.load();
+    const record = this.entries.get(key);
+
+    if (!record) {
+      this.counters.misses++;
+      return null;
+    }
+
+    this.entries.delete(key);
+    if (record.expiresAt <= Date.now()) {
+      this.counters.expired++;
+      this.counters.misses++;
+      this.persist(store => store.delete(key));
+      return null;
+    }
+
+    // Re-insert to mark as most recently used
+    record.lastAccessed = Date.now();
+    this.entries.set(key, record);
+    this.persist(store => store.put(record));
+
+    if (record.negative) {
+      this.counters.negativeHits++;
+      return { notFound: record.message };
+    }
+    this.counters.hits++;
+    return { value: record.value };
+  }
+
+  async set(key, value, ttlMs = this.ttlMs) {
+    await this.write({ key, value, negative: false }, ttlMs);
+  }
+
+  // Remember that a location could not be found
+  async setNotFound(key, message, ttlMs = this.negativeTtlMs) {
+    await this.write({ key, message, negative: true }, ttlMs);
+  }
+
+  async write(fields, ttlMs) {
+    await this.load();
+    const now = Date.now();
+    const record = { ...fields, createdAt: now, lastAccessed: now, expiresAt: now + ttlMs };
+
+    this.entries.delete(record.key);
+    this.entries.set(record.key, record);
+    this.persist(store => store.put(record));
+    this.evict();
+  }
+
+  // Drop least recently used entries beyond maxEntries
+  evict() {
+    const overflow = this.entries.size - this.maxEntries;
+    if (overflow <= 0) return;
+
+    const keys = Array.from(this.entries.keys()).slice(0, overflow);
+    keys.forEach(key => this.entries.delete(key));
+    this.counters.evictions += overflow;
+    this.persist(store => store.deleteAll(keys));
+  }
+
+  async clear() {
+    await this.load();
+    this.entries.clear();
+    this.persist(store => store.clear());
+  }
+
+  getStats() {
+    const lookups = this.counters.hits + this.counters.negativeHits + this.counters.misses;
+    const entries = Array.from(this.entries.values());
+    return {
+      size: entries.length,
+      negativeEntries: entries.filter(record => record.negative).length,
+      maxEntries: this.maxEntries,
+      persistent: this.persistent,
+      ...this.counters,
+      hitRate: lookups > 0 ? (this.counters.hits + this.counters.negativeHits) / lookups : 0,
+      keys: Array.from(this.entries.keys())
+    };
+  }
+
+  // Serialize unexpired entries so a warm cache can be shared
+  async export() {
+    await this.load();
+    const now = Date.now();
+    return JSON.stringify({
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date(now).toISOString(),
+      entries: Array.from(this.entries.values()).filter(record => record.expiresAt > now)
+    }, null, 2);
+  }
+
+  // Merge entries from an export; existing entries win unless the imported one is newer
+  // Returns the number of entries taken from the import
+  async import(json) {
+    await this.load();
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.entries)) {
+      throw new Error('Not a geocoding cache export');
+    }
+    if (data.version > EXPORT_VERSION) {
+      throw new Error(`Unsupported geocoding cache export version: ${data.version}`);
+    }
+
+    const now = Date.now();
+    const imported = data.entries.filter(record =>
+      typeof record?.key === 'string' &&
+      record.expiresAt > now &&
+      (record.negative ? typeof record.message === 'string' : record.value !== undefined) &&
+      !(this.entries.get(record.key)?.createdAt >= record.createdAt)
+    );
+
+    // Imported entries count as least recently used so local activity is kept on eviction
+    const records = imported.map(record => ({ ...record, lastAccessed: 0 }));
+    const merged = new Map(records.map(record => [record.key, record]));
+    this.entries.forEach((record, key) => {
+      if (!merged.has(key)) merged.set(key, record);
+    });
+    this.entries = merged;
+
+    this.persist(store => store.putAll(records));
+    this.evict();
+    return imported.length;
+  }
+}
@@ -0,0 +1,85 @@
+// Minimal promise wrapper around a single IndexedDB object store
+// Records are plain objects keyed by their `key` property. When IndexedDB is unavailable
+// (private browsing, non-browser environments) every operation rejects, so callers can
+// fall back to memory.
+
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export function isIndexedDbAvailable() {
+  return typeof globalThis.indexedDB !== 'undefined';
+}
+
+// Create a key-value store backed by its own database
+export function createIndexedDbStore({ dbName, storeName = 'entries', version = 1 }) {
+  let dbPromise = null;
+
+  function openDatabase() {
+    if (!isIndexedDbAvailable()) {
+      return Promise.reject(new Error('IndexedDB is not available'));
+    }
+    if (!dbPromise) {
+      const request = globalThis.indexedDB.open(dbName, version);
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(storeName)) {
+          request.result.createObjectStore(storeName, { keyPath: 'key' });
+        }
+      };
+      dbPromise = promisifyRequest(request).catch(error => {
+        dbPromise = null;
+        throw error;
+      });
+    }
+    return dbPromise;
+  }
+
+  // Run one transaction; resolves with the result of the request `operation` returns, if any
+  async function run(mode, operation) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = operation(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request?.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  return {
+    getAll() {
+      return run('readonly', store => store.getAll());
+    },
+
+    get(key) {
+      return run('readonly', store => store.get(key));
+    },
+
+    put(record) {
+      return run('readwrite', store => store.put(record));
+    },
+
+    putAll(records) {
+      return run('readwrite', store => {
+        records.forEach(record => store.put(record));
+      });
+    },
+
+    delete(key) {
+      return run('readwrite', store => store.delete(key));
+    },
+
+    deleteAll(keys) {
+      return run('readwrite', store => {
+        keys.forEach(key => store.delete(key));
+      });
+    },
+
+    clear() {
+      return run('readwrite', store => store.clear());
+    }
+  };
+}
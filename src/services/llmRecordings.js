@@ -0,0 +1,103 @@
+// Recorded agent responses replayed by the mock LLM provider
+// Add entries by copying from openaiService.exportRecordings() after a session with a real provider
+
+export const LLM_RECORDINGS = [
+  {
+    input: 'Earthquake in Tokyo, magnitude 6.1',
+    response: {
+      events: [
+        { action: 'plot_event', eventType: 'earthquake', location: 'Tokyo', magnitude: 6.1, metadata: {}, message: "I'll plot a 6.1 magnitude earthquake in Tokyo for you." }
+      ]
+    }
+  },
+  {
+    input: 'Iran sends missiles to Iraq',
+    response: {
+      events: [
+        { action: 'plot_arc', eventType: 'missile', from: 'Iran', to: 'Iraq', magnitude: 5.0, metadata: { weapon_type: 'missile' }, message: "I'll plot a missile arc from Iran to Iraq." }
+      ]
+    }
+  },
+  {
+    input: 'Volcano eruption in Iceland',
+    response: {
+      events: [
+        { action: 'plot_event', eventType: 'volcano', location: 'Iceland', magnitude: null, metadata: {}, message: "I'll plot a volcanic eruption in Iceland for you." }
+      ]
+    }
+  },
+  {
+    input: 'Volcano eruption in Iceland, magnitude 4.2',
+    response: {
+      events: [
+        { action: 'plot_event', eventType: 'volcano', location: 'Iceland', magnitude: 4.2, metadata: {}, message: "I'll plot a 4.2 magnitude volcanic eruption in Iceland for you." }
+      ]
+    }
+  },
+  {
+    input: 'Earthquake strikes Tokyo magnitude 6.2',
+    response: {
+      events: [
+        { action: 'plot_event', eventType: 'earthquake', location: 'Tokyo', magnitude: 6.2, metadata: {}, message: "I'll plot a 6.2 magnitude earthquake in Tokyo for you." }
+      ]
+    }
+  },
+  {
+    input: 'Russia attacks Ukraine with missiles',
+    response: {
+      events: [
+        { action: 'plot_arc', eventType: 'missile', from: 'Russia', to: 'Ukraine', magnitude: 5.0, metadata: { weapon_type: 'missile' }, message: "I'll plot a missile arc from Russia to Ukraine." }
+      ]
+    }
+  },
+  {
+    input: 'Volcano erupts in Iceland affecting flights',
+    response: {
+      events: [
+        { action: 'plot_event', eventType: 'volcano', location: 'Iceland', magnitude: null, metadata: { impact: 'flights' }, message: "I'll plot a volcanic eruption in Iceland for you." }
+      ]
+    }
+  },
+  {
+    input: 'Trade agreement signed between Germany and Brazil',
+    response: {
+      events: [
+        { action: 'plot_arc', eventType: 'trade', from: 'Germany', to: 'Brazil', magnitude: null, metadata: {}, message: "I'll plot a trade arc between Germany and Brazil." }
+      ]
+    }
+  },
+  {
+    input: 'New sanctions imposed on Iran',
+    response: {
+      events: [
+        { action: 'highlight_area', eventType: 'sanctions', location: 'Iran', magnitude: null, metadata: {}, message: "I'll highlight Iran to show the new sanctions." }
+      ]
+    }
+  },
+  {
+    input: 'Earthquake in Tokyo yesterday at 3pm UTC',
+    response: {
+      events: [
+        { action: 'plot_event', eventType: 'earthquake', location: 'Tokyo', magnitude: null, metadata: { time: 'yesterday at 3pm UTC' }, message: "I'll plot yesterday's earthquake in Tokyo for you." }
+      ]
+    }
+  },
+  {
+    input: 'test',
+    response: {
+      events: [
+        { action: 'get_info', message: 'Mock provider is ready.' }
+      ]
+    }
+  },
+  {
+    input: 'Earthquake strikes off the coast of Chile, magnitude 6.8\n\nA magnitude 6.8 earthquake struck off the coast of central Chile early on Monday. Authorities said there was no tsunami threat.',
+    response: {
+      tags: [
+        { entity: 'Chile', type: 'country', confidence: 0.95 },
+        { entity: 'earthquake', type: 'event', confidence: 0.95 },
+        { entity: 'magnitude 6.8', type: 'magnitude', confidence: 0.95 }
+      ]
+    }
+  }
+];
@@ -0,0 +1,94 @@
+// Named sessions of plotted data, saved in IndexedDB so a refresh restores the globe
+// A session record is { key, app, name, createdAt, updatedAt, state, view }: `state` holds the
+// app's arrays (events, arcs, areas, chat history) and `view` the camera and globe rotation.
+// Each app keeps its own sessions. Without IndexedDB the store works in memory for the page's
+// lifetime.
+
+import { createIndexedDbStore } from './indexedDbStore.js';
+
+export const SESSION_STORE_DEFAULTS = {
+  dbName: 'asterisk-globe-sessions'
+};
+
+let sessionCounter = 0;
+
+export class SessionStore {
+  constructor(options = {}) {
+    const { dbName } = { ...SESSION_STORE_DEFAULTS, ...options };
+    this.store = options.store || createIndexedDbStore({ dbName });
+    this.persistent = true;
+    this.records = new Map();
+    this.ready = null;
+  }
+
+  // Load saved sessions once; if IndexedDB is unusable sessions last until the page closes
+  load() {
+    if (!this.ready) {
+      this.ready = this.store.getAll()
+        .then(records => {
+          records.forEach(record => this.records.set(record.key, record));
+        })
+        .catch(error => {
+          this.persistent = false;
+          console.warn('Sessions are memory-only:', error.message);
+        });
+    }
+    return this.ready;
+  }
+
+  // Writes go through memory first so a failed write never loses the session in this page
+  async persist(operation) {
+    if (!this.persistent) return;
+    try {
+      await operation(this.store);
+    } catch (error) {
+      console.warn('Failed to save session:', error.message);
+    }
+  }
+
+  // Sessions of one app, most recently saved first (without their state)
+  async list(app) {
+    await this.load();
+    return Array.from(this.records.values())
+      .filter(record => record.app === app)
+      .sort((a, b) => b.updatedAt - a.updatedAt)
+      .map(({ key, name, createdAt, updatedAt }) => ({ key, name, createdAt, updatedAt }));
+  }
+
+  async get(key) {
+    await this.load();
+    return this.records.get(key) || null;
+  }
+
+  async create(app, name, state, view = null) {
+    await this.load();
+    sessionCounter += 1;
+    const now = Date.now();
+    const record = { key: `session-${now}-${sessionCounter}`, app, name, createdAt: now, updatedAt: now, state, view };
+    this.records.set(record.key, record);
+    await this.persist(store => store.put(record));
+    return record;
+  }
+
+  // Merge `fields` (name, state, view) into a saved session
+  async update(key, fields) {
+    await this.load();
+    const existing = this.records.get(key);
+    if (!existing) {
+      throw new Error(`Unknown session: ${key}`);
+    }
+    const record = { ...existing, ...fields, updatedAt: Date.now() };
+    this.records.set(key, record);
+    await this.persist(store => store.put(record));
+    return record;
+  }
+
+  async remove(key) {
+    await this.load();
+    this.records.delete(key);
+    await this.persist(store => store.delete(key));
+  }
+}
+
+// Shared store used by the apps
+export const sessionStore = new SessionStore();